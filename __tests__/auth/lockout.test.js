@@ -0,0 +1,193 @@
+/**
+ * Failed sign-in throttling and lockout (auth/lockout.js)
+ */
+
+const { POLICIES, checkLogin, recordFailure, recordSuccess } = require('../../auth/lockout');
+const { fakeDb } = require('../helpers/fakeDb');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Stand-in for the login_throttles table with a clock the test moves,
+ * answering the queries auth/lockout.js makes the way Postgres would
+ * @returns {Object} fakeDb() plus advance(ms) and rows
+ */
+function throttleDb() {
+  const rows = new Map();
+  let now = Date.UTC(2025, 0, 1);
+  let nextId = 1;
+
+  const db = fakeDb([
+    ['SELECT scope, failed_count', ([scopeA, keyA, scopeB, keyB, resetMinutes]) => {
+      const matching = [...rows.values()].filter(row =>
+        ((row.scope === scopeA && row.key === keyA) || (row.scope === scopeB && row.key === keyB)) &&
+        (row.last_failed_at > now - resetMinutes * MINUTE_MS || (row.locked_until && row.locked_until > now)));
+      return matching.map(row => ({
+        scope: row.scope,
+        failed_count: row.failed_count,
+        lock_seconds: String(Math.max(0, Math.ceil(((row.locked_until || 0) - now) / 1000))),
+        seconds_since_failure: (now - row.last_failed_at) / 1000
+      }));
+    }],
+    ['INSERT INTO login_throttles', ([scope, key, resetMinutes]) => {
+      const id = `${scope}:${key}`;
+      const row = rows.get(id);
+      if (!row) {
+        rows.set(id, { id: nextId++, scope, key, failed_count: 1, last_failed_at: now, locked_until: null });
+      } else {
+        row.failed_count = row.last_failed_at <= now - resetMinutes * MINUTE_MS ? 1 : row.failed_count + 1;
+        row.last_failed_at = now;
+      }
+      return [{ ...rows.get(id) }];
+    }],
+    ['SET locked_until', ([id, lockMinutes]) => {
+      const row = [...rows.values()].find(candidate => candidate.id === id);
+      row.locked_until = now + lockMinutes * MINUTE_MS;
+      return [{ ...row }];
+    }],
+    ["DELETE FROM login_throttles WHERE scope = 'account'", ([key]) => {
+      rows.delete(`account:${key}`);
+    }]
+  ]);
+
+  db.rows = rows;
+  db.advance = ms => {
+    now += ms;
+  };
+  return db;
+}
+
+/**
+ * Record failures, moving the clock past any delay between them
+ * @param {Object} db - throttleDb()
+ * @param {Object} attempt - { email, ip }
+ * @param {number} count
+ * @returns {Promise<Object>} The last recordFailure() result
+ */
+async function failTimes(db, attempt, count) {
+  let result;
+  for (let i = 0; i < count; i++) {
+    result = await recordFailure(db, attempt);
+    db.advance(1000);
+  }
+  return result;
+}
+
+describe('account lockout', () => {
+  const account = POLICIES.account;
+
+  test('lets the first failures through without waiting', async () => {
+    const db = throttleDb();
+    await failTimes(db, { email: 'ada@example.com', ip: '10.0.0.1' }, account.delayAfter - 1);
+
+    await expect(checkLogin(db, { email: 'ada@example.com', ip: '10.0.0.1' })).resolves.toBeNull();
+    expect(db.calls('FROM login_throttles')).toEqual([{
+      sql: expect.stringContaining(
+        'WHERE ((scope = $1 AND key = $2) OR (scope = $3 AND key = $4)) ' +
+        'AND (last_failed_at > NOW() - make_interval(mins => $5) OR locked_until > NOW())'
+      ),
+      params: ['account', 'ada@example.com', 'ip', '10.0.0.1', 60]
+    }]);
+  });
+
+  test('makes each attempt wait once delayAfter failures are reached, doubling the delay', async () => {
+    const db = throttleDb();
+    const attempt = { email: 'ada@example.com', ip: '10.0.0.1' };
+
+    for (let i = 0; i < account.delayAfter; i++) {
+      await recordFailure(db, attempt);
+    }
+    await expect(checkLogin(db, attempt)).resolves.toMatchObject({ status: 429, retryAfter: 1, scope: 'account' });
+
+    await recordFailure(db, attempt);
+    await expect(checkLogin(db, attempt)).resolves.toMatchObject({ retryAfter: 2 });
+
+    db.advance(2000);
+    await expect(checkLogin(db, attempt)).resolves.toBeNull();
+  });
+
+  test('locks the account at lockAfter failures, whatever the IP', async () => {
+    const db = throttleDb();
+
+    const results = [];
+    for (let i = 0; i < account.lockAfter; i++) {
+      results.push(await recordFailure(db, { email: 'ada@example.com', ip: `10.0.0.${i}` }));
+    }
+
+    expect(results.slice(0, -1).every(result => !result.account.justLocked)).toBe(true);
+    expect(results[results.length - 1].account.justLocked).toBe(true);
+    expect(db.calls('SET locked_until')).toEqual([{
+      sql: 'UPDATE login_throttles SET locked_until = NOW() + make_interval(mins => $2) WHERE id = $1 RETURNING *',
+      params: [results[0].account.id, account.lockMinutes]
+    }]);
+
+    const refused = await checkLogin(db, { email: 'ADA@example.com ', ip: '10.0.1.1' });
+    expect(refused).toMatchObject({ status: 429, scope: 'account', retryAfter: account.lockMinutes * 60 });
+    expect(refused.error).toMatch(/locked/);
+  });
+
+  test('lifts the lock once lockMinutes have passed', async () => {
+    const db = throttleDb();
+    const attempt = { email: 'ada@example.com', ip: '10.0.0.1' };
+    await failTimes(db, attempt, account.lockAfter);
+
+    db.advance(account.lockMinutes * MINUTE_MS);
+    await expect(checkLogin(db, attempt)).resolves.toBeNull();
+  });
+
+  test('forgets failures an hour after the last one', async () => {
+    const db = throttleDb();
+    const attempt = { email: 'ada@example.com', ip: '10.0.0.1' };
+    await failTimes(db, attempt, account.lockAfter - 1);
+
+    db.advance(60 * MINUTE_MS);
+    const result = await recordFailure(db, attempt);
+    expect(result.account).toMatchObject({ failed_count: 1, justLocked: false });
+    expect(db.calls('INSERT INTO login_throttles').pop()).toEqual({
+      sql: expect.stringContaining('WHEN login_throttles.last_failed_at <= NOW() - make_interval(mins => $3) THEN 1'),
+      params: ['ip', '10.0.0.1', 60]
+    });
+  });
+
+  test('a successful sign-in clears the account, not the IP', async () => {
+    const db = throttleDb();
+    const attempt = { email: 'ada@example.com', ip: '10.0.0.1' };
+    await failTimes(db, attempt, 5);
+
+    await recordSuccess(db, 'Ada@Example.com');
+    expect(db.calls('DELETE FROM login_throttles')).toEqual([{
+      sql: "DELETE FROM login_throttles WHERE scope = 'account' AND key = $1",
+      params: ['ada@example.com']
+    }]);
+    expect(db.rows.has('account:ada@example.com')).toBe(false);
+    expect(db.rows.get('ip:10.0.0.1').failed_count).toBe(5);
+  });
+});
+
+describe('IP lockout', () => {
+  const ip = POLICIES.ip;
+
+  test('locks an IP trying many accounts at lockAfter failures', async () => {
+    const db = throttleDb();
+
+    let result;
+    for (let i = 0; i < ip.lockAfter; i++) {
+      result = await recordFailure(db, { email: `user${i}@example.com`, ip: '10.0.0.1' });
+      db.advance(1000);
+    }
+    expect(result.ip.justLocked).toBe(true);
+
+    const refused = await checkLogin(db, { email: 'someone-new@example.com', ip: '10.0.0.1' });
+    expect(refused).toMatchObject({ status: 429, scope: 'ip' });
+    await expect(checkLogin(db, { email: 'someone-new@example.com', ip: '10.0.0.2' })).resolves.toBeNull();
+  });
+
+  test('stays below its delay threshold for a handful of failures', async () => {
+    const db = throttleDb();
+
+    for (let i = 0; i < ip.delayAfter - 1; i++) {
+      await recordFailure(db, { email: `user${i}@example.com`, ip: '10.0.0.1' });
+    }
+    await expect(checkLogin(db, { email: 'someone-new@example.com', ip: '10.0.0.1' })).resolves.toBeNull();
+  });
+});
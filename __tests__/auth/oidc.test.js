@@ -0,0 +1,282 @@
+/**
+ * Generic OpenID Connect sign-in (auth/oidc.js): provider config, the state
+ * and PKCE checks around the flow, ID token checks and claim mapping
+ */
+
+jest.mock('axios');
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { loadOidcProviders, OidcStrategy } = require('../../auth/oidc');
+const { verifyToken } = require('../../utils/jwt');
+
+const ISSUER = 'https://id.example.com';
+const DISCOVERY = {
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/authorize`,
+  token_endpoint: `${ISSUER}/token`,
+  userinfo_endpoint: `${ISSUER}/userinfo`,
+  jwks_uri: `${ISSUER}/jwks`
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const JWKS = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] };
+
+/**
+ * Load one provider from an OIDC_PROVIDERS value
+ * @param {Object} entry - Provider entry
+ * @returns {Object} Normalised config
+ */
+function providerConfig(entry) {
+  process.env.OIDC_PROVIDERS = JSON.stringify([{ name: 'corp', issuer: ISSUER, clientId: 'pixel-buddy', ...entry }]);
+  return loadOidcProviders()[0];
+}
+
+/**
+ * A strategy with passport's outcome hooks stubbed out
+ * @param {Object} entry - Extra provider config
+ * @returns {Object} { strategy, verify }
+ */
+function makeStrategy(entry = {}) {
+  const verify = jest.fn((req, identity, done) => done(null, { id: 1 }));
+  const strategy = new OidcStrategy(providerConfig(entry), verify);
+  strategy.redirect = jest.fn();
+  strategy.success = jest.fn();
+  strategy.fail = jest.fn();
+  strategy.error = jest.fn();
+  return { strategy, verify };
+}
+
+/**
+ * Response object recording the cookies set on it
+ * @returns {Object}
+ */
+function fakeResponse() {
+  const res = { cookies: {} };
+  res.cookie = jest.fn((name, value) => { res.cookies[name] = value; });
+  res.clearCookie = jest.fn();
+  return res;
+}
+
+/**
+ * Start a sign-in and return what the browser would carry back
+ * @param {Object} strategy
+ * @returns {Promise<Object>} { state, cookie, flow, authorizeUrl }
+ */
+async function startSignIn(strategy) {
+  mockProvider({});
+  const res = fakeResponse();
+  await strategy.start({ query: {}, res }, {});
+
+  const authorizeUrl = new URL(strategy.redirect.mock.calls[0][0]);
+  const cookie = res.cookies.oauth_corp;
+  return { state: authorizeUrl.searchParams.get('state'), cookie, flow: verifyToken(cookie), authorizeUrl };
+}
+
+/**
+ * Sign an ID token the way the provider would
+ * @param {Object} claims
+ * @returns {string}
+ */
+function idToken(claims) {
+  return jwt.sign(claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: 'key-1',
+    issuer: ISSUER,
+    audience: 'pixel-buddy',
+    expiresIn: '5m'
+  });
+}
+
+/**
+ * Point the mocked provider at these tokens and userinfo
+ * @param {Object} tokens - Token endpoint response
+ * @param {Object} userinfo - Userinfo endpoint response
+ */
+function mockProvider(tokens, userinfo = null) {
+  axios.get.mockImplementation(async url => {
+    if (url.endsWith('/.well-known/openid-configuration')) return { data: DISCOVERY };
+    if (url === DISCOVERY.jwks_uri) return { data: JWKS };
+    if (url === DISCOVERY.userinfo_endpoint) return { data: userinfo || {} };
+    throw new Error(`Unexpected GET ${url}`);
+  });
+  axios.post.mockResolvedValue({ data: tokens });
+}
+
+/**
+ * The callback request for a started sign-in
+ * @param {Object} started - From startSignIn()
+ * @param {Object} query - Overrides for the callback query
+ * @returns {Object}
+ */
+function callbackRequest(started, query = {}) {
+  return {
+    query: { code: 'auth-code', state: started.state, ...query },
+    cookies: { oauth_corp: started.cookie },
+    res: fakeResponse()
+  };
+}
+
+afterEach(() => {
+  jest.resetAllMocks();
+  jest.restoreAllMocks();
+  delete process.env.OIDC_PROVIDERS;
+});
+
+describe('loadOidcProviders', () => {
+  test('fills in defaults and merges claim mappings', () => {
+    const config = providerConfig({ issuer: `${ISSUER}/`, claims: { displayName: 'preferred_username' } });
+
+    expect(config).toMatchObject({
+      name: 'corp',
+      label: 'corp',
+      issuer: ISSUER,
+      clientSecret: null,
+      scopes: 'openid email profile',
+      claims: { subject: 'sub', email: 'email', displayName: 'preferred_username', avatarUrl: 'picture' }
+    });
+    expect(config.callbackURL).toMatch(/\/api\/auth\/oidc\/corp\/callback$/);
+  });
+
+  test('returns nothing when unset', () => {
+    expect(loadOidcProviders()).toEqual([]);
+  });
+
+  test.each([
+    ['a reserved name', { name: 'google' }, /lowercase name/],
+    ['an uppercase name', { name: 'Corp' }, /lowercase name/],
+    ['a name too long for users.oauth_provider', { name: 'a'.repeat(21) }, /lowercase name/],
+    ['no issuer', { issuer: '' }, /needs an issuer/]
+  ])('rejects %s', (label, entry, message) => {
+    expect(() => providerConfig(entry)).toThrow(message);
+  });
+
+  test('rejects the same name twice', () => {
+    process.env.OIDC_PROVIDERS = JSON.stringify([
+      { name: 'corp', issuer: ISSUER, clientId: 'a' },
+      { name: 'corp', issuer: ISSUER, clientId: 'b' }
+    ]);
+    expect(() => loadOidcProviders()).toThrow(/configured twice/);
+  });
+});
+
+describe('OidcStrategy sign-in', () => {
+  test('sends state, nonce and an S256 challenge for the verifier kept in the flow cookie', async () => {
+    const { strategy } = makeStrategy();
+
+    const { state, flow, authorizeUrl } = await startSignIn(strategy);
+
+    expect(authorizeUrl.origin + authorizeUrl.pathname).toBe(DISCOVERY.authorization_endpoint);
+    expect(flow).toMatchObject({ type: 'oauth_flow', provider: 'corp', state });
+    expect(authorizeUrl.searchParams.get('nonce')).toBe(flow.nonce);
+    expect(authorizeUrl.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(authorizeUrl.searchParams.get('code_challenge'))
+      .toBe(crypto.createHash('sha256').update(flow.verifier).digest('base64url'));
+  });
+
+  test('maps the configured claims, including nested ones, to the identity', async () => {
+    const { strategy, verify } = makeStrategy({
+      claims: { displayName: 'preferred_username', avatarUrl: 'profile.avatar' }
+    });
+    const started = await startSignIn(strategy);
+
+    mockProvider(
+      { id_token: idToken({ sub: 'user-42', nonce: started.flow.nonce }), access_token: 'access' },
+      { sub: 'user-42', email: 'ada@example.com', preferred_username: 'ada', profile: { avatar: 'https://img/ada.png' } }
+    );
+    await strategy.finish(callbackRequest(started));
+
+    expect(strategy.fail).not.toHaveBeenCalled();
+    expect(verify.mock.calls[0][1]).toEqual({
+      subject: 'user-42',
+      email: 'ada@example.com',
+      displayName: 'ada',
+      avatarUrl: 'https://img/ada.png'
+    });
+    expect(strategy.success).toHaveBeenCalledWith({ id: 1 }, undefined);
+  });
+
+  test('trades the code with the verifier from the flow cookie', async () => {
+    const { strategy } = makeStrategy();
+    const started = await startSignIn(strategy);
+
+    mockProvider({ id_token: idToken({ sub: 'user-42', nonce: started.flow.nonce }) });
+    await strategy.finish(callbackRequest(started));
+
+    const body = new URLSearchParams(axios.post.mock.calls[0][1]);
+    expect(body.get('code')).toBe('auth-code');
+    expect(body.get('code_verifier')).toBe(started.flow.verifier);
+  });
+
+  test('refuses a callback whose state is not the one this browser started', async () => {
+    const { strategy, verify } = makeStrategy();
+    const started = await startSignIn(strategy);
+
+    await strategy.finish(callbackRequest(started, { state: 'someone-elses-state' }));
+
+    expect(strategy.fail).toHaveBeenCalledWith({ message: expect.stringMatching(/another browser/) });
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(verify).not.toHaveBeenCalled();
+  });
+
+  test('refuses a callback with no flow cookie', async () => {
+    const { strategy } = makeStrategy();
+    const started = await startSignIn(strategy);
+
+    await strategy.finish({ ...callbackRequest(started), cookies: {} });
+
+    expect(strategy.fail).toHaveBeenCalledWith({ message: expect.stringMatching(/another browser/) });
+  });
+
+  test('refuses an ID token with the wrong nonce', async () => {
+    const { strategy, verify } = makeStrategy();
+    const started = await startSignIn(strategy);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mockProvider({ id_token: idToken({ sub: 'user-42', nonce: 'replayed' }) });
+    await strategy.finish(callbackRequest(started));
+
+    expect(strategy.fail).toHaveBeenCalledWith({ message: expect.stringMatching(/could not be verified/) });
+    expect(verify).not.toHaveBeenCalled();
+  });
+
+  test('refuses an ID token for another client', async () => {
+    const { strategy, verify } = makeStrategy();
+    const started = await startSignIn(strategy);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const token = jwt.sign({ sub: 'user-42', nonce: started.flow.nonce }, privateKey, {
+      algorithm: 'RS256', keyid: 'key-1', issuer: ISSUER, audience: 'another-app', expiresIn: '5m'
+    });
+    mockProvider({ id_token: token });
+    await strategy.finish(callbackRequest(started));
+
+    expect(strategy.fail).toHaveBeenCalledWith({ message: expect.stringMatching(/could not be verified/) });
+    expect(verify).not.toHaveBeenCalled();
+  });
+
+  test('refuses an unverified email', async () => {
+    const { strategy, verify } = makeStrategy();
+    const started = await startSignIn(strategy);
+
+    mockProvider({ id_token: idToken({ sub: 'user-42', nonce: started.flow.nonce, email: 'ada@example.com', email_verified: false }) });
+    await strategy.finish(callbackRequest(started));
+
+    expect(strategy.fail).toHaveBeenCalledWith({ message: expect.stringMatching(/isn't verified/) });
+    expect(verify).not.toHaveBeenCalled();
+  });
+
+  test('ignores userinfo for a different subject', async () => {
+    const { strategy, verify } = makeStrategy();
+    const started = await startSignIn(strategy);
+
+    mockProvider(
+      { id_token: idToken({ sub: 'user-42', nonce: started.flow.nonce, email: 'ada@example.com' }), access_token: 'access' },
+      { sub: 'user-99', email: 'mallory@example.com' }
+    );
+    await strategy.finish(callbackRequest(started));
+
+    expect(verify.mock.calls[0][1]).toMatchObject({ subject: 'user-42', email: 'ada@example.com' });
+  });
+});
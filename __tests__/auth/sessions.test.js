@@ -0,0 +1,140 @@
+/**
+ * Refresh token rotation and reuse detection (auth/sessions.js)
+ */
+
+jest.mock('../../db/pool', () => ({ pool: { connect: jest.fn(), query: jest.fn() } }));
+
+const { pool } = require('../../db/pool');
+const { REUSE_GRACE_SECONDS, rotateSession } = require('../../auth/sessions');
+const { generateRefreshToken, verifyToken } = require('../../utils/jwt');
+const { fakeDb } = require('../helpers/fakeDb');
+
+const USER = { id: 7, username: 'ada', email: 'ada@example.com', display_name: 'Ada', role: 'user', is_active: true };
+
+/**
+ * A pool client holding one session row, answering the queries rotateSession
+ * makes the way Postgres would
+ * @param {Object} session - sessions row (plus seconds_since_rotation)
+ * @returns {Object} fakeDb()
+ */
+function fakeClient(session) {
+  const client = fakeDb([
+    ['FROM sessions s', () => (session ? [{ expired: false, revoked_at: null, ...session }] : [])],
+    ['FROM users', () => [USER]],
+    ["UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'reuse_detected'", () => {
+      session.revoked_at = new Date();
+      session.revoked_reason = 'reuse_detected';
+    }],
+    ['UPDATE sessions SET previous_jti = refresh_jti, refresh_jti = $2', params => {
+      session.previous_jti = session.refresh_jti;
+      session.refresh_jti = params[1];
+      session.seconds_since_rotation = 0;
+    }]
+  ]);
+  pool.connect.mockResolvedValue(client);
+  return client;
+}
+
+/**
+ * A refresh token for session 1
+ * @param {string} jti - Refresh token ID
+ * @returns {string}
+ */
+function refreshToken(jti) {
+  return generateRefreshToken(USER, { sid: 1, jti });
+}
+
+describe('rotateSession', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('swaps the current refresh token for a new pair', async () => {
+    const session = { id: 1, user_id: USER.id, refresh_jti: 'current', previous_jti: null, seconds_since_rotation: null };
+    const client = fakeClient(session);
+
+    const result = await rotateSession(refreshToken('current'));
+
+    expect(result.user).toEqual(USER);
+    expect(verifyToken(result.refreshToken)).toMatchObject({ type: 'refresh', sid: 1, jti: session.refresh_jti });
+    expect(session.previous_jti).toBe('current');
+    expect(session.refresh_jti).not.toBe('current');
+    expect(client.statements()).toEqual(['BEGIN', 'SELECT s.*,', 'SELECT id,', 'UPDATE sessions', 'COMMIT']);
+    expect(client.calls('FROM sessions s')[0]).toEqual({
+      sql: expect.stringContaining('WHERE s.id = $1 AND s.user_id = $2 FOR UPDATE'),
+      params: [1, USER.id]
+    });
+    expect(client.calls('UPDATE sessions')[0].params.slice(0, 2)).toEqual([1, session.refresh_jti]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('turns away the token just replaced within the grace window, leaving the session open', async () => {
+    const session = {
+      id: 1,
+      user_id: USER.id,
+      refresh_jti: 'next',
+      previous_jti: 'current',
+      seconds_since_rotation: REUSE_GRACE_SECONDS - 1
+    };
+    const client = fakeClient(session);
+
+    const result = await rotateSession(refreshToken('current'));
+
+    expect(result).toEqual({ error: 'Session was just refreshed', status: 401 });
+    expect(result.reused).toBeUndefined();
+    expect(session.revoked_at).toBeUndefined();
+    expect(client.statements()).toEqual(['BEGIN', 'SELECT s.*,', 'ROLLBACK']);
+  });
+
+  test('ends the session when the replaced token comes back after the grace window', async () => {
+    const session = {
+      id: 1,
+      user_id: USER.id,
+      refresh_jti: 'next',
+      previous_jti: 'current',
+      seconds_since_rotation: REUSE_GRACE_SECONDS + 1
+    };
+    const client = fakeClient(session);
+
+    const result = await rotateSession(refreshToken('current'));
+
+    expect(result).toMatchObject({ status: 401, reused: { id: 1 } });
+    expect(session.revoked_reason).toBe('reuse_detected');
+    expect(client.calls('UPDATE sessions')).toEqual([{ sql: expect.stringMatching(/WHERE id = \$1$/), params: [1] }]);
+    expect(client.statements()).toEqual(['BEGIN', 'SELECT s.*,', 'UPDATE sessions', 'COMMIT']);
+  });
+
+  test('ends the session when an older token comes back, even within the grace window', async () => {
+    const session = {
+      id: 1,
+      user_id: USER.id,
+      refresh_jti: 'third',
+      previous_jti: 'second',
+      seconds_since_rotation: 1
+    };
+    const client = fakeClient(session);
+
+    const result = await rotateSession(refreshToken('first'));
+
+    expect(result).toMatchObject({ status: 401, reused: { id: 1 } });
+    expect(session.revoked_reason).toBe('reuse_detected');
+    expect(client.calls('UPDATE sessions')).toHaveLength(1);
+  });
+
+  test('refuses sessions that were signed out', async () => {
+    const client = fakeClient({ id: 1, user_id: USER.id, refresh_jti: 'current', revoked_at: new Date() });
+
+    await expect(rotateSession(refreshToken('current'))).resolves.toEqual({
+      error: 'Session expired or signed out',
+      status: 401
+    });
+    expect(client.statements()).toEqual(['BEGIN', 'SELECT s.*,', 'ROLLBACK']);
+  });
+
+  test('refuses tokens that are not refresh tokens', async () => {
+    const result = await rotateSession('not-a-token');
+
+    expect(result).toEqual({ error: 'Invalid or expired refresh token', status: 401 });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
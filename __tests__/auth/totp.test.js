@@ -0,0 +1,121 @@
+/**
+ * TOTP codes (auth/totp.js) and their one-time use at sign-in
+ * (verifySecondFactor in auth/twoFactor.js)
+ */
+
+const { base32Encode, base32Decode, hotp, verifyTotp } = require('../../auth/totp');
+const { verifySecondFactor } = require('../../auth/twoFactor');
+const { fakeDb } = require('../helpers/fakeDb');
+
+// The RFC 4226 / RFC 6238 test secret, "12345678901234567890"
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+/**
+ * Stand-in for the users table, answering the queries verifySecondFactor
+ * makes the way Postgres would
+ * @param {Object} user - { totp_secret, totp_last_step }
+ * @returns {Object} fakeDb()
+ */
+function usersDb(user) {
+  return fakeDb([
+    ['SELECT totp_secret FROM users', () => [{ totp_secret: user.totp_secret }]],
+    ['UPDATE users SET totp_last_step = $2', ([id, step]) => {
+      if (user.totp_last_step !== null && user.totp_last_step >= step) return [];
+      user.totp_last_step = step;
+      return [{ id }];
+    }]
+  ]);
+}
+
+describe('base32', () => {
+  test('round-trips bytes', () => {
+    expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(SECRET).toString()).toBe('12345678901234567890');
+  });
+
+  test('ignores case, spaces and padding', () => {
+    expect(base32Decode('gezd gnbv====').equals(base32Decode('GEZDGNBV'))).toBe(true);
+  });
+
+  test('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('hotp', () => {
+  test('matches the RFC 4226 test values', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    expected.forEach((code, counter) => expect(hotp(SECRET, counter)).toBe(code));
+  });
+});
+
+describe('verifyTotp', () => {
+  // RFC 6238 SHA-1 vectors, last 6 of their 8 digits
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('accepts the code for %i seconds', (seconds, code) => {
+    expect(verifyTotp(SECRET, code, seconds * 1000)).toBe(Math.floor(seconds / 30));
+  });
+
+  test('allows one step of clock drift either side', () => {
+    const time = 1111111109 * 1000;
+    const step = Math.floor(time / 1000 / 30);
+
+    expect(verifyTotp(SECRET, hotp(SECRET, step - 1), time)).toBe(step - 1);
+    expect(verifyTotp(SECRET, hotp(SECRET, step + 1), time)).toBe(step + 1);
+    expect(verifyTotp(SECRET, hotp(SECRET, step - 2), time)).toBeNull();
+    expect(verifyTotp(SECRET, hotp(SECRET, step + 2), time)).toBeNull();
+  });
+
+  test('accepts spaces but not other formats', () => {
+    expect(verifyTotp(SECRET, '081 804', 1111111109 * 1000)).not.toBeNull();
+    expect(verifyTotp(SECRET, '81804', 1111111109 * 1000)).toBeNull();
+    expect(verifyTotp(SECRET, '08180a', 1111111109 * 1000)).toBeNull();
+  });
+});
+
+describe('verifySecondFactor', () => {
+  test('accepts a code once and refuses it when replayed', async () => {
+    const db = usersDb({ totp_secret: SECRET, totp_last_step: null });
+    const step = Math.floor(Date.now() / 1000 / 30);
+    const code = hotp(SECRET, step);
+
+    await expect(verifySecondFactor(db, 1, code)).resolves.toEqual({ method: 'totp' });
+    await expect(verifySecondFactor(db, 1, code)).resolves.toBeNull();
+
+    expect(db.calls('SELECT totp_secret')[0]).toEqual({
+      sql: 'SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+      params: [1]
+    });
+    // The replay guard is the WHERE clause: only a newer step updates the row
+    const update = {
+      sql: 'UPDATE users SET totp_last_step = $2 WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2) RETURNING id',
+      params: [1, step]
+    };
+    expect(db.calls('SET totp_last_step')).toEqual([update, update]);
+  });
+
+  test('refuses a code older than the last one used', async () => {
+    const now = Math.floor(Date.now() / 1000 / 30);
+    const db = usersDb({ totp_secret: SECRET, totp_last_step: null });
+
+    await expect(verifySecondFactor(db, 1, hotp(SECRET, now))).resolves.toEqual({ method: 'totp' });
+    await expect(verifySecondFactor(db, 1, hotp(SECRET, now - 1))).resolves.toBeNull();
+    expect(db.calls('SET totp_last_step').map(({ params }) => params)).toEqual([[1, now], [1, now - 1]]);
+  });
+
+  test('refuses a wrong code without using up the step', async () => {
+    const user = { totp_secret: SECRET, totp_last_step: null };
+    const now = Math.floor(Date.now() / 1000 / 30);
+    const wrong = String((parseInt(hotp(SECRET, now)) + 1) % 1000000).padStart(6, '0');
+
+    const db = usersDb(user);
+
+    await expect(verifySecondFactor(db, 1, wrong)).resolves.toBeNull();
+    expect(user.totp_last_step).toBeNull();
+    expect(db.calls('UPDATE users')).toEqual([]);
+  });
+});
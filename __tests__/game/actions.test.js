@@ -0,0 +1,99 @@
+/**
+ * Care actions (performAction in game/simulation.js): the rules and the
+ * write run under one row lock, so concurrent requests can't race a cooldown
+ */
+
+jest.mock('../../db/pool', () => ({ pool: { connect: jest.fn(), query: jest.fn() } }));
+
+const { pool } = require('../../db/pool');
+const { CATALOG } = require('../../game/catalog');
+const { performAction } = require('../../game/simulation');
+const { fakeDb } = require('../helpers/fakeDb');
+
+/**
+ * Stand-in for one pet and its kibble, shared by every client pool.connect()
+ * hands out. Like Postgres, SELECT ... FOR UPDATE waits until the client
+ * holding the row lock is released.
+ * @param {Object} pet - pets row
+ * @param {Object} state - { minutesSinceFed, kibble }
+ * @returns {Array<Object>} Every client handed out so far
+ */
+function petDb(pet, state) {
+  const clients = [];
+  let unlocked = Promise.resolve();
+
+  pool.connect.mockImplementation(async () => {
+    let unlock;
+    const db = fakeDb([
+      ['FOR UPDATE', async () => {
+        const held = unlocked;
+        unlocked = new Promise(resolve => { unlock = resolve; });
+        await held;
+        return [{ ...pet }];
+      }],
+      ['EXTRACT(EPOCH', () => [{ last_fed: state.minutesSinceFed }]],
+      ['INSERT INTO wallets', () => []],
+      ['UPDATE inventory_items', () => (state.kibble > 0 ? [{ quantity: --state.kibble }] : [])],
+      ['UPDATE pets SET', ([delta]) => {
+        Object.assign(pet, { hunger: Math.min(100, pet.hunger + delta) });
+        state.minutesSinceFed = 0;
+        return [{ ...pet }];
+      }]
+    ]);
+    db.release.mockImplementation(() => unlock && unlock());
+    clients.push(db);
+    return db;
+  });
+
+  return clients;
+}
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('performAction', () => {
+  test('locks the pet before checking the rules and commits the write', async () => {
+    const pet = { id: 5, name: 'Mochi', hunger: 40, traits: [] };
+    const clients = petDb(pet, { minutesSinceFed: 60, kibble: 3 });
+
+    const result = await performAction(5, 'feed', CATALOG.feed);
+    const [db] = clients;
+
+    expect(result.pet.hunger).toBe(70);
+    expect(result.outcome.allowed).toBe(true);
+    expect(db.statements()).toEqual([
+      'BEGIN', 'SELECT *', 'SELECT EXTRACT(EPOCH', 'INSERT INTO', 'UPDATE inventory_items', 'UPDATE pets', 'COMMIT'
+    ]);
+    expect(db.calls('FOR UPDATE')[0]).toEqual({ sql: 'SELECT * FROM pets WHERE id = $1 FOR UPDATE', params: [5] });
+    expect(db.release).toHaveBeenCalled();
+  });
+
+  test('rolls back with a 429 while the action is on cooldown', async () => {
+    const pet = { id: 5, name: 'Mochi', hunger: 40, traits: [] };
+    const clients = petDb(pet, { minutesSinceFed: 1, kibble: 3 });
+
+    const result = await performAction(5, 'feed', CATALOG.feed);
+    const [db] = clients;
+
+    expect(result).toMatchObject({ status: 429, retryAfter: 120, outcome: { allowed: false } });
+    expect(db.statements()).not.toContain('UPDATE pets');
+    expect(db.statements()).toContain('ROLLBACK');
+    expect(pet.hunger).toBe(40);
+  });
+
+  test('lets only one of two concurrent feeds through the cooldown', async () => {
+    const pet = { id: 5, name: 'Mochi', hunger: 40, traits: [] };
+    const state = { minutesSinceFed: 60, kibble: 3 };
+    petDb(pet, state);
+
+    const results = await Promise.all([
+      performAction(5, 'feed', CATALOG.feed),
+      performAction(5, 'feed', CATALOG.feed)
+    ]);
+
+    expect(results.map(result => result.status || 200).sort()).toEqual([200, 429]);
+    expect(pet.hunger).toBe(70);
+    expect(state.kibble).toBe(2);
+  });
+});
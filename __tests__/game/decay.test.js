@@ -0,0 +1,58 @@
+/**
+ * Stat decay (game/decay.js): stats written back on every poll or action
+ * decay exactly as much as stats left alone
+ */
+
+const { STATS, applyDecay } = require('../../game/decay');
+
+const MINUTE_MS = 60 * 1000;
+const START = new Date(Date.UTC(2025, 0, 1, 12));
+
+/**
+ * A pet last cared for two hours before START, stored as of START
+ * @returns {Object} Pet row
+ */
+function storedPet() {
+  const cared = new Date(START.getTime() - 120 * MINUTE_MS);
+  return {
+    hunger: 80,
+    happiness: 80,
+    energy: 80,
+    hygiene: 80,
+    traits: [],
+    last_seen: START,
+    last_fed: cared,
+    last_played: cared,
+    last_slept: cared,
+    last_cleaned: cared
+  };
+}
+
+describe('applyDecay', () => {
+  test('loses nothing when the pet is written back every minute', () => {
+    const end = new Date(START.getTime() + 180 * MINUTE_MS);
+    const untouched = applyDecay(storedPet(), end).pet;
+
+    // Each write restarts the decay window at last_seen
+    let pet = storedPet();
+    for (let t = START.getTime() + MINUTE_MS; t <= end.getTime(); t += MINUTE_MS) {
+      pet = { ...applyDecay(pet, new Date(t)).pet, last_seen: new Date(t) };
+    }
+
+    for (const stat of STATS) {
+      expect(untouched[stat]).toBeLessThan(80);
+      expect(pet[stat]).toBeCloseTo(untouched[stat], 6);
+    }
+  });
+
+  test('only counts a change once a stat reaches another whole point', () => {
+    const pet = storedPet();
+
+    const early = applyDecay(pet, new Date(START.getTime() + MINUTE_MS));
+    expect(early.changed).toBe(false);
+    expect(early.pet.hunger).toBeLessThan(80);
+
+    const later = applyDecay(pet, new Date(START.getTime() + 60 * MINUTE_MS));
+    expect(later.changed).toBe(true);
+  });
+});
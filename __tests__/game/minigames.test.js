@@ -0,0 +1,65 @@
+/**
+ * Mini-game payouts (rewardWin in game/minigames.js): a pet's daily winnings
+ * are capped, counted from the coin ledger
+ */
+
+jest.mock('../../db/pool', () => ({ pool: { connect: jest.fn(), query: jest.fn() } }));
+
+const { pool } = require('../../db/pool');
+const { GAMES, MINI_GAME_COINS_PER_DAY, rewardWin } = require('../../game/minigames');
+const { fakeDb } = require('../helpers/fakeDb');
+
+const ROUND = { id: 11, game_type: 'memory' };
+
+/**
+ * Stand-in for a pet that has already won some coins from mini-games today
+ * @param {number} earnedToday - Sum of today's 'mini_game' ledger entries
+ * @returns {Object} fakeDb(), also answering for pool.connect()
+ */
+function walletDb(earnedToday) {
+  const db = fakeDb([
+    ['SELECT id FROM pets', ([id]) => [{ id }]],
+    ['FROM coin_transactions', () => [{ coins: String(earnedToday) }]],
+    ['UPDATE pets SET', ([delta, id]) => [{ id, happiness: 50 + delta }]],
+    ['INSERT INTO wallets', () => []],
+    ['UPDATE wallets SET coins', ([amount]) => [{ coins: 100 + amount }]],
+    ['INSERT INTO coin_transactions', () => []]
+  ]);
+  pool.connect.mockResolvedValue(db);
+  return db;
+}
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('rewardWin', () => {
+  test('pays the full reward under the cap', async () => {
+    const db = walletDb(0);
+
+    const reward = await rewardWin(5, ROUND, 80, { userId: 7 });
+
+    expect(reward).toEqual({ coins: GAMES.memory.reward.coins, pet: { id: 5, happiness: 65 } });
+    expect(db.calls('SELECT id FROM pets')[0]).toEqual({ sql: 'SELECT id FROM pets WHERE id = $1 FOR UPDATE', params: [5] });
+    expect(db.calls('FROM coin_transactions')[0].sql).toContain("reason = 'mini_game' AND created_at >= CURRENT_DATE");
+    expect(db.calls('INSERT INTO coin_transactions')[0].params).toEqual([
+      5, 7, GAMES.memory.reward.coins, 115, 'mini_game', JSON.stringify({ game: 'memory', round: 11, score: 80 })
+    ]);
+    expect(db.statements()).toContain('COMMIT');
+  });
+
+  test('pays only what is left of the day\'s cap', async () => {
+    walletDb(MINI_GAME_COINS_PER_DAY - 5);
+
+    await expect(rewardWin(5, ROUND, 80)).resolves.toMatchObject({ coins: 5 });
+  });
+
+  test('pays no coins or stats once the cap is reached', async () => {
+    const db = walletDb(MINI_GAME_COINS_PER_DAY);
+
+    await expect(rewardWin(5, ROUND, 80)).resolves.toEqual({ coins: 0, pet: null });
+    expect(db.calls(/^UPDATE/)).toEqual([]);
+    expect(db.statements()).toContain('ROLLBACK');
+    expect(db.release).toHaveBeenCalled();
+  });
+});
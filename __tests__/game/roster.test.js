@@ -0,0 +1,115 @@
+/**
+ * Claiming guest pets into an account (game/roster.js), including guest pets
+ * from before claim secrets
+ */
+
+jest.mock('../../db/pool', () => ({ pool: { connect: jest.fn(), query: jest.fn() } }));
+jest.mock('../../game/simulation', () => ({ refreshPet: jest.fn() }));
+
+const crypto = require('crypto');
+const { pool } = require('../../db/pool');
+const { claimGuestPet, issueLegacyClaimSecret } = require('../../game/roster');
+const { fakeDb } = require('../helpers/fakeDb');
+
+/**
+ * Hash a claim secret the way the pets table stores it
+ * @param {string} secret
+ * @returns {string}
+ */
+function sha256(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Stand-in for one guest pet and the claiming user, answering the queries
+ * issueLegacyClaimSecret and claimGuestPet make the way Postgres would
+ * @param {Object} pet - pets row
+ * @returns {Object} fakeDb(), also answering for pool.connect()
+ */
+function petDb(pet) {
+  const db = fakeDb([
+    ['UPDATE pets SET claim_secret_hash = $2', ([id, hash]) => {
+      if (id !== pet.id || pet.owner_id !== null || pet.claim_secret_hash !== null) return [];
+      pet.claim_secret_hash = hash;
+      return [{ id }];
+    }],
+    ['SELECT id FROM pets WHERE user_id = $1 AND claim_secret_hash = $2', ([guestId, hash]) =>
+      (pet.user_id === guestId && pet.claim_secret_hash === hash ? [{ id: pet.id }] : [])],
+    ['SELECT active_pet_id FROM users', () => [{ active_pet_id: null }]],
+    ['SELECT COUNT(*) AS count FROM pets', () => [{ count: '0' }]],
+    ['UPDATE pets SET owner_id = $1', ([userId, id, , guestId, hash]) => {
+      if (id !== pet.id || pet.user_id !== guestId || pet.claim_secret_hash !== hash) return [];
+      Object.assign(pet, { owner_id: userId, user_id: null, claim_secret_hash: null });
+      return [{ ...pet }];
+    }],
+    ['UPDATE users SET active_pet_id', () => {}],
+    ['INSERT INTO memories', () => {}]
+  ]);
+  pool.query.mockImplementation(db.query);
+  pool.connect.mockResolvedValue(db);
+  return db;
+}
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('issueLegacyClaimSecret', () => {
+  test('gives an unowned pet without a secret one, once', async () => {
+    const pet = { id: 5, user_id: 'user-abc', owner_id: null, claim_secret_hash: null };
+    const db = petDb(pet);
+
+    const secret = await issueLegacyClaimSecret(db, 5);
+
+    expect(secret).toEqual(expect.any(String));
+    expect(pet.claim_secret_hash).toBe(sha256(secret));
+    expect(db.calls('UPDATE pets')).toEqual([{
+      sql: 'UPDATE pets SET claim_secret_hash = $2 WHERE id = $1 AND owner_id IS NULL AND claim_secret_hash IS NULL RETURNING id',
+      params: [5, sha256(secret)]
+    }]);
+
+    await expect(issueLegacyClaimSecret(db, 5)).resolves.toBeNull();
+    expect(pet.claim_secret_hash).toBe(sha256(secret));
+  });
+
+  test('leaves owned pets alone', async () => {
+    const pet = { id: 5, user_id: null, owner_id: 3, claim_secret_hash: null };
+    const db = petDb(pet);
+
+    await expect(issueLegacyClaimSecret(db, 5)).resolves.toBeNull();
+    expect(pet.claim_secret_hash).toBeNull();
+  });
+});
+
+describe('claimGuestPet', () => {
+  test('claims a pet from before claim secrets with the secret issued on its next visit', async () => {
+    const pet = { id: 5, user_id: 'user-abc', owner_id: null, claim_secret_hash: null };
+    const db = petDb(pet);
+
+    const secret = await issueLegacyClaimSecret(db, 5);
+    const result = await claimGuestPet(7, 'user-abc', secret);
+
+    expect(result).toMatchObject({ archived: false, pet: { id: 5, owner_id: 7, user_id: null, claim_secret_hash: null } });
+    expect(db.calls('SELECT id FROM pets')[0].params).toEqual(['user-abc', sha256(secret)]);
+    expect(db.calls('UPDATE pets SET owner_id')).toEqual([{
+      sql: expect.stringContaining('WHERE id = $2 AND user_id = $4 AND claim_secret_hash = $5'),
+      params: [7, 5, false, 'user-abc', sha256(secret)]
+    }]);
+    expect(db.calls('UPDATE users SET active_pet_id')[0].params).toEqual([5, 7]);
+    expect(db.statements()).toContain('COMMIT');
+  });
+
+  test('needs the secret, not just the fingerprint', async () => {
+    const pet = { id: 5, user_id: 'user-abc', owner_id: null, claim_secret_hash: null };
+    const db = petDb(pet);
+    await issueLegacyClaimSecret(db, 5);
+
+    await expect(claimGuestPet(7, 'user-abc', null)).resolves.toEqual({ error: 'Claim secret required', status: 400 });
+    await expect(claimGuestPet(7, 'user-abc', 'guessed')).resolves.toEqual({
+      error: 'No unclaimed pet for this guest ID',
+      status: 404
+    });
+    expect(pet.owner_id).toBeNull();
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Stand-in for a pg pool or pool client in unit tests
+ *
+ * Every query is recorded with its SQL (whitespace collapsed to single
+ * spaces) and parameters, so tests can assert on what was actually sent.
+ * Each query is answered by the first route whose pattern matches its SQL;
+ * BEGIN, COMMIT and ROLLBACK answer themselves, and any other query no
+ * route expects throws.
+ */
+
+/**
+ * Collapse whitespace so multi-line SQL can be matched against one line
+ * @param {string} sql
+ * @returns {string}
+ */
+function normalizeSql(sql) {
+  return sql.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {RegExp|string} pattern
+ * @param {string} sql - Normalized SQL
+ * @returns {boolean}
+ */
+function matches(pattern, sql) {
+  return typeof pattern === 'string' ? sql.includes(pattern) : pattern.test(sql);
+}
+
+/**
+ * Create a fake database
+ * @param {Array<Array>} routes - [pattern, handler(params, sql)] pairs; a
+ *   handler returns the result rows (or nothing for no rows)
+ * @returns {Object} { query, release, queries, calls(pattern), statements() }
+ */
+function fakeDb(routes = []) {
+  const db = {
+    queries: [],
+    release: jest.fn(),
+
+    async query(sql, params = []) {
+      const text = normalizeSql(sql);
+      db.queries.push({ sql: text, params });
+
+      if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(text)) return { rows: [], rowCount: 0 };
+
+      const route = routes.find(([pattern]) => matches(pattern, text));
+      if (!route) throw new Error(`Unexpected query: ${text}`);
+
+      const rows = (await route[1](params, text)) || [];
+      return { rows, rowCount: rows.length };
+    },
+
+    /**
+     * Queries sent so far whose SQL matches a pattern
+     * @param {RegExp|string} pattern
+     * @returns {Array<Object>} [{ sql, params }]
+     */
+    calls(pattern) {
+      return db.queries.filter(({ sql }) => matches(pattern, sql));
+    },
+
+    /**
+     * The first two words of each query sent, e.g. 'UPDATE sessions'
+     * @returns {Array<string>}
+     */
+    statements() {
+      return db.queries.map(({ sql }) => sql.split(' ').slice(0, 2).join(' '));
+    }
+  };
+  return db;
+}
+
+module.exports = { fakeDb, normalizeSql };
@@ -0,0 +1,253 @@
+/**
+ * Linked Identities
+ * The external sign-in providers (Google, Apple, ...) attached to each
+ * account. An account can have several, plus a password; it must always keep
+ * at least one way to sign in. Providers are only ever attached explicitly:
+ * at sign-up through that provider, or from the account page while signed in.
+ */
+
+const { pool } = require('../db/pool');
+
+// Providers with a configured passport strategy (see auth/passport.js)
+const providers = new Map();
+
+/**
+ * Record that a provider can be used to sign in
+ * @param {string} name - Passport strategy name
+ * @param {Object} details
+ * @param {string} details.label - Name shown on sign-in buttons
+ * @param {string} details.path - Route that starts its sign-in (or a link)
+ */
+function registerProvider(name, { label, path }) {
+  providers.set(name, { name, label, path });
+}
+
+/**
+ * Providers that can be used to sign in or be linked
+ * @returns {Array<string>}
+ */
+function configuredProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Sign-in buttons: every configured provider with its label and start path
+ * @returns {Array<Object>} [{ name, label, path }]
+ */
+function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Where a provider's sign-in starts
+ * @param {string} name - Provider name
+ * @returns {string|null} Path, or null if it isn't configured
+ */
+function providerPath(name) {
+  return providers.has(name) ? providers.get(name).path : null;
+}
+
+/**
+ * The user a provider identity belongs to (and mark it used)
+ * @param {Object} db - Pool or pool client
+ * @param {string} provider - Provider name
+ * @param {string} subject - The provider's ID for the user
+ * @returns {Promise<Object|null>} Full users row, or null
+ */
+async function findIdentityUser(db, provider, subject) {
+  const result = await db.query(`
+    UPDATE user_identities SET last_used_at = NOW()
+    WHERE provider = $1 AND subject = $2
+    RETURNING user_id
+  `, [provider, subject]);
+  if (result.rows.length === 0) return null;
+
+  const user = await db.query('SELECT * FROM users WHERE id = $1', [result.rows[0].user_id]);
+  return user.rows[0] || null;
+}
+
+/**
+ * A free username based on an email address
+ * @param {Object} db - Pool or pool client
+ * @param {string} base - Preferred username
+ * @returns {Promise<string>}
+ */
+async function uniqueUsername(db, base) {
+  let username = base;
+
+  for (let attempts = 0; attempts < 10; attempts++) {
+    const taken = await db.query('SELECT 1 FROM users WHERE username = $1', [username]);
+    if (taken.rows.length === 0) break;
+    username = `${base}${Math.floor(Math.random() * 10000)}`;
+  }
+  return username;
+}
+
+/**
+ * Create an account for someone signing up through a provider
+ * @param {string} provider - Provider name
+ * @param {Object} identity
+ * @param {string} identity.subject - The provider's ID for the user
+ * @param {string} identity.email - Email the provider reported
+ * @param {string} identity.displayName
+ * @param {string} identity.avatarUrl
+ * @returns {Promise<Object>} New users row
+ */
+async function createIdentityUser(provider, { subject, email, displayName, avatarUrl }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const username = await uniqueUsername(client, email ? email.split('@')[0] : `${provider}_user_${Date.now()}`);
+
+    const result = await client.query(`
+      INSERT INTO users (
+        username, email, oauth_provider,
+        display_name, avatar_url, email_verified, last_login_at
+      ) VALUES ($1, $2, $3, $4, $5, TRUE, NOW())
+      RETURNING *
+    `, [username, email || null, provider, displayName || null, avatarUrl || null]);
+    const user = result.rows[0];
+
+    await client.query(`
+      INSERT INTO user_identities (user_id, provider, subject, email, last_used_at)
+      VALUES ($1, $2, $3, $4, NOW())
+    `, [user.id, provider, subject, email || null]);
+
+    // Create default notification preferences
+    await client.query(
+      'INSERT INTO notification_preferences (user_id) VALUES ($1)',
+      [user.id]
+    );
+
+    await client.query('COMMIT');
+    return user;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * A user's sign-in methods
+ * @param {Object} db - Pool or pool client
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { hasPassword, identities: [{ provider, email, linked_at, last_used_at }] }
+ */
+async function listIdentities(db, userId) {
+  const user = await db.query(
+    'SELECT password_hash IS NOT NULL AS has_password FROM users WHERE id = $1',
+    [userId]
+  );
+  const result = await db.query(`
+    SELECT provider, email, created_at AS linked_at, last_used_at
+    FROM user_identities
+    WHERE user_id = $1
+    ORDER BY created_at
+  `, [userId]);
+
+  return { hasPassword: user.rows[0].has_password, identities: result.rows };
+}
+
+/**
+ * Attach a provider identity to a signed-in user
+ * @param {Object} db - Pool or pool client
+ * @param {number} userId - User ID
+ * @param {string} provider - Provider name
+ * @param {Object} identity
+ * @param {string} identity.subject - The provider's ID for the user
+ * @param {string} identity.email - Email the provider reported
+ * @returns {Promise<Object>} { identity } or { error, status }
+ */
+async function linkIdentity(db, userId, provider, { subject, email }) {
+  const existing = await db.query(`
+    SELECT user_id, subject FROM user_identities
+    WHERE provider = $1 AND (subject = $2 OR user_id = $3)
+  `, [provider, subject, userId]);
+
+  if (existing.rows.some(row => row.user_id !== userId)) {
+    return { error: 'That account is already linked to a different Pixel Buddy account', status: 409 };
+  }
+  if (existing.rows.length > 0) {
+    return existing.rows[0].subject === subject
+      ? { error: 'That account is already linked', status: 409 }
+      : { error: 'A different account from this provider is already linked; unlink it first', status: 409 };
+  }
+
+  try {
+    const result = await db.query(`
+      INSERT INTO user_identities (user_id, provider, subject, email)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [userId, provider, subject, email || null]);
+    return { identity: result.rows[0] };
+  } catch (error) {
+    // Linked elsewhere in the meantime
+    if (error.code === '23505') {
+      return { error: 'That account is already linked to a different Pixel Buddy account', status: 409 };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Detach a provider, unless it's the account's only way to sign in
+ * @param {number} userId - User ID
+ * @param {string} provider - Provider name
+ * @returns {Promise<Object>} { identity } (the one removed) or { error, status }
+ */
+async function unlinkIdentity(userId, provider) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the user so two unlinks can't each leave the other as the last method
+    const user = await client.query(
+      'SELECT password_hash IS NOT NULL AS has_password FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+    const identities = await client.query(
+      'SELECT provider FROM user_identities WHERE user_id = $1',
+      [userId]
+    );
+
+    if (!identities.rows.some(row => row.provider === provider)) {
+      await client.query('ROLLBACK');
+      return { error: `No ${provider} account is linked`, status: 404 };
+    }
+
+    if (!user.rows[0].has_password && identities.rows.length === 1) {
+      await client.query('ROLLBACK');
+      return { error: 'This is your only way to sign in. Set a password or link another account first.', status: 409 };
+    }
+
+    const result = await client.query(
+      'DELETE FROM user_identities WHERE user_id = $1 AND provider = $2 RETURNING *',
+      [userId, provider]
+    );
+
+    await client.query('COMMIT');
+    return { identity: result.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  registerProvider,
+  configuredProviders,
+  listProviders,
+  providerPath,
+  findIdentityUser,
+  createIdentityUser,
+  listIdentities,
+  linkIdentity,
+  unlinkIdentity
+};
@@ -0,0 +1,168 @@
+/**
+ * Login Lockout
+ * Failed sign-ins are counted per account (by email, whether or not it
+ * exists) and per IP. Past a few failures each new attempt has to wait a
+ * little longer; past the limit the account or IP is locked for a while.
+ * Accounts unlock by time, by the link emailed at lockout, or by an admin.
+ */
+
+const POLICIES = {
+  account: { delayAfter: 3, lockAfter: 10, lockMinutes: 30 },
+  ip: { delayAfter: 10, lockAfter: 50, lockMinutes: 60 }
+};
+
+// Failures older than this are forgotten
+const RESET_MINUTES = 60;
+
+// Progressive delay: 1s after the delayAfter-th failure, doubling up to this
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Throttle keys for a sign-in attempt
+ * @param {string} email - Email tried
+ * @param {string} ip - Request IP
+ * @returns {Array<Array<string>>} [[scope, key], ...]
+ */
+function keysFor(email, ip) {
+  return [['account', String(email).trim().toLowerCase()], ['ip', ip || 'unknown']];
+}
+
+/**
+ * Seconds to wait after `failures` failures under a policy
+ * @param {Object} policy
+ * @param {number} failures
+ * @returns {number}
+ */
+function delayFor(policy, failures) {
+  if (failures < policy.delayAfter) return 0;
+  return Math.min(MAX_DELAY_SECONDS, 2 ** (failures - policy.delayAfter));
+}
+
+/**
+ * Whether a sign-in attempt may go ahead
+ * @param {Object} db - Pool or pool client
+ * @param {Object} attempt
+ * @param {string} attempt.email - Email tried
+ * @param {string} attempt.ip - Request IP
+ * @returns {Promise<Object|null>} null if allowed, or { error, status, retryAfter, scope }
+ */
+async function checkLogin(db, { email, ip }) {
+  const keys = keysFor(email, ip);
+
+  const result = await db.query(`
+    SELECT scope, failed_count,
+           GREATEST(0, CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))) AS lock_seconds,
+           EXTRACT(EPOCH FROM (NOW() - last_failed_at)) AS seconds_since_failure
+    FROM login_throttles
+    WHERE ((scope = $1 AND key = $2) OR (scope = $3 AND key = $4))
+      AND (last_failed_at > NOW() - make_interval(mins => $5) OR locked_until > NOW())
+  `, [...keys.flat(), RESET_MINUTES]);
+
+  for (const row of result.rows) {
+    const policy = POLICIES[row.scope];
+    const what = row.scope === 'account' ? 'This account' : 'Sign-ins from your network';
+
+    const lockSeconds = parseInt(row.lock_seconds) || 0;
+    if (lockSeconds > 0) {
+      return {
+        error: `${what} is locked after too many failed sign-ins. Try again in ${Math.ceil(lockSeconds / 60)} minutes${row.scope === 'account' ? ' or use the unlock link we emailed you' : ''}.`,
+        status: 429,
+        retryAfter: lockSeconds,
+        scope: row.scope
+      };
+    }
+
+    const wait = Math.ceil(delayFor(policy, row.failed_count) - row.seconds_since_failure);
+    if (wait > 0) {
+      return {
+        error: `Too many failed sign-ins. Wait ${wait} second${wait === 1 ? '' : 's'} before trying again.`,
+        status: 429,
+        retryAfter: wait,
+        scope: row.scope
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Count a failed sign-in against the account and the IP, locking either
+ * one that reaches its limit
+ * @param {Object} db - Pool or pool client
+ * @param {Object} attempt
+ * @param {string} attempt.email - Email tried
+ * @param {string} attempt.ip - Request IP
+ * @returns {Promise<Object>} { account, ip } throttle rows, each with `justLocked`
+ */
+async function recordFailure(db, { email, ip }) {
+  const rows = {};
+
+  for (const [scope, key] of keysFor(email, ip)) {
+    const policy = POLICIES[scope];
+
+    const result = await db.query(`
+      INSERT INTO login_throttles (scope, key, failed_count, last_failed_at)
+      VALUES ($1, $2, 1, NOW())
+      ON CONFLICT (scope, key) DO UPDATE SET
+        failed_count = CASE
+          WHEN login_throttles.last_failed_at <= NOW() - make_interval(mins => $3) THEN 1
+          ELSE login_throttles.failed_count + 1
+        END,
+        last_failed_at = NOW()
+      RETURNING *
+    `, [scope, key, RESET_MINUTES]);
+    let row = result.rows[0];
+
+    // The count is kept through a lock, so once it runs out a single further
+    // failure locks again
+    let justLocked = false;
+    if (row.failed_count >= policy.lockAfter) {
+      const locked = await db.query(`
+        UPDATE login_throttles SET locked_until = NOW() + make_interval(mins => $2)
+        WHERE id = $1
+        RETURNING *
+      `, [row.id, policy.lockMinutes]);
+      row = locked.rows[0];
+      justLocked = true;
+    }
+
+    rows[scope] = { ...row, justLocked };
+  }
+  return rows;
+}
+
+/**
+ * Forget an account's failures after a successful sign-in
+ * @param {Object} db - Pool or pool client
+ * @param {string} email - Email signed in with
+ */
+async function recordSuccess(db, email) {
+  await db.query(
+    "DELETE FROM login_throttles WHERE scope = 'account' AND key = $1",
+    [String(email).trim().toLowerCase()]
+  );
+}
+
+/**
+ * Lift a lock (and its failure count)
+ * @param {Object} db - Pool or pool client
+ * @param {string} scope - 'account' or 'ip'
+ * @param {string} key - Email or IP address
+ * @returns {Promise<Object|null>} The throttle row removed, or null if nothing was tracked
+ */
+async function unlock(db, scope, key) {
+  const normalized = scope === 'account' ? String(key).trim().toLowerCase() : key;
+  const result = await db.query(
+    'DELETE FROM login_throttles WHERE scope = $1 AND key = $2 RETURNING *',
+    [scope, normalized]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  POLICIES,
+  checkLogin,
+  recordFailure,
+  recordSuccess,
+  unlock
+};
@@ -0,0 +1,197 @@
+/**
+ * OAuth Flow
+ * The browser-side safeguards around every provider sign-in. Before leaving
+ * for the provider, the state sent along is also kept in an httpOnly cookie,
+ * so a callback only completes a sign-in this browser started (no login
+ * CSRF). Once signed in, the frontend gets a one-time code in the redirect
+ * rather than tokens: it is good for 60 seconds, once, and only together with
+ * an httpOnly cookie set on the same response, so a code that leaks through
+ * history or logs is useless. Linking a provider to a signed-in account works
+ * the same way: the intent to link lives in an httpOnly cookie, never a URL.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../db/pool');
+const { generateOAuthFlowToken, verifyToken } = require('../utils/jwt');
+
+const FLOW_COOKIE_PATH = '/api/auth';
+const FLOW_COOKIE_MINUTES = 10; // Matches the flow token's expiry
+
+const LINK_COOKIE = 'identity_link';
+
+const LOGIN_CODE_SECONDS = 60;
+const EXCHANGE_COOKIE = 'oauth_exchange';
+const EXCHANGE_PATH = '/api/auth/oauth/exchange';
+
+/**
+ * Random URL-safe string
+ * @param {number} bytes
+ * @returns {string}
+ */
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * SHA-256 hex of a value (codes are only stored hashed)
+ * @param {string} value
+ * @returns {string}
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Cookie settings for a provider's flow cookie
+ * @param {boolean} formPost - The provider posts back from its own site (Apple's
+ *   form_post), which SameSite=Lax cookies aren't sent with
+ * @returns {Object}
+ */
+function flowCookieOptions(formPost) {
+  return {
+    httpOnly: true,
+    sameSite: formPost ? 'none' : 'lax',
+    secure: formPost || process.env.NODE_ENV === 'production', // SameSite=None needs Secure
+    path: FLOW_COOKIE_PATH
+  };
+}
+
+/**
+ * Remember that this browser's next provider sign-in should link the
+ * provider to its signed-in account
+ * @param {Object} res
+ * @param {string} linkToken - Identity link token (see generateIdentityLinkToken)
+ */
+function rememberLink(res, linkToken) {
+  res.cookie(LINK_COOKIE, linkToken, {
+    ...flowCookieOptions(false),
+    maxAge: FLOW_COOKIE_MINUTES * 60 * 1000 // Matches the link token's expiry
+  });
+}
+
+/**
+ * The identity link token this browser asked for, if any (its cookie is
+ * cleared, so it only applies to one sign-in)
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {string|undefined} Link token, to pass to beginFlow() as details.link
+ */
+function takeLink(req, res) {
+  const linkToken = req.cookies && req.cookies[LINK_COOKIE];
+  if (!linkToken) return undefined;
+
+  res.clearCookie(LINK_COOKIE, flowCookieOptions(false));
+  return linkToken;
+}
+
+/**
+ * Start a provider sign-in: remember it in a cookie on this browser
+ * @param {Object} res
+ * @param {string} provider - Provider name
+ * @param {Object} details - More to keep until the callback: { link } (an
+ *   identity link token, from takeLink()), and for OIDC { nonce, verifier }
+ * @param {Object} options
+ * @param {boolean} options.formPost - See flowCookieOptions()
+ * @returns {string} The state to send to the provider
+ */
+function beginFlow(res, provider, details = {}, { formPost = false } = {}) {
+  const state = randomToken(16);
+
+  res.cookie(`oauth_${provider}`, generateOAuthFlowToken({ ...details, provider, state }), {
+    ...flowCookieOptions(formPost),
+    maxAge: FLOW_COOKIE_MINUTES * 60 * 1000
+  });
+
+  return state;
+}
+
+/**
+ * The sign-in a provider callback belongs to (its cookie is cleared)
+ * @param {Object} req - Callback request; state is in the query, or the body for form posts
+ * @param {Object} res
+ * @param {string} provider - Provider name
+ * @param {Object} options - { formPost }, as given to beginFlow()
+ * @returns {Object|null} { provider, state, link?, nonce?, verifier? }, or null
+ *   if this browser didn't start a sign-in with that state
+ */
+function finishFlow(req, res, provider, { formPost = false } = {}) {
+  const cookie = req.cookies && req.cookies[`oauth_${provider}`];
+  res.clearCookie(`oauth_${provider}`, flowCookieOptions(formPost));
+
+  const state = (req.query && req.query.state) || (req.body && req.body.state);
+  if (!cookie || !state) return null;
+
+  try {
+    const flow = verifyToken(cookie);
+    return flow.type === 'oauth_flow' && flow.provider === provider && flow.state === state ? flow : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hand a finished sign-in to the frontend: store a one-time code and bind it
+ * to this browser
+ * @param {Object} res - Callback response (gets the binding cookie)
+ * @param {Object} user - User who signed in
+ * @param {string} provider - Provider name
+ * @returns {Promise<string>} Code for the redirect to the frontend
+ */
+async function issueLoginCode(res, user, provider) {
+  const code = randomToken(32);
+  const binding = randomToken(32);
+
+  // Nothing redeems an expired code, so clear them out as new ones are made
+  await pool.query('DELETE FROM oauth_login_codes WHERE expires_at < NOW()');
+  await pool.query(`
+    INSERT INTO oauth_login_codes (code_hash, binding_hash, user_id, provider, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+  `, [sha256(code), sha256(binding), user.id, provider, LOGIN_CODE_SECONDS]);
+
+  res.cookie(EXCHANGE_COOKIE, binding, {
+    httpOnly: true,
+    sameSite: 'strict', // Only sent by the app's own pages, so other sites can't redeem
+    secure: process.env.NODE_ENV === 'production',
+    path: EXCHANGE_PATH,
+    maxAge: LOGIN_CODE_SECONDS * 1000
+  });
+
+  return code;
+}
+
+/**
+ * Redeem a login code from the browser it was issued to. A code is deleted
+ * the first time it's presented with a cookie, whether or not they match.
+ * @param {Object} req - Exchange request
+ * @param {Object} res - Exchange response (the binding cookie is cleared)
+ * @param {string} code - Code from the redirect
+ * @returns {Promise<Object|null>} { user, provider } (full users row), or null
+ */
+async function redeemLoginCode(req, res, code) {
+  const binding = req.cookies && req.cookies[EXCHANGE_COOKIE];
+  res.clearCookie(EXCHANGE_COOKIE, { path: EXCHANGE_PATH });
+  if (!code || !binding) return null;
+
+  const result = await pool.query(`
+    DELETE FROM oauth_login_codes
+    WHERE code_hash = $1
+    RETURNING user_id, provider, binding_hash, expires_at > NOW() AS live
+  `, [sha256(String(code))]);
+  const row = result.rows[0];
+
+  if (!row || !row.live || row.binding_hash !== sha256(binding)) return null;
+
+  const user = await pool.query('SELECT * FROM users WHERE id = $1', [row.user_id]);
+  if (user.rows.length === 0 || !user.rows[0].is_active) return null;
+
+  return { user: user.rows[0], provider: row.provider };
+}
+
+module.exports = {
+  rememberLink,
+  takeLink,
+  beginFlow,
+  finishFlow,
+  issueLoginCode,
+  redeemLoginCode
+};
@@ -0,0 +1,300 @@
+/**
+ * Generic OpenID Connect
+ * Sign-in through any OIDC identity provider (Keycloak, Authentik, Auth0,
+ * a company SSO, ...) configured in OIDC_PROVIDERS. Endpoints and signing
+ * keys come from the provider's discovery document; the authorization code
+ * flow uses PKCE, and the nonce and code verifier are kept with the state in
+ * the flow cookie (see auth/oauthFlow.js) until the provider redirects back.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const passport = require('passport');
+const { appLink } = require('../mail');
+const { beginFlow, finishFlow } = require('./oauthFlow');
+
+// Names already taken by built-in strategies
+const RESERVED_NAMES = ['google', 'apple', 'session'];
+
+const DEFAULT_CLAIMS = {
+  subject: 'sub',
+  email: 'email',
+  displayName: 'name',
+  avatarUrl: 'picture'
+};
+
+// Discovery documents and key sets are refetched after this long
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Provider configs from OIDC_PROVIDERS (a JSON array, inline or a path to a
+ * .json file). Each entry:
+ *   { name, label, issuer, clientId, clientSecret, scopes, claims, callbackURL }
+ * Only name, issuer and clientId are required.
+ * @returns {Array<Object>} Normalised configs
+ * @throws {Error} If the setting can't be read or an entry is invalid
+ */
+function loadOidcProviders() {
+  const setting = (process.env.OIDC_PROVIDERS || '').trim();
+  if (!setting) return [];
+
+  const entries = JSON.parse(setting.startsWith('[') ? setting : fs.readFileSync(setting, 'utf8'));
+
+  const names = new Set();
+
+  return entries.map(entry => {
+    // Stored as users.oauth_provider (VARCHAR(20)) for accounts created through it
+    if (!entry.name || !/^[a-z0-9-]{1,20}$/.test(entry.name) || RESERVED_NAMES.includes(entry.name)) {
+      throw new Error(`OIDC provider needs a lowercase name of up to 20 characters other than ${RESERVED_NAMES.join(', ')} (got "${entry.name}")`);
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`OIDC provider "${entry.name}" is configured twice`);
+    }
+    names.add(entry.name);
+    if (!entry.issuer || !entry.clientId) {
+      throw new Error(`OIDC provider "${entry.name}" needs an issuer and a clientId`);
+    }
+
+    return {
+      name: entry.name,
+      label: entry.label || entry.name,
+      issuer: entry.issuer.replace(/\/$/, ''),
+      clientId: entry.clientId,
+      clientSecret: entry.clientSecret || null,
+      scopes: entry.scopes || 'openid email profile',
+      claims: { ...DEFAULT_CLAIMS, ...entry.claims },
+      callbackURL: entry.callbackURL || appLink(`/api/auth/oidc/${entry.name}/callback`)
+    };
+  });
+}
+
+/**
+ * Random URL-safe string
+ * @param {number} bytes
+ * @returns {string}
+ */
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Read a claim by name, allowing dotted paths for nested claims
+ * @param {Object} claims
+ * @param {string} path - e.g. 'email' or 'profile.avatar'
+ * @returns {*}
+ */
+function claimAt(claims, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+}
+
+class OidcStrategy extends passport.Strategy {
+  /**
+   * @param {Object} config - One entry from loadOidcProviders()
+   * @param {Function} verify - (req, identity, done) with identity
+   *   { subject, email, displayName, avatarUrl }
+   */
+  constructor(config, verify) {
+    super();
+    this.name = config.name;
+    this.config = config;
+    this.verify = verify;
+    this.metadata = null;
+    this.keys = null;
+  }
+
+  /**
+   * Passport entry point: starts the flow, or finishes it on the callback
+   * @param {Object} req
+   * @param {Object} options - { link } carries an identity link token through the flow
+   */
+  authenticate(req, options = {}) {
+    const run = req.query.code || req.query.error
+      ? this.finish(req)
+      : this.start(req, options);
+
+    run.catch(error => this.error(error));
+  }
+
+  /**
+   * The provider's discovery document
+   * @returns {Promise<Object>}
+   */
+  async discover() {
+    if (this.metadata && Date.now() - this.metadata.fetchedAt < METADATA_TTL_MS) {
+      return this.metadata.document;
+    }
+
+    const response = await axios.get(`${this.config.issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+    const document = response.data;
+
+    if (document.issuer.replace(/\/$/, '') !== this.config.issuer) {
+      throw new Error(`OIDC discovery for ${this.name} returned issuer ${document.issuer}, expected ${this.config.issuer}`);
+    }
+
+    this.metadata = { document, fetchedAt: Date.now() };
+    return document;
+  }
+
+  /**
+   * Public key for an ID token, refetching the key set once if the key ID
+   * is unknown (the provider may have rotated keys)
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<crypto.KeyObject>}
+   */
+  async signingKey(kid) {
+    for (const refresh of [false, true]) {
+      if (refresh || !this.keys || Date.now() - this.keys.fetchedAt > METADATA_TTL_MS) {
+        const { jwks_uri: jwksUri } = await this.discover();
+        const response = await axios.get(jwksUri, { timeout: 10000 });
+        this.keys = { set: response.data.keys || [], fetchedAt: Date.now() };
+      }
+
+      const jwk = this.keys.set.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+      if (jwk) return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+    throw new Error(`No signing key ${kid || ''} published by ${this.name}`);
+  }
+
+  /**
+   * Redirect to the provider's authorization endpoint
+   */
+  async start(req, options) {
+    const { authorization_endpoint: authorizationEndpoint } = await this.discover();
+
+    const nonce = randomToken(16);
+    const verifier = randomToken(32);
+    const state = beginFlow(req.res, this.name, { link: options.link, nonce, verifier });
+
+    const url = new URL(authorizationEndpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.config.clientId,
+      redirect_uri: this.config.callbackURL,
+      scope: this.config.scopes,
+      state,
+      nonce,
+      code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+      code_challenge_method: 'S256'
+    }).toString();
+
+    this.redirect(url.toString());
+  }
+
+  /**
+   * Handle the callback: check state, trade the code for tokens, verify the
+   * ID token and hand the mapped identity to the verify function
+   */
+  async finish(req) {
+    const flow = finishFlow(req, req.res, this.name);
+
+    if (req.query.error) {
+      return this.fail({ message: req.query.error_description || `Sign-in was cancelled (${req.query.error})` });
+    }
+    if (!flow) {
+      return this.fail({ message: 'Sign-in expired or was started in another browser, please try again' });
+    }
+    req.oauthFlow = flow;
+
+    const metadata = await this.discover();
+    let tokens;
+    try {
+      tokens = await this.exchangeCode(metadata, req.query.code, flow.verifier);
+    } catch (error) {
+      // A refused code (expired, already used) is a failed sign-in, not a server error
+      if (!error.response || error.response.status >= 500) throw error;
+      console.error(`OIDC ${this.name} token request refused:`, error.response.data);
+      return this.fail({ message: 'The identity provider refused the sign-in, please try again' });
+    }
+
+    const claims = await this.verifyIdToken(tokens.id_token, flow.nonce);
+    if (!claims) {
+      return this.fail({ message: 'The identity provider\'s response could not be verified' });
+    }
+
+    // The ID token may only carry `sub`; profile claims often come from userinfo
+    if (metadata.userinfo_endpoint && tokens.access_token) {
+      const response = await axios.get(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+        timeout: 10000
+      });
+      if (response.data.sub === claims.sub) Object.assign(claims, response.data, { sub: claims.sub });
+    }
+
+    if (claims.email_verified === false) {
+      return this.fail({ message: 'Your email address isn\'t verified with this provider' });
+    }
+
+    const identity = {};
+    for (const [field, claim] of Object.entries(this.config.claims)) {
+      const value = claimAt(claims, claim);
+      identity[field] = value == null ? null : String(value);
+    }
+
+    if (!identity.subject) {
+      return this.fail({ message: `The identity provider didn't send a ${this.config.claims.subject} claim` });
+    }
+
+    this.verify(req, identity, (error, user, info) => {
+      if (error) return this.error(error);
+      if (!user) return this.fail(info);
+      this.success(user, info);
+    });
+  }
+
+  /**
+   * Trade an authorization code for tokens at the token endpoint
+   * @returns {Promise<Object>} { id_token, access_token, ... }
+   */
+  async exchangeCode(metadata, code, verifier) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.config.callbackURL,
+      code_verifier: verifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    // client_secret_basic unless the provider only takes client_secret_post;
+    // public clients (no secret) rely on PKCE and just identify themselves
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (this.config.clientSecret && methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(this.config.clientId)}:${encodeURIComponent(this.config.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_id', this.config.clientId);
+      if (this.config.clientSecret) body.set('client_secret', this.config.clientSecret);
+    }
+
+    const response = await axios.post(metadata.token_endpoint, body.toString(), { headers, timeout: 10000 });
+    return response.data;
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   * @returns {Promise<Object|null>} Claims, or null if it doesn't check out
+   */
+  async verifyIdToken(idToken, nonce) {
+    const decoded = idToken && jwt.decode(idToken, { complete: true });
+    if (!decoded) return null;
+
+    try {
+      const key = await this.signingKey(decoded.header.kid);
+      const claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'ES512'],
+        issuer: [this.config.issuer, `${this.config.issuer}/`],
+        audience: this.config.clientId
+      });
+      return claims.nonce === nonce ? claims : null;
+    } catch (error) {
+      console.error(`OIDC ${this.name} ID token rejected:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  loadOidcProviders,
+  OidcStrategy
+};
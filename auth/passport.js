@@ -1,6 +1,6 @@
 /**
  * Passport OAuth Configuration
- * Google and Apple Sign In
+ * Google and Apple Sign In, plus any OpenID Connect providers in OIDC_PROVIDERS
  */
 
 const passport = require('passport');
@@ -8,132 +8,135 @@ const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const AppleStrategy = require('passport-apple').Strategy;
 const { pool } = require('../db/pool');
 const { logAudit } = require('../utils/audit');
+const { verifyToken } = require('../utils/jwt');
+const { registerProvider, findIdentityUser, createIdentityUser, linkIdentity } = require('./identities');
+const { loadOidcProviders, OidcStrategy } = require('./oidc');
 
-// ============================================================================
-// GOOGLE OAUTH STRATEGY
-// ============================================================================
+/**
+ * The signed-in user linking this provider, when the sign-in was started
+ * from the account page (see POST /api/auth/identities/:provider/link)
+ * @param {Object} req - OAuth callback request, with the checked flow as req.oauthFlow
+ * @param {string} provider - Provider name
+ * @returns {number|null} User ID
+ */
+function linkingUserId(req, provider) {
+  const link = req.oauthFlow && req.oauthFlow.link;
+  if (!link) return null;
 
-if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
-  passport.use(new GoogleStrategy({
-    clientID: process.env.GOOGLE_CLIENT_ID,
-    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-    callbackURL: process.env.GOOGLE_CALLBACK_URL || '/api/auth/google/callback',
-    passReqToCallback: true
-  }, async (req, accessToken, refreshToken, profile, done) => {
-    try {
-      // Extract user info from Google profile
-      const email = profile.emails[0].value;
-      const googleId = profile.id;
-      const displayName = profile.displayName;
-      const avatarUrl = profile.photos && profile.photos[0] ? profile.photos[0].value : null;
+  try {
+    const decoded = verifyToken(link);
+    return decoded.type === 'identity_link' && decoded.provider === provider ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-      // Check if user exists by Google ID
-      let result = await pool.query(
-        'SELECT * FROM users WHERE google_id = $1',
-        [googleId]
-      );
+/**
+ * Verify step shared by every provider: link the identity to the user who
+ * asked, sign in its owner, or sign up a new account. An existing account is
+ * never taken over just because the provider reports the same email.
+ * @param {Object} req - OAuth callback request
+ * @param {string} provider - Provider name
+ * @param {Object} identity - { subject, email, displayName, avatarUrl } from the provider
+ * @param {Function} done - Passport callback; info.linked is set for links
+ */
+async function signInWithIdentity(req, provider, identity, done) {
+  const context = {
+    controller: 'auth',
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  };
 
-      let user;
+  try {
+    const linkUserId = linkingUserId(req, provider);
+    if (linkUserId) {
+      const linked = await linkIdentity(pool, linkUserId, provider, identity);
+      if (linked.error) {
+        return done(null, false, { message: linked.error });
+      }
 
-      if (result.rows.length > 0) {
-        // User exists - update last login
-        user = result.rows[0];
+      const result = await pool.query('SELECT * FROM users WHERE id = $1', [linkUserId]);
+      const user = result.rows[0];
 
-        await pool.query(
-          'UPDATE users SET last_login_at = NOW() WHERE id = $1',
-          [user.id]
-        );
+      await logAudit({
+        ...context,
+        user,
+        itemType: 'User',
+        itemId: user.id,
+        eventType: 'update',
+        action: 'identity_linked',
+        object: { provider, email: identity.email }
+      });
 
-        // Log login
-        await logAudit({
-          user,
-          itemType: 'User',
-          itemId: user.id,
-          eventType: 'login',
-          action: 'oauth_google',
-          controller: 'auth',
-          system: null
-        });
-      } else {
-        // Check if email already exists (user might have registered locally)
-        result = await pool.query(
-          'SELECT * FROM users WHERE email = $1',
-          [email]
-        );
+      return done(null, user, { linked: provider });
+    }
 
-        if (result.rows.length > 0) {
-          // Link Google account to existing user
-          user = result.rows[0];
+    let user = await findIdentityUser(pool, provider, identity.subject);
 
-          await pool.query(
-            'UPDATE users SET google_id = $1, oauth_provider = $2, last_login_at = NOW() WHERE id = $3',
-            [googleId, 'google', user.id]
-          );
+    if (user) {
+      await pool.query(
+        'UPDATE users SET last_login_at = NOW() WHERE id = $1',
+        [user.id]
+      );
 
-          await logAudit({
-            user,
-            itemType: 'User',
-            itemId: user.id,
-            eventType: 'update',
-            action: 'oauth_link_google',
-            controller: 'auth',
-            objectChanges: { google_id: [null, googleId] }
-          });
-        } else {
-          // Create new user
-          // Generate unique username from email
-          let username = email.split('@')[0];
-          let usernameExists = true;
-          let attempts = 0;
+      await logAudit({
+        ...context,
+        user,
+        itemType: 'User',
+        itemId: user.id,
+        eventType: 'login',
+        action: `oauth_${provider}`
+      });
 
-          while (usernameExists && attempts < 10) {
-            const checkResult = await pool.query(
-              'SELECT 1 FROM users WHERE username = $1',
-              [username]
-            );
+      return done(null, user);
+    }
 
-            if (checkResult.rows.length === 0) {
-              usernameExists = false;
-            } else {
-              username = `${email.split('@')[0]}${Math.floor(Math.random() * 10000)}`;
-              attempts++;
-            }
-          }
+    if (identity.email) {
+      const existing = await pool.query('SELECT 1 FROM users WHERE email = $1', [identity.email]);
+      if (existing.rows.length > 0) {
+        return done(null, false, {
+          message: 'An account with this email already exists. Sign in to it, then link this provider from your account page.'
+        });
+      }
+    }
 
-          result = await pool.query(`
-            INSERT INTO users (
-              username, email, google_id, oauth_provider,
-              display_name, avatar_url, email_verified, last_login_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, TRUE, NOW())
-            RETURNING *
-          `, [username, email, googleId, 'google', displayName, avatarUrl]);
+    user = await createIdentityUser(provider, identity);
 
-          user = result.rows[0];
+    await logAudit({
+      ...context,
+      user,
+      itemType: 'User',
+      itemId: user.id,
+      eventType: 'create',
+      action: `register_${provider}`,
+      object: { id: user.id, email: user.email, username: user.username }
+    });
 
-          // Create default notification preferences
-          await pool.query(
-            'INSERT INTO notification_preferences (user_id) VALUES ($1)',
-            [user.id]
-          );
+    return done(null, user);
+  } catch (error) {
+    console.error(`${provider} OAuth error:`, error);
+    return done(error, null);
+  }
+}
 
-          await logAudit({
-            user,
-            itemType: 'User',
-            itemId: user.id,
-            eventType: 'create',
-            action: 'register_google',
-            controller: 'auth',
-            object: { id: user.id, email: user.email, username: user.username }
-          });
-        }
-      }
+// ============================================================================
+// GOOGLE OAUTH STRATEGY
+// ============================================================================
 
-      return done(null, user);
-    } catch (error) {
-      console.error('Google OAuth error:', error);
-      return done(error, null);
-    }
-  }));
+if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+  passport.use(new GoogleStrategy({
+    clientID: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    callbackURL: process.env.GOOGLE_CALLBACK_URL || '/api/auth/google/callback',
+    passReqToCallback: true
+  }, (req, accessToken, refreshToken, profile, done) => signInWithIdentity(req, 'google', {
+    subject: profile.id,
+    email: profile.emails && profile.emails[0] ? profile.emails[0].value : null,
+    displayName: profile.displayName,
+    avatarUrl: profile.photos && profile.photos[0] ? profile.photos[0].value : null
+  }, done)));
+
+  registerProvider('google', { label: 'Google', path: '/api/auth/google' });
 } else {
   console.warn('⚠️  Google OAuth not configured (missing GOOGLE_CLIENT_ID or GOOGLE_CLIENT_SECRET)');
 }
@@ -150,109 +153,28 @@ if (process.env.APPLE_CLIENT_ID && process.env.APPLE_TEAM_ID && process.env.APPL
     privateKeyString: process.env.APPLE_PRIVATE_KEY,
     callbackURL: process.env.APPLE_CALLBACK_URL || '/api/auth/apple/callback',
     passReqToCallback: true
-  }, async (req, accessToken, refreshToken, idToken, profile, done) => {
-    try {
-      // Apple provides minimal profile info
-      const email = profile.email;
-      const appleId = profile.sub;
-      const displayName = profile.name ? `${profile.name.firstName} ${profile.name.lastName}`.trim() : null;
-
-      // Check if user exists by Apple ID
-      let result = await pool.query(
-        'SELECT * FROM users WHERE apple_id = $1',
-        [appleId]
-      );
-
-      let user;
-
-      if (result.rows.length > 0) {
-        // User exists - update last login
-        user = result.rows[0];
-
-        await pool.query(
-          'UPDATE users SET last_login_at = NOW() WHERE id = $1',
-          [user.id]
-        );
-
-        await logAudit({
-          user,
-          itemType: 'User',
-          itemId: user.id,
-          eventType: 'login',
-          action: 'oauth_apple',
-          controller: 'auth'
-        });
-      } else {
-        // Check if email exists
-        if (email) {
-          result = await pool.query(
-            'SELECT * FROM users WHERE email = $1',
-            [email]
-          );
-
-          if (result.rows.length > 0) {
-            // Link Apple account to existing user
-            user = result.rows[0];
-
-            await pool.query(
-              'UPDATE users SET apple_id = $1, oauth_provider = $2, last_login_at = NOW() WHERE id = $3',
-              [appleId, 'apple', user.id]
-            );
-
-            await logAudit({
-              user,
-              itemType: 'User',
-              itemId: user.id,
-              eventType: 'update',
-              action: 'oauth_link_apple',
-              controller: 'auth',
-              objectChanges: { apple_id: [null, appleId] }
-            });
-
-            return done(null, user);
-          }
-        }
-
-        // Create new user
-        const username = email ? email.split('@')[0] : `apple_user_${Date.now()}`;
-
-        result = await pool.query(`
-          INSERT INTO users (
-            username, email, apple_id, oauth_provider,
-            display_name, email_verified, last_login_at
-          ) VALUES ($1, $2, $3, $4, $5, TRUE, NOW())
-          RETURNING *
-        `, [username, email || null, appleId, 'apple', displayName]);
-
-        user = result.rows[0];
-
-        // Create default notification preferences
-        await pool.query(
-          'INSERT INTO notification_preferences (user_id) VALUES ($1)',
-          [user.id]
-        );
-
-        await logAudit({
-          user,
-          itemType: 'User',
-          itemId: user.id,
-          eventType: 'create',
-          action: 'register_apple',
-          controller: 'auth',
-          object: { id: user.id, email: user.email, username: user.username }
-        });
-      }
-
-      return done(null, user);
-    } catch (error) {
-      console.error('Apple OAuth error:', error);
-      return done(error, null);
-    }
-  }));
+  }, (req, accessToken, refreshToken, idToken, profile, done) => signInWithIdentity(req, 'apple', {
+    // Apple provides minimal profile info (and the name only on first sign-in)
+    subject: profile.sub,
+    email: profile.email,
+    displayName: profile.name ? `${profile.name.firstName} ${profile.name.lastName}`.trim() : null
+  }, done)));
+
+  registerProvider('apple', { label: 'Apple', path: '/api/auth/apple' });
 } else {
   console.warn('⚠️  Apple OAuth not configured (missing APPLE_CLIENT_ID, APPLE_TEAM_ID, or APPLE_KEY_ID)');
 }
 
+// ============================================================================
+// GENERIC OPENID CONNECT PROVIDERS
+// ============================================================================
+
+// Self-hosted or company identity providers from OIDC_PROVIDERS (see auth/oidc.js)
+for (const config of loadOidcProviders()) {
+  passport.use(new OidcStrategy(config, (req, identity, done) => signInWithIdentity(req, config.name, identity, done)));
+  registerProvider(config.name, { label: config.label, path: `/api/auth/oidc/${config.name}` });
+}
+
 // ============================================================================
 // PASSPORT SERIALIZATION (for session-based auth if needed)
 // ============================================================================
@@ -1,18 +1,313 @@
 /**
  * Authentication Routes
- * Registration, Login, OAuth, Password Reset
+ * Registration, Login, Two-Factor, OAuth, Linked Accounts, Sessions, Email Verification, Password Reset
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const bcrypt = require('bcrypt');
+const rateLimit = require('express-rate-limit');
 const passport = require('./passport');
 const { pool } = require('../db/pool');
-const { generateAccessToken, generateRefreshToken, generatePasswordResetToken, verifyToken } = require('../utils/jwt');
+const {
+  generatePasswordResetToken, generateEmailVerificationToken, generateAccountUnlockToken,
+  generateIdentityLinkToken, verifyToken
+} = require('../utils/jwt');
 const { logAudit } = require('../utils/audit');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { appLink, sendEmail } = require('../mail');
+const {
+  createSession, rotateSession, listSessions, revokeSession, revokeAllSessions
+} = require('./sessions');
+const {
+  challengeFor, beginEnrollment, confirmEnrollment, verifySecondFactor, disableTwoFactor, regenerateRecoveryCodes
+} = require('./twoFactor');
+const { configuredProviders, listProviders, providerPath, listIdentities, unlinkIdentity } = require('./identities');
+const { POLICIES, checkLogin, recordFailure, recordSuccess, unlock } = require('./lockout');
+const { rememberLink, takeLink, beginFlow, finishFlow, issueLoginCode, redeemLoginCode } = require('./oauthFlow');
 
 const router = express.Router();
 
+// Page that handles the links in auth emails (?email_verified, ?reset_token, ?account_unlocked)
+const ACCOUNT_PAGE = '/auth-test.html';
+
+// Blunt cap on sign-in requests per IP; failed ones are also counted
+// more strictly per account and per IP (see auth/lockout.js)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: { error: 'Too Many Requests', message: 'Too many sign-in attempts, please slow down!' }
+});
+
+// Routes that send email, per IP; each address also has a cooldown between
+// emails (EMAIL_COOLDOWN_MINUTES), so neither can be used to flood an inbox
+const mailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: { error: 'Too Many Requests', message: 'Too many emails requested, please try again later' }
+});
+
+const EMAIL_COOLDOWN_MINUTES = 5;
+
+/**
+ * SHA-256 hex of a password reset token (only the hash is stored, which also
+ * keeps it to a fixed length however long the token is)
+ * @param {string} token
+ * @returns {string}
+ */
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Email a user a link that confirms their address
+ * @param {Object} user - User with id, email, username and display_name
+ * @returns {Promise<Object>} Transport result
+ */
+function sendVerificationEmail(user) {
+  const token = generateEmailVerificationToken(user);
+  return sendEmail('email_verification', user.email, {
+    name: user.display_name || user.username,
+    link: appLink('/api/auth/verify-email', { token })
+  });
+}
+
+/**
+ * Count a failed sign-in against the email and IP, audit it, and act on any
+ * lockout it caused (an account's owner is emailed an unlock link)
+ * @param {Object} req - Login request
+ * @param {string} email - Email tried
+ * @param {Object} user - Matching user, if there is one
+ * @param {string} reason - 'unknown_email' or 'wrong_password'
+ */
+async function recordLoginFailure(req, email, user, reason) {
+  const throttles = await recordFailure(pool, { email, ip: req.ip });
+  const context = {
+    system: 'login_guard',
+    itemType: 'LoginThrottle',
+    eventType: 'login',
+    controller: 'auth',
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  };
+
+  await logAudit({
+    ...context,
+    user,
+    itemId: throttles.account.id,
+    action: 'login_failed',
+    object: {
+      email,
+      reason,
+      account_failures: throttles.account.failed_count,
+      ip_failures: throttles.ip.failed_count
+    }
+  });
+
+  if (throttles.account.justLocked) {
+    await logAudit({
+      ...context,
+      user,
+      itemId: throttles.account.id,
+      action: 'account_locked',
+      object: { email, locked_until: throttles.account.locked_until }
+    });
+
+    if (user) {
+      try {
+        await sendEmail('account_locked', user.email, {
+          name: user.display_name || user.username,
+          minutes: POLICIES.account.lockMinutes,
+          link: appLink('/api/auth/unlock', { token: generateAccountUnlockToken(user) })
+        });
+      } catch (error) {
+        console.error('Account locked email error:', error);
+      }
+    }
+  }
+
+  if (throttles.ip.justLocked) {
+    await logAudit({
+      ...context,
+      itemId: throttles.ip.id,
+      action: 'ip_locked',
+      object: { ip: req.ip, locked_until: throttles.ip.locked_until }
+    });
+  }
+}
+
+/**
+ * Finish a sign-in whose every step has passed: clear failed attempts, log
+ * it, open a session and send the tokens
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} user - Full users row
+ * @param {Object} extra
+ * @param {string} extra.twoFactor - Second factor used ('totp' or 'recovery_code'), if any
+ * @param {Object} extra.response - More fields for the response body
+ */
+async function completeLogin(req, res, user, { twoFactor, response } = {}) {
+  await recordSuccess(pool, user.email);
+
+  // Update last login
+  await pool.query(
+    'UPDATE users SET last_login_at = NOW() WHERE id = $1',
+    [user.id]
+  );
+
+  // Log login
+  await logAudit({
+    user,
+    itemType: 'User',
+    itemId: user.id,
+    eventType: 'login',
+    action: 'login',
+    controller: 'auth',
+    object: twoFactor ? { two_factor: twoFactor } : undefined,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  // Open a session
+  const { accessToken, refreshToken } = await createSession(user, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.json({
+    success: true,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      displayName: user.display_name,
+      avatarUrl: user.avatar_url,
+      role: user.role
+    },
+    tokens: {
+      accessToken,
+      refreshToken
+    },
+    ...response
+  });
+}
+
+/**
+ * Check that an OAuth callback belongs to a sign-in this browser started
+ * (OIDC providers check their own, see auth/oidc.js)
+ * @param {string} provider - Strategy name
+ * @param {Object} options - { formPost } for providers that post back
+ * @returns {Function} Middleware; sets req.oauthFlow
+ */
+function checkOAuthFlow(provider, options) {
+  return (req, res, next) => {
+    const flow = finishFlow(req, res, provider, options);
+    if (!flow) {
+      return res.redirect(appLink(ACCOUNT_PAGE, {
+        oauth_error: 'Sign-in expired or was started in another browser, please try again'
+      }));
+    }
+
+    req.oauthFlow = flow;
+    next();
+  };
+}
+
+/**
+ * Passport middleware for an OAuth callback. Refusals (e.g. the email belongs
+ * to another account) go back to the account page with the reason.
+ * @param {string} provider - Strategy name
+ * @returns {Function} Middleware
+ */
+function oauthCallback(provider) {
+  return (req, res, next) => {
+    passport.authenticate(provider, { session: false }, (error, user, info) => {
+      if (error || !user) {
+        const message = !error && info && info.message ? info.message : 'Sign-in failed, please try again';
+        return res.redirect(appLink(ACCOUNT_PAGE, { oauth_error: message }));
+      }
+
+      req.user = user;
+      req.authInfo = info;
+      next();
+    })(req, res, next);
+  };
+}
+
+/**
+ * Finish an OAuth callback that linked a provider to a signed-in user
+ * @returns {boolean} True if it was a link (and a response was sent)
+ */
+function finishLink(req, res) {
+  if (!req.authInfo || !req.authInfo.linked) return false;
+  res.redirect(appLink(ACCOUNT_PAGE, { identity_linked: req.authInfo.linked }));
+  return true;
+}
+
+/**
+ * Last step of every OAuth/OIDC callback: finish a link, or send the frontend
+ * a one-time code to trade for a session (or, for 2FA accounts, for the
+ * two-factor challenge). Neither tokens nor challenges go in the URL, where
+ * history and logs would keep them.
+ */
+async function finishOAuthSignIn(req, res) {
+  try {
+    if (finishLink(req, res)) return;
+
+    // The frontend trades this at POST /api/auth/oauth/exchange
+    const code = await issueLoginCode(res, req.user, req.oauthFlow.provider);
+
+    // 2FA accounts finish signing in on the account page
+    if (challengeFor(req.user)) {
+      return res.redirect(appLink(ACCOUNT_PAGE, { oauth_code: code }));
+    }
+
+    const redirectUrl = new URL(process.env.OAUTH_REDIRECT_URL || 'http://localhost:3000');
+    redirectUrl.searchParams.set('oauth_code', code);
+    res.redirect(redirectUrl.toString());
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    res.redirect('/login?error=token_generation_failed');
+  }
+}
+
+/**
+ * Read a two-factor challenge token
+ * @param {string} token - Challenge token from the password (or OAuth) step
+ * @param {string} purpose - 'verify' or 'enroll'
+ * @returns {Object|null} Decoded payload, or null if it isn't a valid one for that purpose
+ */
+function readChallenge(token, purpose) {
+  try {
+    const decoded = verifyToken(token);
+    return decoded.type === 'two_factor_challenge' && decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Authenticate 2FA setup requests: a signed-in user, or an account that must
+ * enroll before it can sign in (enroll challenge token in the body)
+ */
+function authenticateOrEnrollChallenge(req, res, next) {
+  if (!req.body.challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  const decoded = readChallenge(req.body.challengeToken, 'enroll');
+  if (!decoded) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Sign-in expired, please sign in again'
+    });
+  }
+
+  req.userId = decoded.id;
+  req.enrolling = true;
+  next();
+}
+
 // ============================================================================
 // LOCAL REGISTRATION
 // ============================================================================
@@ -101,9 +396,18 @@ router.post('/register', async (req, res) => {
       userAgent: req.get('user-agent')
     });
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // A mail outage shouldn't stop sign-up; they can ask for another link
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    // Open a session
+    const { accessToken, refreshToken } = await createSession(user, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
 
     res.status(201).json({
       success: true,
@@ -131,7 +435,7 @@ router.post('/register', async (req, res) => {
 // LOCAL LOGIN
 // ============================================================================
 
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -142,6 +446,18 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Locked out or still waiting after recent failures: refused before the
+    // password is even checked
+    const blocked = await checkLogin(pool, { email, ip: req.ip });
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        error: 'Too Many Requests',
+        message: blocked.error,
+        retryAfter: blocked.retryAfter
+      });
+    }
+
     // Find user by email
     const result = await pool.query(
       'SELECT * FROM users WHERE email = $1',
@@ -149,6 +465,7 @@ router.post('/login', async (req, res) => {
     );
 
     if (result.rows.length === 0) {
+      await recordLoginFailure(req, email, null, 'unknown_email');
       return res.status(401).json({
         error: 'Unauthorized',
         message: 'Invalid email or password'
@@ -168,6 +485,7 @@ router.post('/login', async (req, res) => {
     // Verify password
     const validPassword = await bcrypt.compare(password, user.password_hash);
     if (!validPassword) {
+      await recordLoginFailure(req, email, user, 'wrong_password');
       return res.status(401).json({
         error: 'Unauthorized',
         message: 'Invalid email or password'
@@ -182,45 +500,81 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Update last login
-    await pool.query(
-      'UPDATE users SET last_login_at = NOW() WHERE id = $1',
-      [user.id]
-    );
+    // 2FA accounts get a challenge instead of a session. Failed attempts are
+    // only cleared once the code is right, so guesses at it still count.
+    const challenge = challengeFor(user);
+    if (challenge) {
+      return res.json({ success: true, ...challenge });
+    }
 
-    // Log login
-    await logAudit({
-      user,
-      itemType: 'User',
-      itemId: user.id,
-      eventType: 'login',
-      action: 'login',
-      controller: 'auth',
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to login'
     });
+  }
+});
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+// Second step: the challenge token from /login (or /oauth/exchange) plus
+// an authenticator or recovery code
+router.post('/login/2fa', loginLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
 
-    res.json({
-      success: true,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        displayName: user.display_name,
-        avatarUrl: user.avatar_url,
-        role: user.role
-      },
-      tokens: {
-        accessToken,
-        refreshToken
-      }
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Challenge token and code are required'
+      });
+    }
+
+    const decoded = readChallenge(challengeToken, 'verify');
+    if (!decoded) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Sign-in expired, please sign in again'
+      });
+    }
+
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [decoded.id]);
+    const user = result.rows[0];
+
+    if (!user || !user.is_active) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not found or inactive'
+      });
+    }
+
+    const blocked = await checkLogin(pool, { email: user.email, ip: req.ip });
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        error: 'Too Many Requests',
+        message: blocked.error,
+        retryAfter: blocked.retryAfter
+      });
+    }
+
+    const verified = await verifySecondFactor(pool, user.id, code);
+    if (!verified) {
+      await recordLoginFailure(req, user.email, user, 'wrong_2fa_code');
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await completeLogin(req, res, user, {
+      twoFactor: verified.method,
+      response: verified.method === 'recovery_code'
+        ? { remainingRecoveryCodes: verified.remainingRecoveryCodes }
+        : undefined
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       error: 'Internal Server Error',
       message: 'Failed to login'
@@ -232,54 +586,122 @@ router.post('/login', async (req, res) => {
 // GOOGLE OAUTH
 // ============================================================================
 
-router.get('/google',
+// After POST /identities/google/link, this browser links instead of signing in
+router.get('/google', (req, res, next) => {
   passport.authenticate('google', {
     scope: ['profile', 'email'],
-    session: false
-  })
+    session: false,
+    state: beginFlow(res, 'google', { link: takeLink(req, res) })
+  })(req, res, next);
+});
+
+router.get('/google/callback', checkOAuthFlow('google'), oauthCallback('google'), finishOAuthSignIn);
+
+// ============================================================================
+// APPLE OAUTH
+// ============================================================================
+
+// Apple posts the callback from its own site (form_post)
+router.get('/apple', (req, res, next) => {
+  passport.authenticate('apple', {
+    session: false,
+    state: beginFlow(res, 'apple', { link: takeLink(req, res) }, { formPost: true })
+  })(req, res, next);
+});
+
+router.post('/apple/callback',
+  checkOAuthFlow('apple', { formPost: true }),
+  oauthCallback('apple'),
+  finishOAuthSignIn
 );
 
-router.get('/google/callback',
-  passport.authenticate('google', { session: false, failureRedirect: '/login?error=oauth_failed' }),
-  (req, res) => {
-    try {
-      // Generate tokens
-      const accessToken = generateAccessToken(req.user);
-      const refreshToken = generateRefreshToken(req.user);
+// ============================================================================
+// OPENID CONNECT (providers configured in OIDC_PROVIDERS)
+// ============================================================================
 
-      // Redirect to frontend with tokens
-      const redirectUrl = process.env.OAUTH_REDIRECT_URL || 'http://localhost:3000';
-      res.redirect(`${redirectUrl}?access_token=${accessToken}&refresh_token=${refreshToken}`);
-    } catch (error) {
-      console.error('OAuth callback error:', error);
-      res.redirect('/login?error=token_generation_failed');
-    }
+/**
+ * 404 for provider names that aren't configured OIDC providers
+ */
+function requireOidcProvider(req, res, next) {
+  if (providerPath(req.params.provider) !== `/api/auth/oidc/${req.params.provider}`) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Unknown sign-in provider'
+    });
   }
+  next();
+}
+
+router.get('/oidc/:provider', requireOidcProvider, (req, res, next) => {
+  passport.authenticate(req.params.provider, { session: false, link: takeLink(req, res) })(req, res, next);
+});
+
+router.get('/oidc/:provider/callback',
+  requireOidcProvider,
+  (req, res, next) => oauthCallback(req.params.provider)(req, res, next),
+  finishOAuthSignIn
 );
 
+// Every configured sign-in provider, for login buttons
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: listProviders()
+  });
+});
+
 // ============================================================================
-// APPLE OAUTH
+// OAUTH CODE EXCHANGE
 // ============================================================================
 
-router.get('/apple',
-  passport.authenticate('apple', { session: false })
-);
+// Trade the one-time code from an OAuth redirect (?oauth_code=) for a session,
+// or for a 2FA account, the same challenge /login gives after a password.
+// Only works from the browser the sign-in happened in (httpOnly cookie).
+router.post('/oauth/exchange', loginLimiter, async (req, res) => {
+  try {
+    const redeemed = await redeemLoginCode(req, res, req.body.code);
+    if (!redeemed) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'This sign-in has expired or was already used, please sign in again'
+      });
+    }
 
-router.post('/apple/callback',
-  passport.authenticate('apple', { session: false, failureRedirect: '/login?error=oauth_failed' }),
-  (req, res) => {
-    try {
-      const accessToken = generateAccessToken(req.user);
-      const refreshToken = generateRefreshToken(req.user);
+    const { user } = redeemed;
 
-      const redirectUrl = process.env.OAUTH_REDIRECT_URL || 'http://localhost:3000';
-      res.redirect(`${redirectUrl}?access_token=${accessToken}&refresh_token=${refreshToken}`);
-    } catch (error) {
-      console.error('OAuth callback error:', error);
-      res.redirect('/login?error=token_generation_failed');
+    const challenge = challengeFor(user);
+    if (challenge) {
+      return res.json({ success: true, ...challenge });
     }
+
+    const { accessToken, refreshToken } = await createSession(user, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        displayName: user.display_name,
+        avatarUrl: user.avatar_url,
+        role: user.role
+      },
+      tokens: {
+        accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('OAuth exchange error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to complete sign-in'
+    });
   }
-);
+});
 
 // ============================================================================
 // REFRESH TOKEN
@@ -296,46 +718,37 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    let decoded;
-    try {
-      decoded = verifyToken(refreshToken);
-    } catch (error) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Invalid or expired refresh token'
-      });
-    }
+    // Each refresh token works once; the response carries its replacement
+    const result = await rotateSession(refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
 
-    // Check if it's a refresh token
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Not a valid refresh token'
+    if (result.reused) {
+      await logAudit({
+        system: 'session_guard',
+        itemType: 'User',
+        itemId: result.reused.user_id,
+        eventType: 'update',
+        action: 'refresh_token_reuse',
+        controller: 'auth',
+        object: { session_id: result.reused.id },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
       });
     }
 
-    // Get user
-    const result = await pool.query(
-      'SELECT id, username, email, display_name, avatar_url, role, is_active FROM users WHERE id = $1',
-      [decoded.id]
-    );
-
-    if (result.rows.length === 0 || !result.rows[0].is_active) {
-      return res.status(401).json({
+    if (result.error) {
+      return res.status(result.status).json({
         error: 'Unauthorized',
-        message: 'User not found or inactive'
+        message: result.error
       });
     }
 
-    const user = result.rows[0];
-
-    // Generate new access token
-    const newAccessToken = generateAccessToken(user);
-
     res.json({
       success: true,
-      accessToken: newAccessToken
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken
     });
   } catch (error) {
     console.error('Token refresh error:', error);
@@ -353,7 +766,9 @@ router.post('/refresh', async (req, res) => {
 router.get('/me', authenticate, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, username, email, display_name, avatar_url, role, email_verified, created_at FROM users WHERE id = $1',
+      `SELECT id, username, email, display_name, avatar_url, role, email_verified, created_at,
+              totp_enabled_at IS NOT NULL AS two_factor_enabled
+       FROM users WHERE id = $1`,
       [req.userId]
     );
 
@@ -378,11 +793,13 @@ router.get('/me', authenticate, async (req, res) => {
 });
 
 // ============================================================================
-// LOGOUT (client-side token removal, but we can log it)
+// LOGOUT & SESSIONS
 // ============================================================================
 
 router.post('/logout', authenticate, async (req, res) => {
   try {
+    await revokeSession(pool, req.userId, req.sessionId, 'logout');
+
     // Log logout event
     await logAudit({
       user: req.user,
@@ -408,54 +825,663 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
-// ============================================================================
-// PASSWORD RESET REQUEST
-// ============================================================================
-
-router.post('/password-reset/request', async (req, res) => {
+// Sign out every device, this one included
+router.post('/logout-all', authenticate, async (req, res) => {
   try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Email is required'
-      });
-    }
-
-    const result = await pool.query(
-      'SELECT * FROM users WHERE email = $1',
-      [email]
-    );
-
-    // Always return success (don't leak if email exists)
-    if (result.rows.length === 0) {
-      return res.json({
-        success: true,
-        message: 'If the email exists, a password reset link has been sent'
-      });
-    }
-
-    const user = result.rows[0];
-
-    // Generate reset token
-    const resetToken = generatePasswordResetToken(user);
-
-    // Store token in database
-    await pool.query(
-      'UPDATE users SET password_reset_token = $1, password_reset_expires = NOW() + INTERVAL \'1 hour\' WHERE id = $2',
-      [resetToken, user.id]
-    );
-
-    // TODO: Send email with reset link
-    // For now, just log it
-    console.log(`Password reset token for ${email}: ${resetToken}`);
+    const count = await revokeAllSessions(pool, req.userId, 'logout_all');
 
     await logAudit({
-      user,
+      user: req.user,
       itemType: 'User',
-      itemId: user.id,
-      eventType: 'update',
+      itemId: req.userId,
+      eventType: 'logout',
+      action: 'logout_all',
+      controller: 'auth',
+      object: { sessions_revoked: count },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: `Signed out of ${count} session${count === 1 ? '' : 's'}`
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to sign out sessions'
+    });
+  }
+});
+
+// Devices currently signed in
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sessions: await listSessions(pool, req.userId, req.sessionId)
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list sessions'
+    });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId);
+
+    if (!(await revokeSession(pool, req.userId, sessionId, 'revoked'))) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+
+    await logAudit({
+      user: req.user,
+      itemType: 'User',
+      itemId: req.userId,
+      eventType: 'logout',
+      action: 'session_revoked',
+      controller: 'auth',
+      object: { session_id: sessionId },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to sign out session'
+    });
+  }
+});
+
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================================================
+
+// Start enrolling an authenticator; the secret goes live once /2fa/enable
+// gets a code from it
+router.post('/2fa/setup', authenticateOrEnrollChallenge, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, totp_enabled_at FROM users WHERE id = $1',
+      [req.userId]
+    );
+
+    const enrollment = await beginEnrollment(pool, result.rows[0]);
+    if (enrollment.error) {
+      return res.status(enrollment.status).json({
+        error: 'Conflict',
+        message: enrollment.error
+      });
+    }
+
+    res.json({
+      success: true,
+      secret: enrollment.secret,
+      otpauthUrl: enrollment.otpauthUrl
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Turn 2FA on. Returns the recovery codes (only ever shown here); when
+// enrolling during sign-in, also opens the session.
+router.post('/2fa/enable', authenticateOrEnrollChallenge, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Code is required'
+      });
+    }
+
+    const enrolled = await confirmEnrollment(pool, req.userId, code);
+    if (enrolled.error) {
+      return res.status(enrolled.status).json({
+        error: enrolled.status === 401 ? 'Unauthorized' : 'Bad Request',
+        message: enrolled.error
+      });
+    }
+
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.userId]);
+    const user = result.rows[0];
+
+    await logAudit({
+      user,
+      itemType: 'User',
+      itemId: user.id,
+      eventType: 'update',
+      action: 'two_factor_enabled',
+      controller: 'auth',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (req.enrolling) {
+      return completeLogin(req, res, user, {
+        twoFactor: 'totp',
+        response: { recoveryCodes: enrolled.recoveryCodes }
+      });
+    }
+
+    res.json({
+      success: true,
+      recoveryCodes: enrolled.recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to turn on two-factor authentication'
+    });
+  }
+});
+
+router.post('/2fa/disable', authenticate, async (req, res) => {
+  try {
+    const disabled = await disableTwoFactor(pool, req.user, req.body.code);
+    if (disabled.error) {
+      return res.status(disabled.status).json({
+        error: disabled.status === 401 ? 'Unauthorized' : 'Forbidden',
+        message: disabled.error
+      });
+    }
+
+    await logAudit({
+      user: req.user,
+      itemType: 'User',
+      itemId: req.userId,
+      eventType: 'update',
+      action: 'two_factor_disabled',
+      controller: 'auth',
+      object: { verified_with: disabled.method },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication turned off'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to turn off two-factor authentication'
+    });
+  }
+});
+
+router.post('/2fa/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const regenerated = await regenerateRecoveryCodes(pool, req.userId, req.body.code);
+    if (regenerated.error) {
+      return res.status(regenerated.status).json({
+        error: 'Unauthorized',
+        message: regenerated.error
+      });
+    }
+
+    await logAudit({
+      user: req.user,
+      itemType: 'User',
+      itemId: req.userId,
+      eventType: 'update',
+      action: 'recovery_codes_regenerated',
+      controller: 'auth',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      recoveryCodes: regenerated.recoveryCodes
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+// ============================================================================
+// LINKED ACCOUNTS
+// ============================================================================
+
+// Sign-in methods: password and linked providers, plus the providers available
+router.get('/identities', authenticate, async (req, res) => {
+  try {
+    const { hasPassword, identities } = await listIdentities(pool, req.userId);
+
+    res.json({
+      success: true,
+      hasPassword,
+      identities,
+      providers: configuredProviders()
+    });
+  } catch (error) {
+    console.error('List identities error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list linked accounts'
+    });
+  }
+});
+
+// Start linking a provider: the client opens the returned URL, which runs the
+// provider's sign-in and comes back to the account page (?identity_linked=).
+// The link itself is bound to this browser with an httpOnly cookie, so the
+// URL carries nothing that would let anyone else link to this account.
+router.post('/identities/:provider/link', authenticate, (req, res) => {
+  const { provider } = req.params;
+
+  const path = providerPath(provider);
+
+  if (!path) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Sign-in with ${provider} isn't available`
+    });
+  }
+
+  rememberLink(res, generateIdentityLinkToken(req.user, provider));
+  res.json({
+    success: true,
+    url: path
+  });
+});
+
+router.delete('/identities/:provider', authenticate, async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    const result = await unlinkIdentity(req.userId, provider);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.status === 404 ? 'Not Found' : 'Conflict',
+        message: result.error
+      });
+    }
+
+    await logAudit({
+      user: req.user,
+      itemType: 'User',
+      itemId: req.userId,
+      eventType: 'update',
+      action: 'identity_unlinked',
+      controller: 'auth',
+      object: { provider, email: result.identity.email },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: `${provider} account unlinked`
+    });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to unlink account'
+    });
+  }
+});
+
+// Give an account that signs in with a provider a password as well
+router.post('/password', authenticate, async (req, res) => {
+  try {
+    const { newPassword } = req.body;
+
+    if (!newPassword || newPassword.length < 8) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Password must be at least 8 characters'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    const result = await pool.query(
+      'UPDATE users SET password_hash = $2 WHERE id = $1 AND password_hash IS NULL RETURNING id',
+      [req.userId, passwordHash]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This account already has a password; use password reset to change it'
+      });
+    }
+
+    await logAudit({
+      user: req.user,
+      itemType: 'User',
+      itemId: req.userId,
+      eventType: 'update',
+      action: 'password_set',
+      controller: 'auth',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Password set; you can now sign in with your email'
+    });
+  } catch (error) {
+    console.error('Set password error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to set password'
+    });
+  }
+});
+
+// ============================================================================
+// EMAIL VERIFICATION
+// ============================================================================
+
+// Link from the verification email. Browsers are sent on to the account page;
+// API clients get JSON.
+router.get('/verify-email', async (req, res) => {
+  const respond = (status, body) => {
+    if (req.accepts(['json', 'html']) === 'html') {
+      const params = status === 200 ? { email_verified: 'true' } : { email_error: body.message };
+      return res.redirect(appLink(ACCOUNT_PAGE, params));
+    }
+    res.status(status).json(body);
+  };
+
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return respond(400, { error: 'Bad Request', message: 'Verification token is required' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (error) {
+      return respond(401, { error: 'Unauthorized', message: 'Invalid or expired verification link' });
+    }
+
+    if (decoded.type !== 'email_verification') {
+      return respond(401, { error: 'Unauthorized', message: 'Not a valid verification link' });
+    }
+
+    // The link only verifies the address it was sent to
+    const result = await pool.query(`
+      UPDATE users SET email_verified = TRUE
+      WHERE id = $1 AND email = $2
+      RETURNING id
+    `, [decoded.id, decoded.email]);
+
+    if (result.rows.length === 0) {
+      return respond(401, { error: 'Unauthorized', message: 'This link is for an email address no longer on the account' });
+    }
+
+    await logAudit({
+      user: { id: decoded.id, email: decoded.email },
+      itemType: 'User',
+      itemId: decoded.id,
+      eventType: 'update',
+      action: 'email_verified',
+      controller: 'auth',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    respond(200, { success: true, message: 'Email verified' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    respond(500, { error: 'Internal Server Error', message: 'Failed to verify email' });
+  }
+});
+
+router.post('/verify-email/resend', mailLimiter, authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, username, email, display_name, email_verified FROM users WHERE id = $1',
+      [req.userId]
+    );
+    const user = result.rows[0];
+
+    if (user.email_verified) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Email is already verified'
+      });
+    }
+
+    // One resend per address per cooldown
+    const claimed = await pool.query(`
+      UPDATE users SET verification_sent_at = NOW()
+      WHERE id = $1 AND (verification_sent_at IS NULL OR verification_sent_at <= NOW() - make_interval(mins => $2))
+      RETURNING id
+    `, [user.id, EMAIL_COOLDOWN_MINUTES]);
+    if (claimed.rows.length === 0) {
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `A verification email was sent recently. Check your inbox, or try again in ${EMAIL_COOLDOWN_MINUTES} minutes.`
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    await logAudit({
+      user,
+      itemType: 'User',
+      itemId: user.id,
+      eventType: 'update',
+      action: 'verification_email_sent',
+      controller: 'auth',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Verification resend error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
+// ============================================================================
+// ACCOUNT UNLOCK
+// ============================================================================
+
+// Link from the lockout email. Like /verify-email, browsers are sent on to
+// the account page and API clients get JSON.
+router.get('/unlock', async (req, res) => {
+  const respond = (status, body) => {
+    if (req.accepts(['json', 'html']) === 'html') {
+      const params = status === 200 ? { account_unlocked: 'true' } : { unlock_error: body.message };
+      return res.redirect(appLink(ACCOUNT_PAGE, params));
+    }
+    res.status(status).json(body);
+  };
+
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return respond(400, { error: 'Bad Request', message: 'Unlock token is required' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (error) {
+      return respond(401, { error: 'Unauthorized', message: 'Invalid or expired unlock link' });
+    }
+
+    if (decoded.type !== 'account_unlock') {
+      return respond(401, { error: 'Unauthorized', message: 'Not a valid unlock link' });
+    }
+
+    const throttle = await unlock(pool, 'account', decoded.email);
+
+    if (throttle) {
+      await logAudit({
+        user: { id: decoded.id, email: decoded.email },
+        itemType: 'LoginThrottle',
+        itemId: throttle.id,
+        eventType: 'update',
+        action: 'account_unlocked',
+        controller: 'auth',
+        object: { email: decoded.email, by: 'email' },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    }
+
+    respond(200, { success: true, message: 'Account unlocked' });
+  } catch (error) {
+    console.error('Account unlock error:', error);
+    respond(500, { error: 'Internal Server Error', message: 'Failed to unlock account' });
+  }
+});
+
+// Admins can lift a lockout on an account (by email) or an IP
+router.post('/admin/unlock', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { email, ip } = req.body;
+
+    if ((email && ip) || (!email && !ip)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Give either an email or an IP address'
+      });
+    }
+
+    const scope = email ? 'account' : 'ip';
+    const throttle = await unlock(pool, scope, email || ip);
+
+    if (!throttle) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No failed sign-ins recorded for that ${email ? 'email' : 'IP address'}`
+      });
+    }
+
+    await logAudit({
+      user: req.user,
+      itemType: 'LoginThrottle',
+      itemId: throttle.id,
+      eventType: 'update',
+      action: email ? 'account_unlocked' : 'ip_unlocked',
+      controller: 'auth',
+      object: { email, ip, by: 'admin', failed_count: throttle.failed_count, locked_until: throttle.locked_until },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: email ? 'Account unlocked' : 'IP address unlocked'
+    });
+  } catch (error) {
+    console.error('Admin unlock error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to unlock'
+    });
+  }
+});
+
+// ============================================================================
+// PASSWORD RESET REQUEST
+// ============================================================================
+
+router.post('/password-reset/request', mailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Email is required'
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM users WHERE email = $1',
+      [email]
+    );
+
+    // Always return success (don't leak if email exists)
+    if (result.rows.length === 0) {
+      return res.json({
+        success: true,
+        message: 'If the email exists, a password reset link has been sent'
+      });
+    }
+
+    const user = result.rows[0];
+
+    // Generate reset token
+    const resetToken = generatePasswordResetToken(user);
+
+    // Store its hash, unless this address was sent a link moments ago. The
+    // response is the same either way, so it still doesn't reveal the account.
+    const stored = await pool.query(`
+      UPDATE users SET password_reset_token = $1, password_reset_expires = NOW() + INTERVAL '1 hour',
+                       password_reset_sent_at = NOW()
+      WHERE id = $2 AND (password_reset_sent_at IS NULL OR password_reset_sent_at <= NOW() - make_interval(mins => $3))
+      RETURNING id
+    `, [hashResetToken(resetToken), user.id, EMAIL_COOLDOWN_MINUTES]);
+    if (stored.rows.length === 0) {
+      return res.json({
+        success: true,
+        message: 'If the email exists, a password reset link has been sent'
+      });
+    }
+
+    // Failures are logged, not returned, so the response never reveals whether the email exists
+    try {
+      await sendEmail('password_reset', user.email, {
+        name: user.display_name || user.username,
+        link: appLink(ACCOUNT_PAGE, { reset_token: resetToken })
+      });
+    } catch (error) {
+      console.error('Password reset email error:', error);
+    }
+
+    await logAudit({
+      user,
+      itemType: 'User',
+      itemId: user.id,
+      eventType: 'update',
       action: 'password_reset_request',
       controller: 'auth'
     });
@@ -517,11 +1543,24 @@ router.post('/password-reset/confirm', async (req, res) => {
     // Hash new password
     const passwordHash = await bcrypt.hash(newPassword, 10);
 
-    // Update password
-    await pool.query(
-      'UPDATE users SET password_hash = $1, password_reset_token = NULL, password_reset_expires = NULL WHERE id = $2',
-      [passwordHash, decoded.id]
-    );
+    // Only the latest link works, and only once: the stored token must match
+    const result = await pool.query(`
+      UPDATE users SET password_hash = $1, password_reset_token = NULL, password_reset_expires = NULL
+      WHERE id = $2 AND password_reset_token = $3 AND password_reset_expires > NOW()
+      RETURNING id, email
+    `, [passwordHash, decoded.id, hashResetToken(token)]);
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'This reset link has already been used or replaced'
+      });
+    }
+
+    // Whoever had the old password is signed out everywhere, and the owner
+    // is no longer locked out by their guesses
+    const count = await revokeAllSessions(pool, decoded.id, 'password_changed');
+    await unlock(pool, 'account', result.rows[0].email);
 
     await logAudit({
       user: { id: decoded.id, email: decoded.email },
@@ -529,7 +1568,8 @@ router.post('/password-reset/confirm', async (req, res) => {
       itemId: decoded.id,
       eventType: 'update',
       action: 'password_reset',
-      controller: 'auth'
+      controller: 'auth',
+      object: { sessions_revoked: count }
     });
 
     res.json({
@@ -0,0 +1,224 @@
+/**
+ * Sessions
+ * Every sign-in opens a session row. Access and refresh tokens carry its id
+ * (`sid`), so a session can be signed out on its own or along with all the
+ * others. Refresh tokens are single-use: each refresh rotates to a new one,
+ * and presenting an old one again is treated as theft and ends the session.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../db/pool');
+const { generateAccessToken, generateRefreshToken, verifyToken, decodeToken } = require('../utils/jwt');
+
+// Two tabs refreshing at once both send the same token; the loser within this
+// window gets a plain 401 instead of having the session killed
+const REUSE_GRACE_SECONDS = 30;
+
+/**
+ * A random refresh token ID
+ * @returns {string}
+ */
+function newJti() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Sign an access/refresh token pair for a session
+ * @param {Object} user - User row
+ * @param {number} sessionId - sessions.id
+ * @param {string} jti - The session's current refresh token ID
+ * @returns {{ accessToken: string, refreshToken: string, expiresAt: number }}
+ */
+function signTokens(user, sessionId, jti) {
+  const refreshToken = generateRefreshToken(user, { sid: sessionId, jti });
+  return {
+    accessToken: generateAccessToken(user, sessionId),
+    refreshToken,
+    expiresAt: decodeToken(refreshToken).exp
+  };
+}
+
+/**
+ * Open a session for a user who just signed in
+ * @param {Object} user - User row
+ * @param {Object} context
+ * @param {string} context.ipAddress - Request IP
+ * @param {string} context.userAgent - Request user agent
+ * @returns {Promise<Object>} { accessToken, refreshToken, sessionId }
+ */
+async function createSession(user, { ipAddress, userAgent } = {}) {
+  // The tokens carry the session id, so take it before inserting
+  const next = await pool.query("SELECT nextval(pg_get_serial_sequence('sessions', 'id')) AS id");
+  const sessionId = parseInt(next.rows[0].id);
+  const jti = newJti();
+
+  const { accessToken, refreshToken, expiresAt } = signTokens(user, sessionId, jti);
+  await pool.query(`
+    INSERT INTO sessions (id, user_id, refresh_jti, ip_address, user_agent, expires_at)
+    VALUES ($1, $2, $3, $4, $5, to_timestamp($6))
+  `, [sessionId, user.id, jti, ipAddress || null, userAgent || null, expiresAt]);
+
+  return { accessToken, refreshToken, sessionId };
+}
+
+/**
+ * Trade a refresh token for a new access/refresh pair
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} context
+ * @param {string} context.ipAddress - Request IP
+ * @param {string} context.userAgent - Request user agent
+ * @returns {Promise<Object>} { user, accessToken, refreshToken } on success,
+ *   or { error, status, reused? } (reused carries the session ended for reuse)
+ */
+async function rotateSession(refreshToken, { ipAddress, userAgent } = {}) {
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken);
+  } catch (error) {
+    return { error: 'Invalid or expired refresh token', status: 401 };
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+    return { error: 'Not a valid refresh token', status: 401 };
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      SELECT s.*, s.expires_at <= NOW() AS expired,
+             EXTRACT(EPOCH FROM (NOW() - s.rotated_at)) AS seconds_since_rotation
+      FROM sessions s
+      WHERE s.id = $1 AND s.user_id = $2
+      FOR UPDATE
+    `, [decoded.sid, decoded.id]);
+    const session = result.rows[0];
+
+    if (!session || session.revoked_at || session.expired) {
+      await client.query('ROLLBACK');
+      return { error: 'Session expired or signed out', status: 401 };
+    }
+
+    if (session.refresh_jti !== decoded.jti) {
+      if (session.previous_jti === decoded.jti && session.seconds_since_rotation < REUSE_GRACE_SECONDS) {
+        await client.query('ROLLBACK');
+        return { error: 'Session was just refreshed', status: 401 };
+      }
+
+      // An old token came back: someone else has a copy. End the session so
+      // neither copy works any more.
+      await client.query(
+        "UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'reuse_detected' WHERE id = $1",
+        [session.id]
+      );
+      await client.query('COMMIT');
+      return { error: 'Refresh token was already used; session ended', status: 401, reused: session };
+    }
+
+    const userResult = await client.query(
+      'SELECT id, username, email, display_name, avatar_url, role, is_active FROM users WHERE id = $1',
+      [decoded.id]
+    );
+    const user = userResult.rows[0];
+    if (!user || !user.is_active) {
+      await client.query('ROLLBACK');
+      return { error: 'User not found or inactive', status: 401 };
+    }
+
+    const jti = newJti();
+    const tokens = signTokens(user, session.id, jti);
+    await client.query(`
+      UPDATE sessions
+      SET previous_jti = refresh_jti, refresh_jti = $2, rotated_at = NOW(), last_used_at = NOW(),
+          expires_at = to_timestamp($3), ip_address = $4, user_agent = $5
+      WHERE id = $1
+    `, [session.id, jti, tokens.expiresAt, ipAddress || session.ip_address, userAgent || session.user_agent]);
+
+    await client.query('COMMIT');
+    return { user, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * The user an access token belongs to, if its session is still open
+ * @param {Object} decoded - Verified access token payload
+ * @returns {Promise<Object|null>} User row (with session_id), or null
+ */
+async function findSessionUser(decoded) {
+  if (decoded.type !== 'access' || !decoded.sid) return null;
+
+  const result = await pool.query(`
+    SELECT u.id, u.username, u.email, u.display_name, u.avatar_url, u.role, u.is_active,
+           u.totp_enabled_at IS NOT NULL AS two_factor_enabled, s.id AS session_id
+    FROM users u
+    JOIN sessions s ON s.user_id = u.id
+    WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+  `, [decoded.id, decoded.sid]);
+  return result.rows[0] || null;
+}
+
+/**
+ * A user's open sessions, newest activity first
+ * @param {Object} db - Pool or pool client
+ * @param {number} userId - User ID
+ * @param {number} currentSessionId - Session making the request (flagged `current`)
+ * @returns {Promise<Array>}
+ */
+async function listSessions(db, userId, currentSessionId) {
+  const result = await db.query(`
+    SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [userId]);
+  return result.rows.map(session => ({ ...session, current: session.id === currentSessionId }));
+}
+
+/**
+ * Sign out one session
+ * @param {Object} db - Pool or pool client
+ * @param {number} userId - Owner of the session
+ * @param {number} sessionId - sessions.id
+ * @param {string} reason - 'logout', 'revoked', ...
+ * @returns {Promise<boolean>} False if there was no such open session
+ */
+async function revokeSession(db, userId, sessionId, reason) {
+  const result = await db.query(`
+    UPDATE sessions SET revoked_at = NOW(), revoked_reason = $3
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    RETURNING id
+  `, [sessionId, userId, reason]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Sign out every session a user has
+ * @param {Object} db - Pool or pool client
+ * @param {number} userId - User ID
+ * @param {string} reason - 'logout_all', 'password_changed', ...
+ * @returns {Promise<number>} How many sessions were ended
+ */
+async function revokeAllSessions(db, userId, reason) {
+  const result = await db.query(`
+    UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+    WHERE user_id = $1 AND revoked_at IS NULL
+  `, [userId, reason]);
+  return result.rowCount;
+}
+
+module.exports = {
+  REUSE_GRACE_SECONDS,
+  createSession,
+  rotateSession,
+  findSessionUser,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
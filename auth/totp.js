@@ -0,0 +1,143 @@
+/**
+ * TOTP
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1, 6 digits, 30-second steps
+ */
+
+const crypto = require('crypto');
+
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+// Steps either side of now that are still accepted, for clock drift
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32 (the format authenticator apps expect)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} text
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the base32 alphabet
+ */
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * A new random shared secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The code for one counter value (RFC 4226 HOTP)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter
+ * @returns {string} Zero-padded code
+ */
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * The time step a moment falls in
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number}
+ */
+function stepAt(time = Date.now()) {
+  return Math.floor(time / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Check a code against the secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed (spaces allowed)
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number|null} The step the code belongs to, or null if it doesn't match
+ */
+function verifyTotp(secret, code, time = Date.now()) {
+  const clean = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+  const now = stepAt(time);
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.account - Account label (the user's email)
+ * @param {string} params.issuer - App name shown in the authenticator
+ * @returns {string}
+ */
+function provisioningUri({ secret, account, issuer }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  // encodeURIComponent rather than URLSearchParams: some apps show a '+' literally
+  const params = Object.entries({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: PERIOD_SECONDS })
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  verifyTotp,
+  provisioningUri
+};
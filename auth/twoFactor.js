@@ -0,0 +1,222 @@
+/**
+ * Two-Factor Authentication
+ * Optional TOTP second step at sign-in, required for admins and moderators.
+ * A correct password (or OAuth sign-in) for such an account gets a
+ * short-lived challenge token instead of a session; the session is only
+ * opened once a code is given (see POST /api/auth/login/2fa) or, for a
+ * required account that has no authenticator yet, once one is enrolled.
+ */
+
+const crypto = require('crypto');
+const { generateSecret, verifyTotp, provisioningUri } = require('./totp');
+const { generateTwoFactorChallengeToken } = require('../utils/jwt');
+
+// Roles that can't sign in (or use their role) without 2FA
+const ENFORCED_ROLES = ['admin', 'moderator'];
+
+const RECOVERY_CODE_COUNT = 10;
+
+const ISSUER = process.env.TOTP_ISSUER || 'Pixel Buddy';
+
+/**
+ * Whether a user's role requires 2FA
+ * @param {Object} user - User with role
+ * @returns {boolean}
+ */
+function isEnforced(user) {
+  return ENFORCED_ROLES.includes(user.role);
+}
+
+/**
+ * What a user who has proven their password still has to do
+ * @param {Object} user - Full users row
+ * @returns {Object|null} { twoFactorRequired | twoFactorSetupRequired, challengeToken },
+ *   or null if a session can be opened straight away
+ */
+function challengeFor(user) {
+  if (user.totp_enabled_at) {
+    return { twoFactorRequired: true, challengeToken: generateTwoFactorChallengeToken(user, 'verify') };
+  }
+  if (isEnforced(user)) {
+    return { twoFactorSetupRequired: true, challengeToken: generateTwoFactorChallengeToken(user, 'enroll') };
+  }
+  return null;
+}
+
+/**
+ * Normalise a recovery code as typed ("ab12c-3de45", "AB12C3DE45 ") and hash it
+ * @param {string} code
+ * @returns {string} SHA-256 hex
+ */
+function hashRecoveryCode(code) {
+  const clean = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+}
+
+/**
+ * A fresh set of recovery codes
+ * @returns {{ codes: Array<string>, hashes: Array<string> }} Codes to show once, hashes to store
+ */
+function newRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const hex = crypto.randomBytes(5).toString('hex');
+    codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Start enrolling an authenticator: store a new (not yet active) secret
+ * @param {Object} db - Pool or pool client
+ * @param {Object} user - User with id, email and totp_enabled_at
+ * @returns {Promise<Object>} { secret, otpauthUrl } or { error, status }
+ */
+async function beginEnrollment(db, user) {
+  if (user.totp_enabled_at) {
+    return { error: 'Two-factor authentication is already on; turn it off first to change authenticator', status: 409 };
+  }
+
+  const secret = generateSecret();
+  await db.query(
+    'UPDATE users SET totp_secret = $2, totp_last_step = NULL WHERE id = $1 AND totp_enabled_at IS NULL',
+    [user.id, secret]
+  );
+
+  return { secret, otpauthUrl: provisioningUri({ secret, account: user.email, issuer: ISSUER }) };
+}
+
+/**
+ * Finish enrolling: a code from the authenticator turns 2FA on
+ * @param {Object} db - Pool or pool client
+ * @param {number} userId - User ID
+ * @param {string} code - Current code from the authenticator
+ * @returns {Promise<Object>} { recoveryCodes } (shown to the user once) or { error, status }
+ */
+async function confirmEnrollment(db, userId, code) {
+  const result = await db.query(
+    'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1',
+    [userId]
+  );
+  const row = result.rows[0];
+
+  if (row.totp_enabled_at) {
+    return { error: 'Two-factor authentication is already on', status: 409 };
+  }
+  if (!row.totp_secret) {
+    return { error: 'Start two-factor setup first', status: 400 };
+  }
+
+  const step = verifyTotp(row.totp_secret, code);
+  if (step === null) {
+    return { error: 'That code doesn\'t match; check the time on your device and try again', status: 401 };
+  }
+
+  const { codes, hashes } = newRecoveryCodes();
+  await db.query(`
+    UPDATE users
+    SET totp_enabled_at = NOW(), totp_last_step = $2, totp_recovery_codes = $3
+    WHERE id = $1
+  `, [userId, step, JSON.stringify(hashes)]);
+
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Check a second-factor code: an authenticator code (each accepted once) or
+ * an unused recovery code (used up)
+ * @param {Object} db - Pool or pool client
+ * @param {number} userId - User ID
+ * @param {string} code - What the user typed
+ * @returns {Promise<Object|null>} { method: 'totp'|'recovery_code', remainingRecoveryCodes? }, or null
+ */
+async function verifySecondFactor(db, userId, code) {
+  if (!code) return null;
+
+  const result = await db.query(
+    'SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+    [userId]
+  );
+  if (result.rows.length === 0) return null;
+
+  if (/^\d{6}$/.test(String(code).replace(/\s/g, ''))) {
+    const step = verifyTotp(result.rows[0].totp_secret, code);
+    if (step === null) return null;
+
+    // A code seen once (or an older one) can't be replayed
+    const used = await db.query(`
+      UPDATE users SET totp_last_step = $2
+      WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+      RETURNING id
+    `, [userId, step]);
+    return used.rows.length > 0 ? { method: 'totp' } : null;
+  }
+
+  const consumed = await db.query(`
+    UPDATE users SET totp_recovery_codes = totp_recovery_codes - $2::text
+    WHERE id = $1 AND totp_recovery_codes ? $2::text
+    RETURNING jsonb_array_length(totp_recovery_codes) AS remaining
+  `, [userId, hashRecoveryCode(code)]);
+  if (consumed.rows.length === 0) return null;
+
+  return { method: 'recovery_code', remainingRecoveryCodes: consumed.rows[0].remaining };
+}
+
+/**
+ * Turn 2FA off (needs a current code; not allowed for enforced roles)
+ * @param {Object} db - Pool or pool client
+ * @param {Object} user - User with id and role
+ * @param {string} code - Authenticator or recovery code
+ * @returns {Promise<Object>} { method } or { error, status }
+ */
+async function disableTwoFactor(db, user, code) {
+  if (isEnforced(user)) {
+    return { error: `Two-factor authentication is required for the ${user.role} role`, status: 403 };
+  }
+
+  const verified = await verifySecondFactor(db, user.id, code);
+  if (!verified) {
+    return { error: 'Invalid two-factor code', status: 401 };
+  }
+
+  await db.query(`
+    UPDATE users
+    SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, totp_recovery_codes = NULL
+    WHERE id = $1
+  `, [user.id]);
+
+  return verified;
+}
+
+/**
+ * Replace all recovery codes (needs a current code)
+ * @param {Object} db - Pool or pool client
+ * @param {number} userId - User ID
+ * @param {string} code - Authenticator or recovery code
+ * @returns {Promise<Object>} { recoveryCodes } or { error, status }
+ */
+async function regenerateRecoveryCodes(db, userId, code) {
+  const verified = await verifySecondFactor(db, userId, code);
+  if (!verified) {
+    return { error: 'Invalid two-factor code', status: 401 };
+  }
+
+  const { codes, hashes } = newRecoveryCodes();
+  await db.query(
+    'UPDATE users SET totp_recovery_codes = $2 WHERE id = $1',
+    [userId, JSON.stringify(hashes)]
+  );
+
+  return { recoveryCodes: codes };
+}
+
+module.exports = {
+  ENFORCED_ROLES,
+  isEnforced,
+  challengeFor,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
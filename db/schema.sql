@@ -1,5 +1,10 @@
--- Pixel Buddy Database Schema
+-- Pixel Buddy Database Schema (v1, legacy)
 -- Supports: Pet persistence, AI memory, multiplayer worlds, death/reincarnation
+--
+-- Frozen: this is the original one-pet-per-browser schema, kept only as the
+-- starting point scripts/migrate_v2.js upgrades from. New databases (and
+-- docker-compose, and npm run db:migrate) use db/schema_v2.sql, which is
+-- where schema changes go.
 
 -- Main pets table
 CREATE TABLE IF NOT EXISTS pets (
@@ -19,9 +19,9 @@ CREATE TABLE IF NOT EXISTS users (
   avatar_url TEXT,
 
   -- OAuth providers
-  google_id VARCHAR(255) UNIQUE,
-  apple_id VARCHAR(255) UNIQUE,
-  oauth_provider VARCHAR(20), -- 'google', 'apple', 'local'
+  google_id VARCHAR(255) UNIQUE, -- Legacy: moved to user_identities
+  apple_id VARCHAR(255) UNIQUE, -- Legacy: moved to user_identities
+  oauth_provider VARCHAR(20), -- Signed up with: 'google', 'apple', an OIDC provider name, 'local'
 
   -- Account status
   email_verified BOOLEAN DEFAULT FALSE,
@@ -30,8 +30,16 @@ CREATE TABLE IF NOT EXISTS users (
 
   -- Security
   last_login_at TIMESTAMP,
-  password_reset_token VARCHAR(255),
+  password_reset_token VARCHAR(255), -- SHA-256 of the latest reset link's token
   password_reset_expires TIMESTAMP,
+  password_reset_sent_at TIMESTAMP, -- Reset emails are at most one per few minutes per address
+  verification_sent_at TIMESTAMP, -- Likewise for resent verification emails
+
+  -- Two-factor authentication (see auth/twoFactor.js)
+  totp_secret VARCHAR(64), -- Base32; set at enrollment, active once totp_enabled_at is set
+  totp_enabled_at TIMESTAMP,
+  totp_last_step BIGINT, -- Last time step accepted, so a code can't be replayed
+  totp_recovery_codes JSONB, -- SHA-256 hashes of unused recovery codes
 
   -- Timestamps
   created_at TIMESTAMP DEFAULT NOW(),
@@ -46,23 +54,38 @@ CREATE TABLE IF NOT EXISTS pets (
   name VARCHAR(20) NOT NULL DEFAULT 'Buddy',
 
   -- Ownership (no longer UNIQUE - allows multiple pets per user)
-  owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- NULL while a guest pet is unclaimed
+  user_id TEXT UNIQUE, -- v1 guest fingerprint ('user-xxxx'), cleared once claimed into an account
+  claim_secret_hash VARCHAR(64), -- SHA-256 of the guest's one-time claim secret, cleared once claimed
 
-  -- Stats (0-100 scale)
-  hunger INTEGER NOT NULL DEFAULT 50 CHECK (hunger >= 0 AND hunger <= 100),
-  happiness INTEGER NOT NULL DEFAULT 50 CHECK (happiness >= 0 AND happiness <= 100),
-  energy INTEGER NOT NULL DEFAULT 50 CHECK (energy >= 0 AND energy <= 100),
-  hygiene INTEGER NOT NULL DEFAULT 50 CHECK (hygiene >= 0 AND hygiene <= 100),
-  health INTEGER NOT NULL DEFAULT 100 CHECK (health >= 0 AND health <= 100),
+  -- Stats (0-100 scale; fractional so slow decay isn't rounded away)
+  hunger DOUBLE PRECISION NOT NULL DEFAULT 50 CHECK (hunger >= 0 AND hunger <= 100),
+  happiness DOUBLE PRECISION NOT NULL DEFAULT 50 CHECK (happiness >= 0 AND happiness <= 100),
+  energy DOUBLE PRECISION NOT NULL DEFAULT 50 CHECK (energy >= 0 AND energy <= 100),
+  hygiene DOUBLE PRECISION NOT NULL DEFAULT 50 CHECK (hygiene >= 0 AND hygiene <= 100),
+  health DOUBLE PRECISION NOT NULL DEFAULT 100 CHECK (health >= 0 AND health <= 100),
 
   -- Visual state
-  sprite INTEGER NOT NULL DEFAULT 0,
+  sprite INTEGER NOT NULL DEFAULT 0, -- Evolution form (see game/evolution.js)
   color VARCHAR(7) DEFAULT '#FF6B9D',
 
   -- Lifecycle
   age_seconds INTEGER NOT NULL DEFAULT 0,
   generation INTEGER NOT NULL DEFAULT 1,
   is_alive BOOLEAN NOT NULL DEFAULT TRUE,
+  born_at TIMESTAMP DEFAULT NOW(), -- Start of the current generation
+  neglected_since TIMESTAMP, -- When a vital stat hit zero (death timer)
+
+  -- Personality (see game/personality.js)
+  traits JSONB NOT NULL DEFAULT '[]', -- e.g. ["glutton", "social"]
+
+  -- Roster (see game/roster.js)
+  archived_at TIMESTAMP, -- Frozen in the archive since (NULL = on the roster)
+
+  -- Vacation mode (see game/vacation.js)
+  vacation_started_at TIMESTAMP, -- Asleep while the owner is away (NULL = home)
+  vacation_ends_at TIMESTAMP, -- When the pet wakes up
+  last_vacation_at TIMESTAMP, -- When the last trip ended (for the cooldown)
 
   -- Multiplayer (legacy - keeping for backwards compat)
   world_code TEXT UNIQUE,
@@ -88,7 +111,7 @@ CREATE TABLE IF NOT EXISTS caretakers (
   user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
 
   -- Role and permissions
-  role VARCHAR(20) DEFAULT 'caretaker', -- 'owner', 'caretaker', 'viewer'
+  role VARCHAR(20) DEFAULT 'caretaker', -- 'owner', 'caretaker', 'sitter', 'viewer'
 
   -- Invitation tracking
   invited_by INTEGER REFERENCES users(id),
@@ -96,7 +119,8 @@ CREATE TABLE IF NOT EXISTS caretakers (
   accepted_at TIMESTAMP,
 
   -- Status
-  status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'active', 'declined', 'left'
+  status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'active', 'declined', 'left', 'revoked', 'expired'
+  expires_at TIMESTAMP, -- Pet-sitters lose access at this time (NULL = no end)
 
   -- Stats
   actions_count INTEGER DEFAULT 0,
@@ -252,6 +276,8 @@ CREATE TABLE IF NOT EXISTS invite_codes (
   code VARCHAR(20) UNIQUE NOT NULL,
   pet_id INTEGER NOT NULL REFERENCES pets(id) ON DELETE CASCADE,
   created_by INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'caretaker', -- Role granted: 'caretaker', 'sitter' or 'viewer'
+  access_expires_at TIMESTAMP, -- When a sitter's access ends (sitter invites only)
   max_uses INTEGER DEFAULT 1,
   uses_count INTEGER DEFAULT 0,
   expires_at TIMESTAMP,
@@ -259,6 +285,187 @@ CREATE TABLE IF NOT EXISTS invite_codes (
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- ============================================================================
+-- 13. WALLETS TABLE (Coins & Care Streaks)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS wallets (
+  pet_id INTEGER PRIMARY KEY REFERENCES pets(id) ON DELETE CASCADE,
+  coins INTEGER NOT NULL DEFAULT 0 CHECK (coins >= 0),
+
+  -- Daily care streak (pays out coins once per day)
+  care_streak INTEGER NOT NULL DEFAULT 0,
+  last_care_date DATE,
+
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- ============================================================================
+-- 14. INVENTORY ITEMS TABLE (Foods, Soap, Toys, Medicine)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS inventory_items (
+  id SERIAL PRIMARY KEY,
+  pet_id INTEGER NOT NULL REFERENCES pets(id) ON DELETE CASCADE,
+  item_key VARCHAR(50) NOT NULL, -- Key into ITEMS in game/catalog.js
+  quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  UNIQUE(pet_id, item_key)
+);
+
+-- ============================================================================
+-- 15. COIN TRANSACTIONS TABLE (Currency Ledger)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS coin_transactions (
+  id SERIAL PRIMARY KEY,
+  pet_id INTEGER NOT NULL REFERENCES pets(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Who triggered it, if signed in
+
+  amount INTEGER NOT NULL, -- Positive = earned, negative = spent
+  balance_after INTEGER NOT NULL,
+  reason VARCHAR(50) NOT NULL, -- 'starter_kit', 'care_streak', 'mini_game', 'purchase', 'quest', 'quest_streak'
+  details JSONB,
+
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- ============================================================================
+-- 16. MINI-GAME ROUNDS TABLE (Server-Verified Mini-Games)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS mini_game_rounds (
+  id SERIAL PRIMARY KEY,
+  pet_id INTEGER NOT NULL REFERENCES pets(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+  game_type VARCHAR(50) NOT NULL, -- 'reflex', 'memory'
+  seed INTEGER NOT NULL, -- Re-deals the round on the server; never sent to the client
+
+  -- Lifecycle
+  status VARCHAR(20) DEFAULT 'active', -- 'active', 'won', 'lost', 'rejected'
+  score INTEGER,
+  result JSONB, -- Moves as the server recorded and timed them
+
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  completed_at TIMESTAMP
+);
+
+-- ============================================================================
+-- 17. ACHIEVEMENTS TABLE (Milestone Unlocks)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS achievements (
+  id SERIAL PRIMARY KEY,
+  pet_id INTEGER NOT NULL REFERENCES pets(id) ON DELETE CASCADE,
+  achievement_key VARCHAR(50) NOT NULL, -- Key into ACHIEVEMENTS in game/achievements.js
+  unlocked_at TIMESTAMP DEFAULT NOW(),
+
+  UNIQUE(pet_id, achievement_key)
+);
+
+-- ============================================================================
+-- 18. DAILY QUESTS TABLE (Quests Dealt Per Pet Per Day)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS daily_quests (
+  id SERIAL PRIMARY KEY,
+  pet_id INTEGER NOT NULL REFERENCES pets(id) ON DELETE CASCADE,
+  quest_date DATE NOT NULL, -- In the pet's time zone (quest_streaks.timezone)
+  quest_key VARCHAR(50) NOT NULL, -- Key into QUESTS in game/quests.js
+
+  progress INTEGER NOT NULL DEFAULT 0,
+  target INTEGER NOT NULL,
+  completed_at TIMESTAMP,
+  claimed_at TIMESTAMP, -- Reward paid out
+
+  created_at TIMESTAMP DEFAULT NOW(),
+
+  UNIQUE(pet_id, quest_date, quest_key)
+);
+
+-- ============================================================================
+-- 19. QUEST STREAKS TABLE (Days In A Row With All Quests Done)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS quest_streaks (
+  pet_id INTEGER PRIMARY KEY REFERENCES pets(id) ON DELETE CASCADE,
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC', -- IANA name; decides when "today" starts
+  pending_timezone VARCHAR(64), -- A change waiting for the next local day (see game/quests.js)
+  pending_timezone_from DATE, -- First day the pending time zone may apply
+  current_streak INTEGER NOT NULL DEFAULT 0,
+  best_streak INTEGER NOT NULL DEFAULT 0,
+  last_completed_date DATE,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- ============================================================================
+-- 20. SESSIONS TABLE (Sign-Ins & Refresh Token Rotation)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS sessions (
+  id SERIAL PRIMARY KEY, -- The `sid` claim in access and refresh tokens
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+  -- Refresh token rotation (see auth/sessions.js)
+  refresh_jti VARCHAR(64) NOT NULL, -- Only the newest refresh token is accepted
+  previous_jti VARCHAR(64), -- The one it replaced; reuse outside a short grace window ends the session
+  rotated_at TIMESTAMP,
+
+  -- Device
+  ip_address INET,
+  user_agent TEXT,
+
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL, -- When the current refresh token expires
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50) -- 'logout', 'logout_all', 'revoked', 'password_changed', 'reuse_detected'
+);
+
+-- ============================================================================
+-- 21. LOGIN THROTTLES TABLE (Failed Sign-Ins & Lockouts)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS login_throttles (
+  id SERIAL PRIMARY KEY,
+  scope VARCHAR(10) NOT NULL CHECK (scope IN ('account', 'ip')),
+  key VARCHAR(255) NOT NULL, -- Lowercased email tried (whether or not it's an account) or IP address
+
+  failed_count INTEGER NOT NULL DEFAULT 0, -- Forgotten an hour after the last failure
+  last_failed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMP, -- Sign-ins refused until then (see auth/lockout.js)
+
+  UNIQUE(scope, key)
+);
+
+-- ============================================================================
+-- 22. USER IDENTITIES TABLE (Linked Sign-In Providers)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS user_identities (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL, -- Passport strategy: 'google', 'apple', ...
+  subject VARCHAR(255) NOT NULL, -- The provider's ID for the user
+  email VARCHAR(255), -- Email the provider reported when linked
+
+  created_at TIMESTAMP DEFAULT NOW(), -- Linked at
+  last_used_at TIMESTAMP,
+
+  UNIQUE(provider, subject),
+  UNIQUE(user_id, provider) -- One account per provider
+);
+
+-- ============================================================================
+-- 23. OAUTH LOGIN CODES TABLE (One-Time Sign-In Handoff)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS oauth_login_codes (
+  id SERIAL PRIMARY KEY,
+  code_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the code sent to the frontend
+  binding_hash VARCHAR(64) NOT NULL, -- SHA-256 of the httpOnly cookie it must arrive with
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL,
+
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL
+);
+
 -- ============================================================================
 -- INDEXES
 -- ============================================================================
@@ -312,6 +519,24 @@ CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(use
 CREATE INDEX IF NOT EXISTS idx_invite_codes_code ON invite_codes(code) WHERE is_active = TRUE;
 CREATE INDEX IF NOT EXISTS idx_invite_codes_pet ON invite_codes(pet_id, is_active);
 
+-- Economy
+CREATE INDEX IF NOT EXISTS idx_coin_transactions_pet ON coin_transactions(pet_id, created_at DESC);
+
+-- Mini-games
+CREATE INDEX IF NOT EXISTS idx_mini_game_rounds_pet ON mini_game_rounds(pet_id, game_type, score DESC);
+
+-- Sessions
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id) WHERE revoked_at IS NULL;
+
+-- Login Throttles
+CREATE INDEX IF NOT EXISTS idx_login_throttles_locked ON login_throttles(locked_until) WHERE locked_until IS NOT NULL;
+
+-- User Identities
+CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id);
+
+-- OAuth Login Codes
+CREATE INDEX IF NOT EXISTS idx_oauth_login_codes_expires ON oauth_login_codes(expires_at);
+
 -- ============================================================================
 -- TRIGGERS
 -- ============================================================================
@@ -352,6 +577,24 @@ CREATE TRIGGER trigger_caretakers_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at();
 
+DROP TRIGGER IF EXISTS trigger_wallets_updated_at ON wallets;
+CREATE TRIGGER trigger_wallets_updated_at
+  BEFORE UPDATE ON wallets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_inventory_items_updated_at ON inventory_items;
+CREATE TRIGGER trigger_inventory_items_updated_at
+  BEFORE UPDATE ON inventory_items
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_quest_streaks_updated_at ON quest_streaks;
+CREATE TRIGGER trigger_quest_streaks_updated_at
+  BEFORE UPDATE ON quest_streaks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
 -- Auto-update last_seen on any pet update
 DROP TRIGGER IF EXISTS trigger_pets_last_seen ON pets;
 CREATE TRIGGER trigger_pets_last_seen
@@ -382,6 +625,7 @@ BEGIN
     (p.owner_id = p_user_id) as is_owner
   FROM pets p
   LEFT JOIN caretakers c ON c.pet_id = p.id AND c.user_id = p_user_id AND c.status = 'active'
+    AND (c.expires_at IS NULL OR c.expires_at > LOCALTIMESTAMP)
   WHERE p.owner_id = p_user_id OR c.user_id = p_user_id;
 END;
 $$ LANGUAGE plpgsql;
@@ -393,11 +637,112 @@ BEGIN
   RETURN EXISTS (
     SELECT 1 FROM pets p
     LEFT JOIN caretakers c ON c.pet_id = p.id AND c.user_id = p_user_id AND c.status = 'active'
+      AND (c.expires_at IS NULL OR c.expires_at > LOCALTIMESTAMP)
     WHERE p.id = p_pet_id AND (p.owner_id = p_user_id OR c.user_id = p_user_id)
   );
 END;
 $$ LANGUAGE plpgsql;
 
+-- Sample guest pet for npm run db:seed (viewable at GET /api/pet/:userId)
+CREATE OR REPLACE FUNCTION seed_sample_pet(p_user_id TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  new_pet_id INTEGER;
+BEGIN
+  INSERT INTO pets (user_id, name, hunger, happiness, energy, hygiene, sprite)
+  VALUES (p_user_id, 'Demo Buddy', 75, 80, 60, 70, 0)
+  RETURNING id INTO new_pet_id;
+
+  INSERT INTO memories (pet_id, memory_type, content)
+  VALUES
+    (new_pet_id, 'action', 'Born into this world with curiosity'),
+    (new_pet_id, 'mood', 'Feeling playful and excited to meet you!');
+
+  RETURN new_pet_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- SCHEMA UPGRADES
+-- ============================================================================
+-- CREATE TABLE IF NOT EXISTS won't add columns to an existing table, so
+-- columns added after the initial release are also applied here.
+
+-- Death & reincarnation
+ALTER TABLE pets ADD COLUMN IF NOT EXISTS born_at TIMESTAMP;
+UPDATE pets SET born_at = created_at WHERE born_at IS NULL;
+ALTER TABLE pets ALTER COLUMN born_at SET DEFAULT NOW();
+ALTER TABLE pets ADD COLUMN IF NOT EXISTS neglected_since TIMESTAMP;
+
+-- Health & sickness
+ALTER TABLE pets ADD COLUMN IF NOT EXISTS health INTEGER NOT NULL DEFAULT 100 CHECK (health >= 0 AND health <= 100);
+
+-- Guest pets (GET /api/pet/:userId) are keyed by their browser fingerprint
+-- and have no owner
+ALTER TABLE pets ADD COLUMN IF NOT EXISTS user_id TEXT UNIQUE;
+ALTER TABLE pets ALTER COLUMN owner_id DROP NOT NULL;
+
+-- Personality traits (existing pets get one on their next refresh)
+ALTER TABLE pets ADD COLUMN IF NOT EXISTS traits JSONB NOT NULL DEFAULT '[]';
+
+-- Guest pets keep their fingerprint until claimed (POST /api/pets/claim);
+-- claimed pets have it cleared, so it can't be NOT NULL as it was in v1
+ALTER TABLE pets ALTER COLUMN user_id DROP NOT NULL;
+
+-- Claiming a guest pet takes the secret handed out when it was created
+ALTER TABLE pets ADD COLUMN IF NOT EXISTS claim_secret_hash VARCHAR(64);
+
+-- Caretaker invitations grant a role
+ALTER TABLE invite_codes ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'caretaker';
+
+-- Time-boxed pet-sitting
+ALTER TABLE invite_codes ADD COLUMN IF NOT EXISTS access_expires_at TIMESTAMP;
+ALTER TABLE caretakers ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+
+-- Multi-pet roster (users is created before pets, so the FK is added here)
+ALTER TABLE pets ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS active_pet_id INTEGER REFERENCES pets(id) ON DELETE SET NULL;
+
+-- Vacation mode
+ALTER TABLE pets ADD COLUMN IF NOT EXISTS vacation_started_at TIMESTAMP;
+ALTER TABLE pets ADD COLUMN IF NOT EXISTS vacation_ends_at TIMESTAMP;
+ALTER TABLE pets ADD COLUMN IF NOT EXISTS last_vacation_at TIMESTAMP;
+
+-- Quest time zone changes wait for the next local day
+ALTER TABLE quest_streaks ADD COLUMN IF NOT EXISTS pending_timezone VARCHAR(64);
+ALTER TABLE quest_streaks ADD COLUMN IF NOT EXISTS pending_timezone_from DATE;
+
+-- Auth email cooldowns (reset tokens are stored hashed from here on, so
+-- links sent before this upgrade stop working)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_reset_sent_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verification_sent_at TIMESTAMP;
+UPDATE users SET password_reset_token = NULL, password_reset_expires = NULL
+WHERE password_reset_token IS NOT NULL AND password_reset_sent_at IS NULL;
+
+-- Two-factor authentication
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_recovery_codes JSONB;
+
+-- Linked identities: Google and Apple IDs move from users to user_identities
+-- (cleared once copied, so unlinking isn't undone by re-running this file)
+INSERT INTO user_identities (user_id, provider, subject, email, created_at)
+SELECT id, 'google', google_id, email, created_at FROM users WHERE google_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+INSERT INTO user_identities (user_id, provider, subject, email, created_at)
+SELECT id, 'apple', apple_id, email, created_at FROM users WHERE apple_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+UPDATE users SET google_id = NULL, apple_id = NULL WHERE google_id IS NOT NULL OR apple_id IS NOT NULL;
+
+-- Stats keep their fractions (decay between writes is rarely a whole point)
+ALTER TABLE pets
+  ALTER COLUMN hunger TYPE DOUBLE PRECISION,
+  ALTER COLUMN happiness TYPE DOUBLE PRECISION,
+  ALTER COLUMN energy TYPE DOUBLE PRECISION,
+  ALTER COLUMN hygiene TYPE DOUBLE PRECISION,
+  ALTER COLUMN health TYPE DOUBLE PRECISION;
+
 -- ============================================================================
 -- MIGRATION HELPERS
 -- ============================================================================
@@ -405,4 +750,4 @@ $$ LANGUAGE plpgsql;
 -- Migrate existing pets to new schema (run after deployment)
 -- This assumes existing pets.user_id is a TEXT fingerprint
 -- We'll need to map those to actual user IDs later
-COMMENT ON TABLE pets IS 'Migration note: Existing user_id TEXT values need mapping to users.id after auth implemented';
+COMMENT ON TABLE pets IS 'Migration note: pets with a user_id TEXT fingerprint (and no owner_id) are unclaimed guest pets; owners attach them to their account with POST /api/pets/claim and the claim secret issued when the pet was created (v1 pets get theirs on their first guest visit after the upgrade)';
@@ -0,0 +1,145 @@
+/**
+ * Achievements
+ * Milestones checked against a pet's actions, memories and visits.
+ * Unlocks are stored once, with the time they happened.
+ */
+
+const { describeSprite } = require('./evolution');
+
+/**
+ * Achievement definitions, keyed by achievements.achievement_key.
+ *
+ * - target: value progress() must reach to unlock
+ * - progress(ctx): current value, from the context built by gatherContext()
+ *   plus the action that triggered the check (ctx.action), if any
+ */
+const ACHIEVEMENTS = {
+  first_feed: {
+    label: 'First Meal',
+    description: 'Feed your pet for the first time.',
+    target: 1,
+    progress: ctx => (ctx.action === 'feed' ? 1 : 0)
+  },
+  week_streak: {
+    label: 'Devoted',
+    description: 'Care for your pet 7 days in a row.',
+    target: 7,
+    progress: ctx => ctx.careStreak
+  },
+  popular: {
+    label: 'Popular',
+    description: 'Welcome 100 visitors to your world.',
+    target: 100,
+    progress: ctx => ctx.visits
+  },
+  elder: {
+    label: 'Golden Years',
+    description: 'Raise your pet all the way to elder.',
+    target: 1,
+    progress: ctx => (ctx.stage === 'elder' ? 1 : 0)
+  },
+  chatterbox: {
+    label: 'Chatterbox',
+    description: 'Have 10 conversations with your pet.',
+    target: 10,
+    progress: ctx => ctx.conversations
+  }
+};
+
+/**
+ * Load what the achievement rules look at
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Object|null>} Context, or null if the pet doesn't exist
+ */
+async function gatherContext(db, petId) {
+  const result = await db.query(`
+    SELECT
+      p.sprite,
+      p.visits_count,
+      COALESCE(w.care_streak, 0) AS care_streak,
+      (SELECT COUNT(*) FROM memories m WHERE m.pet_id = p.id AND m.memory_type = 'conversation') AS conversations
+    FROM pets p
+    LEFT JOIN wallets w ON w.pet_id = p.id
+    WHERE p.id = $1
+  `, [petId]);
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    stage: describeSprite(row.sprite).stage,
+    visits: row.visits_count || 0,
+    careStreak: row.care_streak,
+    conversations: parseInt(row.conversations)
+  };
+}
+
+/**
+ * Evaluate every achievement and store any new unlocks
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {Object} trigger
+ * @param {string} trigger.action - Action just performed (feed, play, ...), if any
+ * @returns {Promise<Array>} Newly unlocked achievements
+ */
+async function checkAchievements(db, petId, { action = null } = {}) {
+  const context = await gatherContext(db, petId);
+  if (!context) return [];
+  context.action = action;
+
+  const unlocked = [];
+  for (const [key, achievement] of Object.entries(ACHIEVEMENTS)) {
+    if (achievement.progress(context) < achievement.target) continue;
+
+    const result = await db.query(`
+      INSERT INTO achievements (pet_id, achievement_key) VALUES ($1, $2)
+      ON CONFLICT (pet_id, achievement_key) DO NOTHING
+      RETURNING unlocked_at
+    `, [petId, key]);
+
+    if (result.rows.length > 0) {
+      await db.query(
+        'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+        [petId, 'action', `Unlocked an achievement: ${achievement.label}!`]
+      );
+      unlocked.push({ key, label: achievement.label, unlockedAt: result.rows[0].unlocked_at });
+    }
+  }
+
+  return unlocked;
+}
+
+/**
+ * Every achievement with its progress and unlock time for a pet
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Array|null>} Achievements, or null if the pet doesn't exist
+ */
+async function listAchievements(db, petId) {
+  await checkAchievements(db, petId);
+
+  const context = await gatherContext(db, petId);
+  if (!context) return null;
+
+  const result = await db.query(
+    'SELECT achievement_key, unlocked_at FROM achievements WHERE pet_id = $1',
+    [petId]
+  );
+  const unlocks = Object.fromEntries(result.rows.map(row => [row.achievement_key, row.unlocked_at]));
+
+  return Object.entries(ACHIEVEMENTS).map(([key, achievement]) => ({
+    key,
+    label: achievement.label,
+    description: achievement.description,
+    target: achievement.target,
+    progress: unlocks[key] ? achievement.target : Math.min(achievement.target, achievement.progress(context)),
+    unlockedAt: unlocks[key] || null
+  }));
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  checkAchievements,
+  listAchievements
+};
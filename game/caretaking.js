@@ -0,0 +1,366 @@
+/**
+ * Caretaking
+ * Sharing a pet with other accounts. The owner hands out invite codes;
+ * redeeming one makes the redeemer a pending caretaker until they accept or
+ * decline. Caretakers can leave, and the owner can revoke them at any time.
+ * Sitters are caretakers whose access ends on its own (see game/sitting.js).
+ * What each role may do is enforced per route with requirePetRole().
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../db/pool');
+const { logAudit } = require('../utils/audit');
+
+// Roles an invite can grant ('owner' only ever means the pet's owner_id)
+const INVITE_ROLES = ['caretaker', 'sitter', 'viewer'];
+
+// Roles that can look after a pet (act, resolve events, shop, play, talk)
+const CARE_ROLES = ['owner', 'caretaker', 'sitter'];
+
+// Invite limits
+const DEFAULT_INVITE_HOURS = 72;
+const MAX_INVITE_HOURS = 24 * 30;
+const MAX_INVITE_USES = 10;
+
+// Longest a sitter can be handed a pet for
+const MAX_SIT_DAYS = 30;
+
+// Same unambiguous alphabet as world codes
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * A random invite code, e.g. 'K7QM-X2PD'
+ * @returns {string}
+ */
+function generateCode() {
+  let code = '';
+  for (let i = 0; i < 8; i++) {
+    if (i === 4) code += '-';
+    code += CODE_CHARS[crypto.randomInt(CODE_CHARS.length)];
+  }
+  return code;
+}
+
+/**
+ * How a user appears in memories: the owner is 'Owner', anyone else by name
+ * @param {Object} user - req.user
+ * @param {string} role - The user's role for the pet
+ * @returns {string}
+ */
+function actorName(user, role) {
+  if (!user || role === 'owner') return 'Owner';
+  return user.display_name || user.username;
+}
+
+/**
+ * Create an invite code for a pet
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {number} userId - Inviting owner
+ * @param {Object} options
+ * @param {string} options.role - 'caretaker', 'sitter' or 'viewer'
+ * @param {number} options.maxUses - How many people can redeem it
+ * @param {number} options.expiresInHours - How long it stays valid
+ * @param {number} options.sitDays - Sitter invites: days until the sitter's access ends
+ * @returns {Promise<Object>} { invite } on success, or { error, status }
+ */
+async function createInvite(db, petId, userId, { role = 'caretaker', maxUses = 1, expiresInHours = DEFAULT_INVITE_HOURS, sitDays } = {}) {
+  if (!INVITE_ROLES.includes(role)) {
+    return { error: `Role must be one of: ${INVITE_ROLES.join(', ')}`, status: 400 };
+  }
+  if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES) {
+    return { error: `maxUses must be between 1 and ${MAX_INVITE_USES}`, status: 400 };
+  }
+  if (!Number.isFinite(expiresInHours) || expiresInHours <= 0 || expiresInHours > MAX_INVITE_HOURS) {
+    return { error: `expiresInHours must be between 1 and ${MAX_INVITE_HOURS}`, status: 400 };
+  }
+  if (role === 'sitter' && (!Number.isFinite(sitDays) || sitDays <= 0 || sitDays > MAX_SIT_DAYS)) {
+    return { error: `sitDays must be between 1 and ${MAX_SIT_DAYS}`, status: 400 };
+  }
+  const sitSeconds = role === 'sitter' ? sitDays * 86400 : null;
+
+  // Codes are unique; on the rare collision just draw again
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const result = await db.query(`
+      INSERT INTO invite_codes (code, pet_id, created_by, role, max_uses, expires_at, access_expires_at)
+      VALUES ($1, $2, $3, $4, $5, LOCALTIMESTAMP + make_interval(secs => $6),
+              LOCALTIMESTAMP + make_interval(secs => $7))
+      ON CONFLICT (code) DO NOTHING
+      RETURNING *
+    `, [generateCode(), petId, userId, role, maxUses, expiresInHours * 3600, sitSeconds]);
+
+    if (result.rows.length > 0) return { invite: result.rows[0] };
+  }
+  throw new Error('Failed to generate unique invite code');
+}
+
+/**
+ * A pet's invites that can still be redeemed
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Array>}
+ */
+async function listInvites(db, petId) {
+  const result = await db.query(`
+    SELECT id, code, role, max_uses, uses_count, expires_at, access_expires_at, created_at
+    FROM invite_codes
+    WHERE pet_id = $1 AND is_active = TRUE
+      AND (expires_at IS NULL OR expires_at > LOCALTIMESTAMP)
+      AND (max_uses IS NULL OR uses_count < max_uses)
+    ORDER BY created_at DESC
+  `, [petId]);
+  return result.rows;
+}
+
+/**
+ * Switch off an invite code
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {number} inviteId - invite_codes.id
+ * @returns {Promise<boolean>} False if there was no such active invite
+ */
+async function revokeInvite(db, petId, inviteId) {
+  const result = await db.query(
+    'UPDATE invite_codes SET is_active = FALSE WHERE id = $1 AND pet_id = $2 AND is_active = TRUE RETURNING id',
+    [inviteId, petId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Redeem an invite code, becoming a pending caretaker of its pet
+ * @param {number} userId - Redeeming user
+ * @param {string} code - Invite code
+ * @returns {Promise<Object>} { pet, role } on success, or { error, status }
+ */
+async function redeemInvite(userId, code) {
+  if (typeof code !== 'string' || !code) {
+    return { error: 'Invite code required', status: 400 };
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      SELECT i.*, p.name AS pet_name, p.owner_id
+      FROM invite_codes i
+      JOIN pets p ON p.id = i.pet_id
+      WHERE i.code = $1 AND i.is_active = TRUE
+        AND (i.expires_at IS NULL OR i.expires_at > LOCALTIMESTAMP)
+        AND (i.max_uses IS NULL OR i.uses_count < i.max_uses)
+        AND (i.access_expires_at IS NULL OR i.access_expires_at > LOCALTIMESTAMP)
+      FOR UPDATE OF i
+    `, [code.trim().toUpperCase()]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: 'Invite code is invalid, expired or used up', status: 404 };
+    }
+
+    const invite = result.rows[0];
+    if (invite.owner_id === userId) {
+      await client.query('ROLLBACK');
+      return { error: 'You already own this pet', status: 400 };
+    }
+
+    // Anyone who declined, left, was revoked or whose sitting ran out can come
+    // back with a new code
+    const caretaker = await client.query(`
+      INSERT INTO caretakers (pet_id, user_id, role, invited_by, invited_at, status, expires_at)
+      VALUES ($1, $2, $3, $4, NOW(), 'pending', $5)
+      ON CONFLICT (pet_id, user_id) DO UPDATE
+        SET role = EXCLUDED.role, invited_by = EXCLUDED.invited_by,
+            invited_at = NOW(), accepted_at = NULL, status = 'pending',
+            expires_at = EXCLUDED.expires_at
+        WHERE caretakers.status <> 'active' OR caretakers.expires_at <= LOCALTIMESTAMP
+      RETURNING id
+    `, [invite.pet_id, userId, invite.role, invite.created_by, invite.access_expires_at]);
+
+    if (caretaker.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: 'You already look after this pet', status: 409 };
+    }
+
+    await client.query('UPDATE invite_codes SET uses_count = uses_count + 1 WHERE id = $1', [invite.id]);
+
+    await client.query('COMMIT');
+    return {
+      pet: { id: invite.pet_id, name: invite.pet_name },
+      role: invite.role,
+      expiresAt: invite.access_expires_at
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Invitations a user has redeemed but not yet answered
+ * @param {Object} db - Pool or pool client
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function listPendingInvites(db, userId) {
+  const result = await db.query(`
+    SELECT c.pet_id, p.name AS pet_name, c.role, c.invited_at, c.expires_at,
+           COALESCE(u.display_name, u.username) AS invited_by
+    FROM caretakers c
+    JOIN pets p ON p.id = c.pet_id
+    LEFT JOIN users u ON u.id = c.invited_by
+    WHERE c.user_id = $1 AND c.status = 'pending'
+      AND (c.expires_at IS NULL OR c.expires_at > LOCALTIMESTAMP)
+    ORDER BY c.invited_at DESC
+  `, [userId]);
+  return result.rows;
+}
+
+/**
+ * Accept or decline a pending invitation
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {Object} user - Answering user (req.user)
+ * @param {boolean} accept - Accept (true) or decline (false)
+ * @returns {Promise<Object|null>} Caretaker row, or null if nothing was pending
+ */
+async function answerInvite(db, petId, user, accept) {
+  const result = await db.query(`
+    UPDATE caretakers
+    SET status = $3, accepted_at = CASE WHEN $3 = 'active' THEN NOW() ELSE NULL END
+    WHERE pet_id = $1 AND user_id = $2 AND status = 'pending'
+      AND (expires_at IS NULL OR expires_at > LOCALTIMESTAMP)
+    RETURNING *
+  `, [petId, user.id, accept ? 'active' : 'declined']);
+
+  const caretaker = result.rows[0];
+  if (caretaker && accept) {
+    const content = caretaker.role === 'sitter'
+      ? `${actorName(user, caretaker.role)} came to pet-sit me!`
+      : `${actorName(user, caretaker.role)} started looking after me too!`;
+    await db.query(
+      'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+      [petId, 'action', content]
+    );
+  }
+  return caretaker || null;
+}
+
+/**
+ * End a caretaker's access, by their choice ('left') or the owner's ('revoked')
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {number} userId - Caretaker's user ID
+ * @param {string} status - 'left' or 'revoked'
+ * @returns {Promise<Object|null>} Caretaker row, or null if they had no access
+ */
+async function endCaretaking(db, petId, userId, status) {
+  const result = await db.query(`
+    UPDATE caretakers SET status = $3
+    WHERE pet_id = $1 AND user_id = $2 AND status IN ('pending', 'active')
+    RETURNING *
+  `, [petId, userId, status]);
+
+  if (result.rows.length === 0) return null;
+
+  // Don't leave them looking at a pet they can no longer open
+  await db.query(
+    'UPDATE users SET active_pet_id = NULL WHERE id = $1 AND active_pet_id = $2',
+    [userId, petId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Close out sitters whose time is up. Access already stops at expires_at
+ * (see get_user_pets()); this records it, for the pet and the audit log.
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Array>} Caretaker rows that expired
+ */
+async function expireSitters(db, petId) {
+  const result = await db.query(`
+    UPDATE caretakers c SET status = 'expired'
+    FROM users u
+    WHERE u.id = c.user_id AND c.pet_id = $1
+      AND c.status IN ('pending', 'active') AND c.expires_at <= LOCALTIMESTAMP
+    RETURNING c.*, COALESCE(u.display_name, u.username) AS name
+  `, [petId]);
+
+  for (const sitter of result.rows) {
+    await logAudit({
+      system: 'sitter_expiry',
+      itemType: 'Caretaker',
+      itemId: sitter.id,
+      eventType: 'update',
+      action: 'sitting_expired',
+      object: { pet_id: sitter.pet_id, user_id: sitter.user_id, expires_at: sitter.expires_at }
+    });
+
+    // Invitations that were never accepted just lapse
+    if (!sitter.accepted_at) continue;
+
+    await db.query(
+      'UPDATE users SET active_pet_id = NULL WHERE id = $1 AND active_pet_id = $2',
+      [sitter.user_id, petId]
+    );
+    await db.query(
+      'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+      [petId, 'action', `${sitter.name} finished pet-sitting me. Bye for now!`]
+    );
+  }
+  return result.rows;
+}
+
+/**
+ * Everyone who looks after a pet, with how much they've helped
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Array>}
+ */
+async function listCaretakers(db, petId) {
+  await expireSitters(db, petId);
+
+  const result = await db.query(`
+    SELECT c.user_id, COALESCE(u.display_name, u.username) AS name, c.role, c.status,
+           c.actions_count, c.invited_at, c.accepted_at, c.expires_at
+    FROM caretakers c
+    JOIN users u ON u.id = c.user_id
+    WHERE c.pet_id = $1 AND c.status IN ('pending', 'active')
+    ORDER BY c.status, c.accepted_at
+  `, [petId]);
+  return result.rows;
+}
+
+/**
+ * Count an action towards a caretaker's actions_count (owners aren't counted)
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {number} userId - Acting user
+ */
+async function recordCaretakerAction(db, petId, userId) {
+  await db.query(
+    "UPDATE caretakers SET actions_count = actions_count + 1 WHERE pet_id = $1 AND user_id = $2 AND status = 'active'",
+    [petId, userId]
+  );
+}
+
+module.exports = {
+  INVITE_ROLES,
+  CARE_ROLES,
+  MAX_SIT_DAYS,
+  actorName,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  redeemInvite,
+  listPendingInvites,
+  answerInvite,
+  endCaretaking,
+  expireSitters,
+  listCaretakers,
+  recordCaretakerAction
+};
@@ -0,0 +1,185 @@
+/**
+ * Action & Item Catalog
+ * Everything an owner can do to a pet, and the items sold in the shop, defined
+ * as data. Adding a snack or toy means adding entries here; the action route,
+ * the shop and the frontend pick them up.
+ */
+
+const { STAGES, describeSprite } = require('./evolution');
+
+// Pet columns an action may stamp with the current time
+const TIMESTAMP_COLUMNS = ['last_fed', 'last_played', 'last_cleaned', 'last_slept'];
+
+// Pet clocks that move forward when a frozen (archived or vacationing) pet wakes up
+const TIMELINE_COLUMNS = [...TIMESTAMP_COLUMNS, 'born_at', 'neglected_since'];
+
+/**
+ * Shop items, keyed by inventory_items.item_key.
+ *
+ * - consumable: used up by one action; otherwise owned once and kept (toys)
+ */
+const ITEMS = {
+  kibble: { label: 'KIBBLE', category: 'food', price: 5, consumable: true },
+  cookie: { label: 'COOKIE', category: 'food', price: 8, consumable: true },
+  soap: { label: 'SOAP', category: 'hygiene', price: 4, consumable: true },
+  medicine: { label: 'MEDICINE', category: 'medicine', price: 20, consumable: true },
+  ball: { label: 'BALL', category: 'toy', price: 30, consumable: false },
+  rubber_duck: { label: 'DUCKY', category: 'toy', price: 25, consumable: false }
+};
+
+/**
+ * Catalog entries, keyed by the action name sent to the action route.
+ *
+ * - label: button text
+ * - category: 'care' | 'food' | 'toy' | 'medicine' (groups buttons in the UI)
+ * - effects: stat deltas (hunger = fullness, so feeding is positive)
+ * - touches: timestamp column reset by this action, if any (restarts its decay curve)
+ * - cooldownMinutes: minimum gap since `touches` was last set (see game/rules.js)
+ * - uses: item from ITEMS the action needs in the pet's inventory (consumed if consumable)
+ * - actsAs: action it counts as when settling game events (defaults to the key)
+ * - memory: what the pet remembers; {who}, {pet} and {item} are filled in
+ * - unlock: conditions the pet must meet, e.g. { stage: 'child' } or { generation: 2 }
+ */
+const CATALOG = {
+  feed: {
+    label: 'FEED',
+    category: 'care',
+    effects: { hunger: 30 },
+    touches: 'last_fed',
+    cooldownMinutes: 3,
+    uses: 'kibble',
+    memory: '{who} fed me!'
+  },
+  play: {
+    label: 'PLAY',
+    category: 'care',
+    effects: { happiness: 20, energy: -10 },
+    touches: 'last_played',
+    cooldownMinutes: 0,
+    memory: '{who} played with me!'
+  },
+  clean: {
+    label: 'WASH',
+    category: 'care',
+    effects: { hygiene: 40 },
+    touches: 'last_cleaned',
+    cooldownMinutes: 10,
+    uses: 'soap',
+    memory: '{who} cleaned me!'
+  },
+  sleep: {
+    label: 'NAP',
+    category: 'care',
+    effects: { energy: 30 },
+    touches: 'last_slept',
+    cooldownMinutes: 20,
+    memory: '{who} put me to sleep!'
+  },
+  medicine: {
+    label: 'MEDS',
+    category: 'medicine',
+    effects: { health: 30, happiness: -5 },
+    touches: null,
+    cooldownMinutes: 0,
+    uses: 'medicine',
+    memory: '{who} gave me medicine. Yuck!'
+  },
+  cookie: {
+    label: 'COOKIE',
+    category: 'food',
+    effects: { hunger: 10, happiness: 10, hygiene: -5 },
+    touches: 'last_fed',
+    cooldownMinutes: 10,
+    actsAs: 'feed',
+    uses: 'cookie',
+    memory: '{who} gave me a {item}. Crumbs everywhere!',
+    unlock: { stage: 'baby' }
+  },
+  ball: {
+    label: 'BALL',
+    category: 'toy',
+    effects: { happiness: 25, energy: -15, hygiene: -5 },
+    touches: 'last_played',
+    cooldownMinutes: 15,
+    actsAs: 'play',
+    uses: 'ball',
+    memory: '{who} threw the {item} and {pet} chased it!',
+    unlock: { stage: 'child' }
+  },
+  bath_toy: {
+    label: 'DUCKY',
+    category: 'toy',
+    effects: { hygiene: 40, happiness: 10 },
+    touches: 'last_cleaned',
+    cooldownMinutes: 30,
+    actsAs: 'clean',
+    uses: 'rubber_duck',
+    memory: 'Bath time with {who} and a rubber {item}!',
+    unlock: { generation: 2 }
+  }
+};
+
+/**
+ * Why a pet can't use a catalog entry yet
+ * @param {Object} entry - Catalog entry
+ * @param {Object} pet - Pet row
+ * @returns {string|null} Reason it's locked, or null if unlocked
+ */
+function lockedReason(entry, pet) {
+  const unlock = entry.unlock || {};
+
+  if (unlock.stage) {
+    const required = STAGES.findIndex(stage => stage.name === unlock.stage);
+    const current = STAGES.findIndex(stage => stage.name === describeSprite(pet.sprite || 0).stage);
+    if (current < required) return `Unlocks at the ${unlock.stage} stage`;
+  }
+
+  if (unlock.generation && (pet.generation || 1) < unlock.generation) {
+    return `Unlocks in generation ${unlock.generation}`;
+  }
+
+  return null;
+}
+
+/**
+ * Fill in a memory template
+ * @param {Object} entry - Catalog entry
+ * @param {Object} pet - Pet row
+ * @param {string} who - Who did it ('Owner', or a caretaker's name)
+ * @returns {string} Memory text
+ */
+function renderMemory(entry, pet, who = 'Owner') {
+  return entry.memory
+    .replace(/\{who\}/g, who)
+    .replace(/\{pet\}/g, pet.name)
+    .replace(/\{item\}/g, entry.label.toLowerCase());
+}
+
+/**
+ * Catalog as sent to the frontend, with each entry's lock state for a pet
+ * @param {Object} pet - Pet row
+ * @param {Object} inventory - { item_key: quantity } the pet holds
+ * @returns {Array} Entries in display order
+ */
+function catalogFor(pet, inventory = {}) {
+  return Object.entries(CATALOG).map(([action, entry]) => ({
+    action,
+    label: entry.label,
+    category: entry.category,
+    effects: entry.effects,
+    cooldownMinutes: entry.cooldownMinutes,
+    uses: entry.uses || null,
+    quantity: entry.uses ? inventory[entry.uses] || 0 : null,
+    locked: lockedReason(entry, pet)
+  }));
+}
+
+module.exports = {
+  ITEMS,
+  CATALOG,
+  TIMESTAMP_COLUMNS,
+  TIMELINE_COLUMNS,
+  lockedReason,
+  renderMemory,
+  catalogFor
+};
@@ -0,0 +1,179 @@
+/**
+ * Stat Decay
+ * Server-authoritative stat decay derived from pet timestamps
+ */
+
+const { decayMultiplier } = require('./personality');
+
+// Note: hunger = fullness (100 = full, 0 = starving)
+const STATS = ['hunger', 'happiness', 'energy', 'hygiene'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Default decay curves, one per stat.
+ *
+ * Each stat decays at `perHour` points per hour, measured from the timestamp
+ * in `anchor` (the last time the owner cared for that need). For the first
+ * `graceMinutes` after care the stat holds steady, then the rate ramps up by
+ * `rampPerHour` (as a multiple of `perHour`) for every hour of neglect, capped
+ * at `maxMultiplier`. A ramp of 0 gives plain linear decay.
+ */
+const DEFAULT_DECAY_CURVES = {
+  hunger: { anchor: 'last_fed', perHour: 5, graceMinutes: 30, rampPerHour: 0.1, maxMultiplier: 2 },
+  happiness: { anchor: 'last_played', perHour: 4, graceMinutes: 15, rampPerHour: 0.05, maxMultiplier: 1.5 },
+  energy: { anchor: 'last_slept', perHour: 3, graceMinutes: 60, rampPerHour: 0, maxMultiplier: 1 },
+  hygiene: { anchor: 'last_cleaned', perHour: 3, graceMinutes: 60, rampPerHour: 0.05, maxMultiplier: 1.5 }
+};
+
+/**
+ * Merge DECAY_CURVES env overrides (JSON, e.g. {"hunger":{"perHour":8}})
+ * on top of the defaults
+ * @returns {Object} Decay curves keyed by stat
+ */
+function loadDecayCurves() {
+  const curves = JSON.parse(JSON.stringify(DEFAULT_DECAY_CURVES));
+
+  if (!process.env.DECAY_CURVES) {
+    return curves;
+  }
+
+  try {
+    const overrides = JSON.parse(process.env.DECAY_CURVES);
+    for (const [stat, override] of Object.entries(overrides)) {
+      if (curves[stat]) {
+        Object.assign(curves[stat], override);
+      }
+    }
+  } catch (error) {
+    console.warn('⚠️  Ignoring invalid DECAY_CURVES (must be JSON):', error.message);
+  }
+
+  return curves;
+}
+
+const DECAY_CURVES = loadDecayCurves();
+
+/**
+ * Total decay accumulated between the anchor and `hours` after it
+ * @param {Object} curve - Decay curve
+ * @param {number} hours - Hours since the anchor timestamp
+ * @returns {number} Points decayed
+ */
+function cumulativeDecay(curve, hours) {
+  const active = hours - curve.graceMinutes / 60;
+  if (active <= 0) return 0;
+
+  const { perHour, rampPerHour, maxMultiplier } = curve;
+  if (!rampPerHour || maxMultiplier <= 1) {
+    return perHour * active;
+  }
+
+  // Hours of neglect until the rate stops ramping
+  const rampHours = (maxMultiplier - 1) / rampPerHour;
+  if (active <= rampHours) {
+    return perHour * (active + rampPerHour * active * active / 2);
+  }
+
+  const rampDecay = perHour * (rampHours + rampPerHour * rampHours * rampHours / 2);
+  return rampDecay + perHour * maxMultiplier * (active - rampHours);
+}
+
+/**
+ * Decay of one stat over the window [from, to]
+ * @param {Object} curve - Decay curve
+ * @param {Date} anchor - Last time this need was cared for
+ * @param {Date} from - Last time the stat was materialized
+ * @param {Date} to - Point in time to decay to
+ * @returns {number} Points decayed (>= 0)
+ */
+function decayBetween(curve, anchor, from, to) {
+  const anchorMs = new Date(anchor || from).getTime();
+  const start = Math.max(0, (new Date(from).getTime() - anchorMs) / HOUR_MS);
+  const end = Math.max(start, (new Date(to).getTime() - anchorMs) / HOUR_MS);
+  return cumulativeDecay(curve, end) - cumulativeDecay(curve, start);
+}
+
+/**
+ * A stat's decay curve for a specific pet (personality traits scale the rate)
+ * @param {Object} pet - Pet row
+ * @param {string} stat - Stat name
+ * @returns {Object} Decay curve
+ */
+function curveFor(pet, stat) {
+  const curve = DECAY_CURVES[stat];
+  const multiplier = decayMultiplier(pet, stat);
+  return multiplier === 1 ? curve : { ...curve, perHour: curve.perHour * multiplier };
+}
+
+/**
+ * Compute a pet's current stats from its stored values and timestamps.
+ * Stored stats are treated as accurate as of `last_seen`.
+ * @param {Object} pet - Pet row
+ * @param {Date} now - Point in time to compute stats for
+ * @returns {Object} Unrounded stats keyed by stat name
+ */
+function computeStats(pet, now = new Date()) {
+  const since = pet.last_seen || now;
+  const stats = {};
+
+  for (const stat of STATS) {
+    const curve = curveFor(pet, stat);
+    const decayed = decayBetween(curve, pet[curve.anchor], since, now);
+    stats[stat] = Math.max(0, Math.min(100, pet[stat] - decayed));
+  }
+
+  return stats;
+}
+
+/**
+ * Apply decay to a pet row. Stats keep their fractions, so writing them back
+ * (which restarts the decay window at last_seen) loses nothing.
+ * @param {Object} pet - Pet row
+ * @param {Date} now - Point in time to decay to
+ * @returns {{ pet: Object, changed: boolean }} Decayed copy of the pet and
+ *   whether any stat moved to a different whole point
+ */
+function applyDecay(pet, now = new Date()) {
+  const stats = computeStats(pet, now);
+  const decayed = { ...pet, ...stats };
+  const changed = STATS.some(stat => Math.round(stats[stat]) !== Math.round(pet[stat]));
+
+  return { pet: decayed, changed };
+}
+
+/**
+ * Find when a stat first hit zero between last_seen and `now`
+ * @param {Object} pet - Pet row (stats as of last_seen)
+ * @param {string} stat - Stat name
+ * @param {Date} now - End of the window
+ * @returns {Date|null} Time the stat ran out, or null if it is still above zero
+ */
+function depletedAt(pet, stat, now = new Date()) {
+  if (pet[stat] <= 0) return new Date(pet.last_seen || now);
+  if (computeStats(pet, now)[stat] > 0) return null;
+
+  // Decay only grows over time, so binary search the window (to ~1s)
+  let low = new Date(pet.last_seen || now).getTime();
+  let high = new Date(now).getTime();
+  while (high - low > 1000) {
+    const mid = (low + high) / 2;
+    if (computeStats(pet, new Date(mid))[stat] > 0) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return new Date(high);
+}
+
+module.exports = {
+  STATS,
+  DECAY_CURVES,
+  curveFor,
+  computeStats,
+  applyDecay,
+  decayBetween,
+  depletedAt
+};
@@ -0,0 +1,261 @@
+/**
+ * Economy
+ * Coins, care streaks and the inventory of shop items each pet holds
+ */
+
+const { pool } = require('../db/pool');
+const { ITEMS } = require('./catalog');
+
+// What a pet's wallet starts with the first time it's opened
+const STARTER_KIT = {
+  coins: 50,
+  items: { kibble: 10, soap: 5, medicine: 1 }
+};
+
+// Coins per day of care streak, capped at MAX_STREAK_DAYS days' worth
+const STREAK_COINS_PER_DAY = 5;
+const MAX_STREAK_DAYS = 7;
+
+// Most of one item that can be bought at once
+const MAX_PURCHASE_QUANTITY = 20;
+
+/**
+ * Write a coin movement to the ledger
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {number} amount - Coins earned (positive) or spent (negative)
+ * @param {number} balance - Balance after the movement
+ * @param {string} reason - 'starter_kit', 'care_streak', 'mini_game', 'purchase'
+ * @param {Object} options
+ * @param {number} options.userId - Acting user (optional)
+ * @param {Object} options.details - Extra context (optional)
+ */
+async function recordTransaction(db, petId, amount, balance, reason, { userId = null, details = null } = {}) {
+  await db.query(`
+    INSERT INTO coin_transactions (pet_id, user_id, amount, balance_after, reason, details)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [petId, userId, amount, balance, reason, details ? JSON.stringify(details) : null]);
+}
+
+/**
+ * Add to an item stack, creating it if needed
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {string} itemKey - Key into ITEMS
+ * @param {number} quantity - How many to add
+ */
+async function addItem(db, petId, itemKey, quantity) {
+  await db.query(`
+    INSERT INTO inventory_items (pet_id, item_key, quantity)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (pet_id, item_key)
+    DO UPDATE SET quantity = inventory_items.quantity + EXCLUDED.quantity
+  `, [petId, itemKey, quantity]);
+}
+
+/**
+ * Create a pet's wallet with the starter kit if it doesn't have one yet
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ */
+async function ensureWallet(db, petId) {
+  const created = await db.query(`
+    INSERT INTO wallets (pet_id, coins) VALUES ($1, $2)
+    ON CONFLICT (pet_id) DO NOTHING
+    RETURNING coins
+  `, [petId, STARTER_KIT.coins]);
+
+  // Only the request that created the wallet hands out the kit
+  if (created.rows.length === 0) return;
+
+  for (const [itemKey, quantity] of Object.entries(STARTER_KIT.items)) {
+    await addItem(db, petId, itemKey, quantity);
+  }
+  await recordTransaction(db, petId, STARTER_KIT.coins, STARTER_KIT.coins, 'starter_kit');
+}
+
+/**
+ * Items a pet holds
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Object>} { item_key: quantity }
+ */
+async function getInventory(db, petId) {
+  await ensureWallet(db, petId);
+
+  const result = await db.query(
+    'SELECT item_key, quantity FROM inventory_items WHERE pet_id = $1 AND quantity > 0 ORDER BY item_key',
+    [petId]
+  );
+  return Object.fromEntries(result.rows.map(row => [row.item_key, row.quantity]));
+}
+
+/**
+ * A pet's coins, care streak and inventory
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Object>} { coins, care_streak, last_care_date, inventory }
+ */
+async function getWallet(db, petId) {
+  const inventory = await getInventory(db, petId);
+  const result = await db.query(
+    'SELECT coins, care_streak, last_care_date FROM wallets WHERE pet_id = $1',
+    [petId]
+  );
+  return { ...result.rows[0], inventory };
+}
+
+/**
+ * Give a pet coins
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {number} amount - Coins to add
+ * @param {string} reason - Ledger reason
+ * @param {Object} options - { userId, details } for the ledger
+ * @returns {Promise<number>} New balance
+ */
+async function earnCoins(db, petId, amount, reason, options = {}) {
+  await ensureWallet(db, petId);
+
+  const result = await db.query(
+    'UPDATE wallets SET coins = coins + $1 WHERE pet_id = $2 RETURNING coins',
+    [amount, petId]
+  );
+  const balance = result.rows[0].coins;
+
+  await recordTransaction(db, petId, amount, balance, reason, options);
+  return balance;
+}
+
+/**
+ * Use up one of an item for an action. Toys aren't used up, only required.
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {string} itemKey - Key into ITEMS
+ * @returns {Promise<boolean>} False if the pet doesn't have one
+ */
+async function consumeItem(db, petId, itemKey) {
+  await ensureWallet(db, petId);
+
+  if (!ITEMS[itemKey] || !ITEMS[itemKey].consumable) {
+    const owned = await db.query(
+      'SELECT 1 FROM inventory_items WHERE pet_id = $1 AND item_key = $2 AND quantity > 0',
+      [petId, itemKey]
+    );
+    return owned.rows.length > 0;
+  }
+
+  const result = await db.query(`
+    UPDATE inventory_items SET quantity = quantity - 1
+    WHERE pet_id = $1 AND item_key = $2 AND quantity > 0
+    RETURNING quantity
+  `, [petId, itemKey]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Count today's care towards the streak, paying out coins on the first
+ * care of each day. Missing a day restarts the streak.
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {number} userId - Caring user (optional)
+ * @returns {Promise<Object|null>} { streak, coins } if a payout was made today
+ */
+async function recordCare(db, petId, userId = null) {
+  await ensureWallet(db, petId);
+
+  const result = await db.query(`
+    UPDATE wallets
+    SET care_streak = CASE WHEN last_care_date = CURRENT_DATE - 1 THEN care_streak + 1 ELSE 1 END,
+        last_care_date = CURRENT_DATE
+    WHERE pet_id = $1 AND (last_care_date IS NULL OR last_care_date < CURRENT_DATE)
+    RETURNING care_streak
+  `, [petId]);
+
+  if (result.rows.length === 0) return null;
+
+  const streak = result.rows[0].care_streak;
+  const coins = STREAK_COINS_PER_DAY * Math.min(streak, MAX_STREAK_DAYS);
+  await earnCoins(db, petId, coins, 'care_streak', { userId, details: { streak } });
+
+  return { streak, coins };
+}
+
+/**
+ * Buy items from the shop with the pet's coins
+ * @param {number} petId - Pet ID
+ * @param {string} itemKey - Key into ITEMS
+ * @param {number} quantity - How many to buy
+ * @param {Object} options
+ * @param {number} options.userId - Buying user (optional)
+ * @returns {Promise<Object>} { wallet } on success, or { error, status }
+ */
+async function buyItem(petId, itemKey, quantity = 1, { userId = null } = {}) {
+  const item = Object.prototype.hasOwnProperty.call(ITEMS, itemKey) ? ITEMS[itemKey] : null;
+  if (!item) {
+    return { error: 'Unknown item', status: 400 };
+  }
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_PURCHASE_QUANTITY) {
+    return { error: `Quantity must be between 1 and ${MAX_PURCHASE_QUANTITY}`, status: 400 };
+  }
+  if (!item.consumable && quantity !== 1) {
+    return { error: `${item.label} can only be bought once`, status: 400 };
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await ensureWallet(client, petId);
+
+    const wallet = await client.query(
+      'SELECT coins FROM wallets WHERE pet_id = $1 FOR UPDATE',
+      [petId]
+    );
+
+    if (!item.consumable) {
+      const owned = await client.query(
+        'SELECT 1 FROM inventory_items WHERE pet_id = $1 AND item_key = $2 AND quantity > 0',
+        [petId, itemKey]
+      );
+      if (owned.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return { error: `Already own ${item.label}`, status: 409 };
+      }
+    }
+
+    const cost = item.price * quantity;
+    if (wallet.rows[0].coins < cost) {
+      await client.query('ROLLBACK');
+      return { error: 'Not enough coins', status: 402 };
+    }
+
+    const updated = await client.query(
+      'UPDATE wallets SET coins = coins - $1 WHERE pet_id = $2 RETURNING coins',
+      [cost, petId]
+    );
+    await recordTransaction(client, petId, -cost, updated.rows[0].coins, 'purchase', {
+      userId,
+      details: { item: itemKey, quantity }
+    });
+    await addItem(client, petId, itemKey, quantity);
+
+    await client.query('COMMIT');
+    return { wallet: await getWallet(pool, petId) };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  STARTER_KIT,
+  getInventory,
+  getWallet,
+  earnCoins,
+  consumeItem,
+  recordCare,
+  buyItem
+};
@@ -0,0 +1,226 @@
+/**
+ * Game Events
+ * Spawns events from pet state, expires ignored ones, and resolves them
+ */
+
+const { STATS } = require('./decay');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Event definitions, keyed by game_events.event_type.
+ *
+ * - when: spawn condition, checked against the pet's current state
+ * - severity: 'critical' | 'standard' | 'low' (or a function of the pet)
+ * - ttlMinutes: how long the owner has to respond
+ * - cooldownMinutes: minimum gap between two events of this type
+ * - resolvedBy: actions that resolve it (first one is the suggested action)
+ * - reward: stat deltas applied when resolved through the events endpoint
+ * - penalty: stat deltas applied when it expires unresolved
+ * - memory: what the pet remembers once it's resolved ({who} is filled in)
+ */
+const EVENT_TYPES = {
+  hungry: {
+    when: pet => pet.hunger < 25,
+    severity: pet => (pet.hunger < 10 ? 'critical' : 'standard'),
+    ttlMinutes: 60,
+    cooldownMinutes: 60,
+    resolvedBy: ['feed'],
+    reward: { happiness: 5 },
+    penalty: { happiness: -10, health: -5 },
+    memory: '{who} fed me when my tummy was rumbling!'
+  },
+  crying: {
+    when: pet => pet.happiness < 25,
+    severity: 'standard',
+    ttlMinutes: 30,
+    cooldownMinutes: 45,
+    resolvedBy: ['comfort', 'play'],
+    reward: { happiness: 15 },
+    penalty: { happiness: -15 },
+    memory: '{who} comforted me when I was crying.'
+  },
+  poop: {
+    when: pet => pet.hygiene < 40,
+    severity: 'low',
+    ttlMinutes: 120,
+    cooldownMinutes: 180,
+    resolvedBy: ['cleanup', 'clean'],
+    reward: { hygiene: 20 },
+    penalty: { hygiene: -15, health: -5 },
+    memory: '{who} cleaned up my mess.'
+  },
+  sick: {
+    when: pet => pet.health < 40,
+    severity: pet => (pet.health < 15 ? 'critical' : 'standard'),
+    ttlMinutes: 120,
+    cooldownMinutes: 120,
+    resolvedBy: ['medicine'],
+    reward: { health: 10 },
+    penalty: { health: -10 },
+    memory: '{who} nursed me when I was sick.'
+  },
+  sleepy: {
+    when: pet => pet.energy < 20,
+    severity: 'standard',
+    ttlMinutes: 60,
+    cooldownMinutes: 90,
+    resolvedBy: ['tuck_in', 'sleep'],
+    reward: { energy: 20 },
+    penalty: { energy: -10, happiness: -5 },
+    memory: '{who} tucked me in when I was sleepy.'
+  },
+  playful: {
+    when: pet => pet.energy > 70 && pet.happiness < 70,
+    severity: 'low',
+    ttlMinutes: 30,
+    cooldownMinutes: 180,
+    resolvedBy: ['play'],
+    reward: { happiness: 10 },
+    penalty: { happiness: -5 },
+    memory: '{who} played with me when I was feeling playful!'
+  }
+};
+
+/**
+ * Apply stat deltas to an in-memory pet, clamping to 0-100
+ * @param {Object} pet - Pet object (mutated)
+ * @param {Object} deltas - { stat: delta }
+ */
+function applyDeltas(pet, deltas) {
+  for (const [stat, delta] of Object.entries(deltas)) {
+    if (STATS.includes(stat) || stat === 'health') {
+      pet[stat] = Math.max(0, Math.min(100, pet[stat] + delta));
+    }
+  }
+}
+
+/**
+ * Expire active events past their deadline, applying each one's penalty.
+ * Must run inside the caller's transaction.
+ * @param {Object} client - Pool client with an open transaction
+ * @param {Object} pet - Current pet state (stats are mutated by penalties)
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Expired events
+ */
+async function expireEvents(client, pet, now) {
+  const result = await client.query(`
+    UPDATE game_events
+    SET status = 'expired'
+    WHERE pet_id = $1 AND status = 'active' AND expires_at <= $2
+    RETURNING *
+  `, [pet.id, now]);
+
+  for (const event of result.rows) {
+    const type = EVENT_TYPES[event.event_type];
+    if (type) applyDeltas(pet, type.penalty);
+  }
+
+  return result.rows;
+}
+
+/**
+ * Spawn events whose conditions the pet currently meets.
+ * Skips types that are already active or still on cooldown.
+ * Must run inside the caller's transaction.
+ * @param {Object} client - Pool client with an open transaction
+ * @param {Object} pet - Current pet state
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Newly spawned events
+ */
+async function spawnEvents(client, pet, now) {
+  const candidates = Object.entries(EVENT_TYPES).filter(([, type]) => type.when(pet));
+  if (candidates.length === 0) return [];
+
+  // Most recent event of each type, to check active/cooldown
+  const recent = await client.query(`
+    SELECT DISTINCT ON (event_type) event_type, status, created_at
+    FROM game_events
+    WHERE pet_id = $1
+    ORDER BY event_type, created_at DESC
+  `, [pet.id]);
+  const latest = Object.fromEntries(recent.rows.map(row => [row.event_type, row]));
+
+  const spawned = [];
+  for (const [eventType, type] of candidates) {
+    const last = latest[eventType];
+    if (last) {
+      if (last.status === 'active') continue;
+      const elapsed = new Date(now).getTime() - new Date(last.created_at).getTime();
+      if (elapsed < type.cooldownMinutes * MINUTE_MS) continue;
+    }
+
+    const severity = typeof type.severity === 'function' ? type.severity(pet) : type.severity;
+    const expiresAt = new Date(new Date(now).getTime() + type.ttlMinutes * MINUTE_MS);
+
+    const result = await client.query(`
+      INSERT INTO game_events (pet_id, event_type, severity, data, created_at, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [pet.id, eventType, severity, JSON.stringify({ resolved_by: type.resolvedBy }), now, expiresAt]);
+
+    spawned.push(result.rows[0]);
+  }
+
+  return spawned;
+}
+
+/**
+ * Close every active event on a pet without penalty (e.g. on death)
+ * @param {Object} client - Pool client or pool
+ * @param {number} petId - Pet ID
+ */
+async function ignoreActiveEvents(client, petId) {
+  await client.query(
+    "UPDATE game_events SET status = 'ignored' WHERE pet_id = $1 AND status = 'active'",
+    [petId]
+  );
+}
+
+/**
+ * Mark active events resolved by an action.
+ * @param {Object} client - Pool client or pool
+ * @param {number} petId - Pet ID
+ * @param {string} action - Action performed
+ * @param {Object} options
+ * @param {number} options.eventId - Only resolve this event
+ * @param {number} options.userId - Resolving user (optional)
+ * @returns {Promise<Array>} Resolved events
+ */
+async function resolveEvents(client, petId, action, { eventId = null, userId = null } = {}) {
+  const types = Object.entries(EVENT_TYPES)
+    .filter(([, type]) => type.resolvedBy.includes(action))
+    .map(([eventType]) => eventType);
+
+  if (types.length === 0) return [];
+
+  const result = await client.query(`
+    UPDATE game_events
+    SET status = 'resolved', resolution_action = $1, resolved_by = $2, resolved_at = NOW()
+    WHERE pet_id = $3 AND status = 'active' AND event_type = ANY($4)
+      AND ($5::int IS NULL OR id = $5)
+    RETURNING *
+  `, [action, userId, petId, types, eventId]);
+
+  return result.rows;
+}
+
+/**
+ * What the pet remembers about an event being resolved
+ * @param {string} eventType - Key into EVENT_TYPES
+ * @param {string} who - Who resolved it ('Owner', or a caretaker's name)
+ * @returns {string} Memory text
+ */
+function eventMemory(eventType, who = 'Owner') {
+  return EVENT_TYPES[eventType].memory.replace(/\{who\}/g, who);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  eventMemory,
+  applyDeltas,
+  expireEvents,
+  spawnEvents,
+  ignoreActiveEvents,
+  resolveEvents
+};
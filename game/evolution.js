@@ -0,0 +1,179 @@
+/**
+ * Aging & Evolution
+ * Pets grow through life stages; from child onward, the form they take
+ * depends on how well they were cared for
+ */
+
+const { ageAt } = require('./lifecycle');
+const { TRAITS, MAX_TRAITS, traitsOf, traitFromCare } = require('./personality');
+
+const HOUR_S = 60 * 60;
+const DAY_S = 24 * HOUR_S;
+
+// Life stages in order, with the age (seconds) each one starts at
+const STAGES = [
+  { name: 'egg', minAge: 0 },
+  { name: 'baby', minAge: 10 * 60 },
+  { name: 'child', minAge: DAY_S },
+  { name: 'teen', minAge: 3 * DAY_S },
+  { name: 'adult', minAge: 7 * DAY_S },
+  { name: 'elder', minAge: 21 * DAY_S }
+];
+
+// Care branches, best first, with the minimum care score for each
+const BRANCHES = [
+  { name: 'radiant', minScore: 0.7 },
+  { name: 'steady', minScore: 0.4 },
+  { name: 'scruffy', minScore: 0 }
+];
+
+// First stage that branches; earlier stages have a single sprite each
+const BRANCHING_STAGE = 2;
+
+// Stage at which a pet picks up a trait from how it was raised
+const TRAIT_STAGE = 3;
+
+/**
+ * Sprite number for a stage/branch.
+ * 0 = egg, 1 = baby, then three sprites (one per branch) per later stage.
+ * @param {number} stageIndex - Index into STAGES
+ * @param {number} branchIndex - Index into BRANCHES
+ * @returns {number} Sprite number
+ */
+function spriteFor(stageIndex, branchIndex) {
+  if (stageIndex < BRANCHING_STAGE) return stageIndex;
+  return BRANCHING_STAGE + (stageIndex - BRANCHING_STAGE) * BRANCHES.length + branchIndex;
+}
+
+/**
+ * Decode a sprite number
+ * @param {number} sprite - Sprite number
+ * @returns {{ stage: string, branch: string|null }}
+ */
+function describeSprite(sprite) {
+  if (sprite < BRANCHING_STAGE) {
+    return { stage: STAGES[sprite].name, branch: null };
+  }
+  const offset = sprite - BRANCHING_STAGE;
+  const stageIndex = Math.min(STAGES.length - 1, BRANCHING_STAGE + Math.floor(offset / BRANCHES.length));
+  return { stage: STAGES[stageIndex].name, branch: BRANCHES[offset % BRANCHES.length].name };
+}
+
+/**
+ * Index of the life stage for an age
+ * @param {number} ageSeconds - Age in seconds
+ * @returns {number} Index into STAGES
+ */
+function stageIndexForAge(ageSeconds) {
+  let index = 0;
+  STAGES.forEach((stage, i) => {
+    if (ageSeconds >= stage.minAge) index = i;
+  });
+  return index;
+}
+
+/**
+ * Score how well the current generation has been cared for (0-1):
+ * half from how many events were answered, half from current stats.
+ * @param {Object} client - Pool client or pool
+ * @param {Object} pet - Current pet state
+ * @returns {Promise<number>} Care score
+ */
+async function careScore(client, pet) {
+  const result = await client.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE status = 'resolved') AS resolved,
+      COUNT(*) FILTER (WHERE status = 'expired') AS expired
+    FROM game_events
+    WHERE pet_id = $1 AND created_at >= $2
+  `, [pet.id, pet.born_at || pet.created_at]);
+
+  const resolved = parseInt(result.rows[0].resolved);
+  const expired = parseInt(result.rows[0].expired);
+  const eventScore = resolved + expired > 0 ? resolved / (resolved + expired) : 1;
+
+  const stats = ['hunger', 'happiness', 'energy', 'hygiene', 'health'];
+  const statScore = stats.reduce((sum, stat) => sum + pet[stat], 0) / (stats.length * 100);
+
+  return (eventScore + statScore) / 2;
+}
+
+/**
+ * Give a growing pet a trait shaped by the care it has had so far
+ * (the kind of events its owner answered most)
+ * @param {Object} client - Pool client or pool
+ * @param {Object} pet - Current pet state (pet.traits is mutated)
+ * @returns {Promise<string|null>} Trait gained
+ */
+async function nurtureTrait(client, pet) {
+  const traits = traitsOf(pet);
+  if (traits.length >= MAX_TRAITS) return null;
+
+  const result = await client.query(`
+    SELECT resolution_action, COUNT(*) AS count
+    FROM game_events
+    WHERE pet_id = $1 AND status = 'resolved' AND created_at >= $2
+    GROUP BY resolution_action
+  `, [pet.id, pet.born_at || pet.created_at]);
+  const resolutions = Object.fromEntries(result.rows.map(row => [row.resolution_action, parseInt(row.count)]));
+
+  const trait = traitFromCare(resolutions, traits);
+  if (!trait) return null;
+
+  pet.traits = [...traits, trait];
+  await client.query(
+    'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+    [pet.id, 'evolution', `Growing up has made me a bit of a ${TRAITS[trait].label.toLowerCase()}.`]
+  );
+  return trait;
+}
+
+/**
+ * Age a pet to `now` and evolve it if it has reached a new life stage.
+ * Updates pet.age_seconds, pet.sprite and (on reaching or passing TRAIT_STAGE)
+ * pet.traits in place.
+ * Must run inside the caller's transaction.
+ * @param {Object} client - Pool client with an open transaction
+ * @param {Object} pet - Current pet state (mutated)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} { from, to, trait } if it evolved
+ */
+async function agePet(client, pet, now) {
+  pet.age_seconds = ageAt(pet, now);
+
+  const stageIndex = stageIndexForAge(pet.age_seconds);
+  const current = describeSprite(pet.sprite);
+  if (STAGES[stageIndex].name === current.stage) {
+    return null;
+  }
+
+  let branchIndex = 0;
+  if (stageIndex >= BRANCHING_STAGE) {
+    const score = await careScore(client, pet);
+    branchIndex = BRANCHES.findIndex(branch => score >= branch.minScore);
+  }
+
+  pet.sprite = spriteFor(stageIndex, branchIndex);
+  const next = describeSprite(pet.sprite);
+  const form = next.branch ? `${next.branch} ${next.stage}` : next.stage;
+
+  await client.query(
+    'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+    [pet.id, 'evolution', `Grew from ${current.stage} into a ${form}!`]
+  );
+
+  // A pet seen rarely can skip a stage entirely, so this is when it passes
+  // TRAIT_STAGE, not only when it lands on it
+  const fromIndex = STAGES.findIndex(stage => stage.name === current.stage);
+  const trait = fromIndex < TRAIT_STAGE && stageIndex >= TRAIT_STAGE ? await nurtureTrait(client, pet) : null;
+
+  return { from: current, to: next, trait };
+}
+
+module.exports = {
+  STAGES,
+  BRANCHES,
+  spriteFor,
+  describeSprite,
+  agePet
+};
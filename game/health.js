@@ -0,0 +1,84 @@
+/**
+ * Health & Sickness
+ * Health is derived from how the other four stats have fared over time
+ */
+
+const { computeStats } = require('./decay');
+
+// Below this a pet counts as sick
+const SICK_THRESHOLD = 40;
+
+/**
+ * Conditions that make a pet ill. While a stat sits below `below`,
+ * health drops by `perHour`; penalties from several rules stack.
+ */
+const SICKNESS_RULES = [
+  { stat: 'hunger', below: 20, perHour: 4 }, // Starving
+  { stat: 'hygiene', below: 20, perHour: 3 }, // Dirty
+  { stat: 'energy', below: 10, perHour: 1 } // Exhausted
+];
+
+// Health regained per hour while no sickness rule applies
+const RECOVERY_PER_HOUR = 2;
+
+// Sampling resolution when replaying a window of time
+const STEP_MS = 10 * 60 * 1000;
+const MAX_STEPS = 200;
+
+/**
+ * Net health change per hour for a given set of stats
+ * @param {Object} stats - Stat values
+ * @returns {number} Health points per hour (negative when sick)
+ */
+function healthRate(stats) {
+  const penalty = SICKNESS_RULES
+    .filter(rule => stats[rule.stat] < rule.below)
+    .reduce((sum, rule) => sum + rule.perHour, 0);
+
+  return penalty > 0 ? -penalty : RECOVERY_PER_HOUR;
+}
+
+/**
+ * Replay health from last_seen to `now`, sampling the decayed stats along the way
+ * @param {Object} pet - Pet row (stats as of last_seen)
+ * @param {Date} now - Point in time to compute health for
+ * @returns {{ health: number, depletedAt: Date|null }} Unrounded health, and
+ *   when it ran out if it hit zero during the window
+ */
+function computeHealth(pet, now = new Date()) {
+  const start = new Date(pet.last_seen || now).getTime();
+  const end = new Date(now).getTime();
+  const span = Math.max(0, end - start);
+  const step = Math.max(STEP_MS, span / MAX_STEPS);
+
+  let health = pet.health === undefined || pet.health === null ? 100 : pet.health;
+  let depletedAt = health <= 0 ? new Date(start) : null;
+
+  for (let t = start; t < end; t += step) {
+    const slice = Math.min(step, end - t);
+    const stats = computeStats(pet, new Date(t + slice / 2));
+    health = Math.max(0, Math.min(100, health + healthRate(stats) * slice / 3600000));
+
+    if (health <= 0 && !depletedAt) {
+      depletedAt = new Date(t + slice);
+    }
+  }
+
+  return { health, depletedAt };
+}
+
+/**
+ * Whether a pet is currently sick
+ * @param {Object} pet - Pet row
+ * @returns {boolean}
+ */
+function isSick(pet) {
+  return pet.health < SICK_THRESHOLD;
+}
+
+module.exports = {
+  SICK_THRESHOLD,
+  SICKNESS_RULES,
+  computeHealth,
+  isSick
+};
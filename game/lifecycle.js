@@ -0,0 +1,175 @@
+/**
+ * Pet Lifecycle
+ * Death from sustained neglect, and reincarnation into the next generation
+ */
+
+const { pool } = require('../db/pool');
+const { ignoreActiveEvents } = require('./events');
+const { randomTrait } = require('./personality');
+
+// How long a pet can sit at zero in a vital stat before it dies
+const NEGLECT_DEATH_HOURS = parseFloat(process.env.NEGLECT_DEATH_HOURS) || 12;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Vital stats, checked in order. A pet dies when one of them has been at
+ * zero for NEGLECT_DEATH_HOURS; `cause` is what gets recorded in `deaths`.
+ */
+const VITALS = [
+  { stat: 'hunger', cause: 'hunger' },
+  { stat: 'health', cause: 'sickness' }
+];
+
+const EPITAPHS = {
+  hunger: 'Waited by the food bowl until the very end.',
+  neglect: 'Just wanted a little attention.',
+  sickness: 'Fought bravely, but the fever won.',
+  old_age: 'Lived a long and happy life.'
+};
+
+/**
+ * Work out neglect tracking and death for a freshly decayed pet
+ * @param {Object} stored - Pet row as stored (stats as of last_seen)
+ * @param {Object} pet - Pet row with decay applied
+ * @param {Date} now - Current time
+ * @param {Object} depleted - When each vital stat hit zero during the window, if it did
+ * @returns {{ neglectedSince: Date|null, death: Object|null }}
+ */
+function evaluateNeglect(stored, pet, now, depleted = {}) {
+  const vital = VITALS.find(({ stat }) => Math.round(pet[stat]) === 0);
+
+  if (!vital) {
+    return { neglectedSince: null, death: null };
+  }
+
+  // Rounded stats can read 0 slightly before the exact depletion time
+  const neglectedSince = stored.neglected_since ||
+    depleted[vital.stat] ||
+    now;
+
+  const diedAt = new Date(new Date(neglectedSince).getTime() + NEGLECT_DEATH_HOURS * HOUR_MS);
+  if (diedAt > now) {
+    return { neglectedSince, death: null };
+  }
+
+  return {
+    neglectedSince,
+    death: { cause: vital.cause, diedAt }
+  };
+}
+
+/**
+ * Seconds a pet lived in its current generation
+ * @param {Object} pet - Pet row
+ * @param {Date} at - Time of death (or now)
+ * @returns {number} Age in seconds
+ */
+function ageAt(pet, at) {
+  const bornAt = new Date(pet.born_at || pet.created_at).getTime();
+  return Math.max(0, Math.floor((new Date(at).getTime() - bornAt) / 1000));
+}
+
+/**
+ * Mark a pet dead and write its death record.
+ * Must run inside the caller's transaction.
+ * @param {Object} client - Pool client with an open transaction
+ * @param {Object} pet - Pet row with final stats
+ * @param {Object} death - { cause, diedAt }
+ * @returns {Promise<Object>} Updated pet row
+ */
+async function recordDeath(client, pet, death) {
+  const finalStats = {
+    hunger: Math.round(pet.hunger),
+    happiness: Math.round(pet.happiness),
+    energy: Math.round(pet.energy),
+    hygiene: Math.round(pet.hygiene),
+    health: Math.round(pet.health)
+  };
+  const epitaph = EPITAPHS[death.cause] || EPITAPHS.neglect;
+
+  await client.query(`
+    INSERT INTO deaths (pet_id, generation, cause, final_age_seconds, final_stats, epitaph, died_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [
+    pet.id,
+    pet.generation,
+    death.cause,
+    ageAt(pet, death.diedAt),
+    JSON.stringify(finalStats),
+    epitaph,
+    death.diedAt
+  ]);
+
+  await client.query(
+    'INSERT INTO memories (pet_id, memory_type, content, created_at) VALUES ($1, $2, $3, $4)',
+    [pet.id, 'death', `Generation ${pet.generation} passed away (${death.cause}). ${epitaph}`, death.diedAt]
+  );
+
+  await ignoreActiveEvents(client, pet.id);
+
+  const result = await client.query(`
+    UPDATE pets
+    SET is_alive = FALSE, neglected_since = NULL, age_seconds = $6,
+        hunger = $1, happiness = $2, energy = $3, hygiene = $4, health = $5
+    WHERE id = $7
+    RETURNING *
+  `, [pet.hunger, pet.happiness, pet.energy, pet.hygiene, pet.health, ageAt(pet, death.diedAt), pet.id]);
+
+  return result.rows[0];
+}
+
+/**
+ * Bring a dead pet back as the next generation.
+ * Memories stay attached to the pet, so the new generation remembers its past lives;
+ * its personality starts over with a fresh birth trait.
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Object|null>} Reborn pet row, or null if the pet isn't dead
+ */
+async function reincarnatePet(petId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      UPDATE pets
+      SET is_alive = TRUE, generation = generation + 1,
+          hunger = 50, happiness = 50, energy = 50, hygiene = 50, health = 100,
+          sprite = 0, age_seconds = 0, neglected_since = NULL, born_at = NOW(),
+          traits = $2,
+          last_fed = NOW(), last_played = NOW(), last_cleaned = NOW(), last_slept = NOW()
+      WHERE id = $1 AND is_alive = FALSE
+      RETURNING *
+    `, [petId, JSON.stringify([randomTrait()])]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const pet = result.rows[0];
+
+    await client.query(
+      'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+      [pet.id, 'action', `Reborn as generation ${pet.generation}, carrying the memories of past lives.`]
+    );
+
+    await client.query('COMMIT');
+    return pet;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  NEGLECT_DEATH_HOURS,
+  VITALS,
+  evaluateNeglect,
+  recordDeath,
+  reincarnatePet,
+  ageAt
+};
@@ -0,0 +1,380 @@
+/**
+ * Mini-Games
+ * The server deals a seeded round and keeps the deal to itself: the client
+ * only learns what a real player would see, one move at a time (a memory
+ * card when it's flipped, a reflex color change when it happens), and every
+ * move is timed on the server. The score is worked out from those recorded
+ * moves, so there is nothing to compute ahead and POST.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../db/pool');
+const { earnCoins } = require('./economy');
+const { adjustStats } = require('./simulation');
+
+// How long a dealt round stays open for a submission
+const ROUND_TTL_MINUTES = 5;
+
+// Most coins a pet can win from mini-games in a day (counted in the ledger)
+const MINI_GAME_COINS_PER_DAY = 60;
+
+/**
+ * Deterministic PRNG (mulberry32), so a round can be re-dealt from its seed
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Game definitions, keyed by mini_game_rounds.game_type.
+ *
+ * - deal(random): builds the round's hidden layout from the seeded PRNG
+ * - publicLayout(): what the client gets when the round starts
+ * - play(layout, state, move, elapsedMs): applies one move at server time
+ *   elapsedMs; returns { state, reply, waitMs? } or { error, status }
+ * - verify(layout, state): scores the recorded moves; returns
+ *   { won, score } or { error } when the record is impossible
+ * - reward: stat deltas and coins for a win
+ */
+const GAMES = {
+  reflex: {
+    label: 'REFLEX',
+    description: 'Tap your pet the moment it changes color.',
+    rounds: 3,
+    windowMs: 1000, // Time allowed to react to each change
+    minReactionMs: 120, // Faster than this isn't a human
+    reward: { stats: { happiness: 10 }, coins: 10 },
+
+    deal(random) {
+      const palette = ['#ff4444', '#44dd44', '#4488ff', '#ffcc00', '#cc44ff'];
+      const changes = [];
+      for (let i = 0; i < this.rounds; i++) {
+        // 1.5-4s of suspense after asking for the next change
+        changes.push({
+          delayMs: 1500 + Math.floor(random() * 2500),
+          color: palette[Math.floor(random() * palette.length)]
+        });
+      }
+      return { changes };
+    },
+
+    publicLayout() {
+      return { rounds: this.rounds, windowMs: this.windowMs };
+    },
+
+    // { type: 'wait' } asks for the next change; the reply is held back until
+    // it happens. { type: 'tap' } reacts to the change showing.
+    play(layout, state, move, elapsedMs) {
+      const reveals = state.reveals || [];
+      const last = reveals[reveals.length - 1];
+
+      if (move.type === 'wait') {
+        if (reveals.length >= layout.changes.length) {
+          return { error: 'Every change has been shown', status: 409 };
+        }
+        if (last && last.tapAt === null && elapsedMs < last.at + this.windowMs) {
+          return { error: 'A change is still showing', status: 409 };
+        }
+
+        const change = layout.changes[reveals.length];
+        return {
+          state: { reveals: [...reveals, { at: elapsedMs + change.delayMs, tapAt: null }] },
+          waitMs: change.delayMs,
+          reply: { index: reveals.length, color: change.color, windowMs: this.windowMs }
+        };
+      }
+
+      if (move.type === 'tap') {
+        if (!last || last.tapAt !== null) {
+          return { error: 'Nothing to tap', status: 409 };
+        }
+
+        const reactionMs = elapsedMs - last.at;
+        return {
+          state: { reveals: [...reveals.slice(0, -1), { ...last, tapAt: elapsedMs }] },
+          reply: { reactionMs, hit: reactionMs >= this.minReactionMs && reactionMs <= this.windowMs }
+        };
+      }
+
+      return { error: 'Move must be { type: \'wait\' } or { type: \'tap\' }', status: 400 };
+    },
+
+    verify(layout, state) {
+      const reveals = state.reveals || [];
+
+      let hits = 0;
+      let score = 0;
+      reveals.forEach(reveal => {
+        if (reveal.tapAt === null) return;
+        const reaction = reveal.tapAt - reveal.at;
+        if (reaction >= this.minReactionMs && reaction <= this.windowMs) {
+          hits++;
+          score += this.windowMs - reaction;
+        }
+      });
+
+      return { won: hits === layout.changes.length, score, hits };
+    }
+  },
+
+  memory: {
+    label: 'MEMORY',
+    description: 'Match all 8 pairs in 60 seconds.',
+    pairs: 8,
+    timeLimitMs: 60 * 1000,
+    minFlipMs: 250, // Minimum gap between two moves
+    reward: { stats: { happiness: 15 }, coins: 15 },
+
+    deal(random) {
+      const cards = [];
+      for (let symbol = 0; symbol < this.pairs; symbol++) cards.push(symbol, symbol);
+
+      // Fisher-Yates shuffle
+      for (let i = cards.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [cards[i], cards[j]] = [cards[j], cards[i]];
+      }
+      return { cards };
+    },
+
+    publicLayout() {
+      return { cards: this.pairs * 2, timeLimitMs: this.timeLimitMs };
+    },
+
+    // { card } flips one card and reveals its symbol; every second flip is a move
+    play(layout, state, move, elapsedMs) {
+      const { card } = move;
+      if (!Number.isInteger(card) || card < 0 || card >= layout.cards.length) {
+        return { error: 'Flip a card by its index', status: 400 };
+      }
+      if (elapsedMs > this.timeLimitMs) {
+        return { error: 'Time is up', status: 409 };
+      }
+
+      const matched = state.matched || [];
+      const moves = state.moves || [];
+      const open = state.open === undefined ? null : state.open;
+      if (matched.includes(card) || open === card) {
+        return { error: 'That card is already face up', status: 400 };
+      }
+
+      const reply = { card, symbol: layout.cards[card] };
+      if (open === null) {
+        return { state: { matched, moves, open: card }, reply };
+      }
+
+      const lastAt = moves.length ? moves[moves.length - 1].at : 0;
+      if (elapsedMs - lastAt < this.minFlipMs) {
+        return { error: 'Moves are too fast', status: 400 };
+      }
+
+      const match = layout.cards[open] === layout.cards[card];
+      return {
+        state: {
+          matched: match ? [...matched, open, card] : matched,
+          moves: [...moves, { a: open, b: card, at: elapsedMs }],
+          open: null
+        },
+        reply: { ...reply, match }
+      };
+    },
+
+    verify(layout, state) {
+      const moves = Array.isArray(state.moves) ? state.moves : [];
+      const isIndex = i => Number.isInteger(i) && i >= 0 && i < layout.cards.length;
+      if (!moves.every(move => move && typeof move === 'object' &&
+          isIndex(move.a) && isIndex(move.b) && Number.isFinite(move.at))) {
+        return { error: 'Moves must be { a, b, at } with numeric fields' };
+      }
+
+      const matched = new Set();
+      let lastAt = 0;
+
+      for (const { a, b, at } of moves) {
+        if (a === b || matched.has(a) || matched.has(b)) {
+          return { error: 'Invalid move' };
+        }
+        if (at - lastAt < this.minFlipMs) {
+          return { error: 'Moves are too fast' };
+        }
+        lastAt = at;
+
+        if (layout.cards[a] === layout.cards[b]) {
+          matched.add(a);
+          matched.add(b);
+        }
+      }
+
+      const won = matched.size === layout.cards.length && lastAt <= this.timeLimitMs;
+      const extraMoves = Math.max(0, moves.length - this.pairs);
+      const secondsLeft = Math.max(0, Math.floor((this.timeLimitMs - lastAt) / 1000));
+      const score = won ? Math.max(0, 100 - extraMoves * 5) + secondsLeft : matched.size / 2;
+
+      return { won, score, moves: moves.length };
+    }
+  }
+};
+
+/**
+ * Deal a new round
+ * @param {string} gameType - Key into GAMES
+ * @returns {{ seed: number, layout: Object }} The seed stays on the server;
+ *   layout is the public part for the client
+ */
+function dealRound(gameType) {
+  const seed = crypto.randomInt(2 ** 31);
+  return { seed, layout: GAMES[gameType].publicLayout() };
+}
+
+/**
+ * Make one move in an active round, timed by the database clock. The round
+ * row is locked so simultaneous moves are applied one after the other.
+ * @param {number} petId - Pet ID
+ * @param {number} roundId - Round ID
+ * @param {Object} move - Client move (shape depends on the game)
+ * @returns {Promise<Object>} { reply, waitMs? } or { error, status }
+ */
+async function playRound(petId, roundId, move) {
+  if (!move || typeof move !== 'object' || Array.isArray(move)) {
+    return { error: 'Send a move object', status: 400 };
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // clock_timestamp(), not NOW(): the time after waiting for the lock
+    const found = await client.query(`
+      SELECT *,
+        EXTRACT(EPOCH FROM clock_timestamp()::timestamp - created_at) * 1000 AS elapsed_ms,
+        expires_at <= clock_timestamp()::timestamp AS is_expired
+      FROM mini_game_rounds
+      WHERE id = $1 AND pet_id = $2
+      FOR UPDATE
+    `, [roundId, petId]);
+    const round = found.rows[0];
+
+    if (!round) {
+      await client.query('ROLLBACK');
+      return { error: 'Round not found', status: 404 };
+    }
+    if (round.status !== 'active' || round.is_expired) {
+      await client.query('ROLLBACK');
+      return { error: 'Round is no longer active', status: 409 };
+    }
+
+    const game = GAMES[round.game_type];
+    const layout = game.deal(seededRandom(round.seed));
+    const played = game.play(layout, round.result || {}, move, parseFloat(round.elapsed_ms));
+    if (played.error) {
+      await client.query('ROLLBACK');
+      return played;
+    }
+
+    await client.query(
+      'UPDATE mini_game_rounds SET result = $1 WHERE id = $2',
+      [JSON.stringify(played.state), round.id]
+    );
+
+    await client.query('COMMIT');
+    return { reply: played.reply, waitMs: played.waitMs || 0 };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Score a round from the moves the server recorded
+ * @param {Object} round - mini_game_rounds row
+ * @returns {Object} { won, score, ... } or { error }
+ */
+function verifyRound(round) {
+  const game = GAMES[round.game_type];
+  const layout = game.deal(seededRandom(round.seed));
+  return game.verify(layout, round.result || {});
+}
+
+/**
+ * Pay out a won round, up to MINI_GAME_COINS_PER_DAY. The day's winnings are
+ * summed from the ledger with the pet row locked, so concurrent submissions
+ * can't both slip under the cap. Stat rewards only come with a paid win.
+ * @param {number} petId - Pet ID
+ * @param {Object} round - mini_game_rounds row
+ * @param {number} score - Verified score
+ * @param {Object} options
+ * @param {number} options.userId - Playing user (optional)
+ * @returns {Promise<Object>} { coins, pet } (pet is null once the cap is reached)
+ */
+async function rewardWin(petId, round, score, { userId = null } = {}) {
+  const game = GAMES[round.game_type];
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM pets WHERE id = $1 FOR UPDATE', [petId]);
+
+    const earned = await client.query(`
+      SELECT COALESCE(SUM(amount), 0) AS coins
+      FROM coin_transactions
+      WHERE pet_id = $1 AND reason = 'mini_game' AND created_at >= CURRENT_DATE
+    `, [petId]);
+    const coins = Math.max(0, Math.min(game.reward.coins, MINI_GAME_COINS_PER_DAY - parseInt(earned.rows[0].coins)));
+
+    if (coins === 0) {
+      await client.query('ROLLBACK');
+      return { coins: 0, pet: null };
+    }
+
+    const pet = await adjustStats(client, petId, game.reward.stats);
+    await earnCoins(client, petId, coins, 'mini_game', {
+      userId,
+      details: { game: round.game_type, round: round.id, score }
+    });
+
+    await client.query('COMMIT');
+    return { coins, pet };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Games as sent to the frontend
+ * @returns {Array}
+ */
+function listGames() {
+  return Object.entries(GAMES).map(([game, def]) => ({
+    game,
+    label: def.label,
+    description: def.description,
+    reward: def.reward
+  }));
+}
+
+module.exports = {
+  GAMES,
+  ROUND_TTL_MINUTES,
+  MINI_GAME_COINS_PER_DAY,
+  seededRandom,
+  dealRound,
+  playRound,
+  verifyRound,
+  rewardWin,
+  listGames
+};
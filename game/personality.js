@@ -0,0 +1,130 @@
+/**
+ * Personality Traits
+ * Each pet is born with a trait and picks up a second one from how it was
+ * raised. Traits change how fast stats decay, how actions land, and how the
+ * pet talks.
+ */
+
+// Most traits a pet can have
+const MAX_TRAITS = 2;
+
+/**
+ * Trait definitions, keyed by the names stored in pets.traits.
+ *
+ * - decay: multipliers on each stat's decay rate
+ * - effects: extra stat deltas per action (by the action it acts as)
+ * - careActions: event resolutions that nurture this trait while growing up
+ * - prompt: how the trait shows in conversation
+ */
+const TRAITS = {
+  glutton: {
+    label: 'Glutton',
+    decay: { hunger: 1.4 },
+    effects: { feed: { happiness: 5 } },
+    careActions: ['feed'],
+    prompt: 'You are a glutton: food is always on your mind and you bring it up whenever you can.'
+  },
+  lazy: {
+    label: 'Lazy',
+    decay: { energy: 0.7, happiness: 1.1 },
+    effects: { play: { energy: -5 }, sleep: { happiness: 5 } },
+    careActions: ['sleep', 'tuck_in'],
+    prompt: 'You are lazy: you yawn a lot, love naps and try to get out of anything energetic.'
+  },
+  neat_freak: {
+    label: 'Neat Freak',
+    decay: { hygiene: 1.3 },
+    effects: { clean: { happiness: 10 } },
+    careActions: ['clean', 'cleanup'],
+    prompt: 'You are a neat freak: mess bothers you and you adore bath time.'
+  },
+  social: {
+    label: 'Social',
+    decay: { happiness: 1.2 },
+    effects: { play: { happiness: 5 } },
+    careActions: ['play', 'comfort'],
+    prompt: 'You are social: you love company, chatter happily and ask about friends and visitors.'
+  }
+};
+
+/**
+ * A pet's traits, tolerating rows from before traits existed
+ * @param {Object} pet - Pet row
+ * @returns {Array<string>} Trait names
+ */
+function traitsOf(pet) {
+  return Array.isArray(pet.traits) ? pet.traits.filter(trait => TRAITS[trait]) : [];
+}
+
+/**
+ * Pick a trait at random (for a newborn)
+ * @returns {string} Trait name
+ */
+function randomTrait() {
+  const names = Object.keys(TRAITS);
+  return names[Math.floor(Math.random() * names.length)];
+}
+
+/**
+ * The trait a pet's care history points to
+ * @param {Object} resolutions - { resolution_action: count } of resolved events
+ * @param {Array<string>} exclude - Traits the pet already has
+ * @returns {string|null} Trait name, or null without enough history
+ */
+function traitFromCare(resolutions, exclude = []) {
+  let best = null;
+  let bestCount = 0;
+
+  for (const [name, trait] of Object.entries(TRAITS)) {
+    if (exclude.includes(name)) continue;
+    const count = trait.careActions.reduce((sum, action) => sum + (resolutions[action] || 0), 0);
+    if (count > bestCount) {
+      best = name;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Combined decay multiplier for a stat
+ * @param {Object} pet - Pet row
+ * @param {string} stat - Stat name
+ * @returns {number} Multiplier (1 = unchanged)
+ */
+function decayMultiplier(pet, stat) {
+  return traitsOf(pet).reduce((multiplier, trait) => multiplier * (TRAITS[trait].decay[stat] || 1), 1);
+}
+
+/**
+ * Extra stat deltas a pet's traits add to an action
+ * @param {Object} pet - Pet row
+ * @param {string} action - Action (or what it acts as)
+ * @returns {Array<{ trait: string, effects: Object }>} One entry per trait that reacts
+ */
+function traitEffects(pet, action) {
+  return traitsOf(pet)
+    .filter(trait => TRAITS[trait].effects[action])
+    .map(trait => ({ trait, effects: TRAITS[trait].effects[action] }));
+}
+
+/**
+ * Personality lines for the AI prompt
+ * @param {Object} pet - Pet row
+ * @returns {string} Prompt text (empty for a pet without traits)
+ */
+function personalityPrompt(pet) {
+  return traitsOf(pet).map(trait => TRAITS[trait].prompt).join(' ');
+}
+
+module.exports = {
+  TRAITS,
+  MAX_TRAITS,
+  traitsOf,
+  randomTrait,
+  traitFromCare,
+  decayMultiplier,
+  traitEffects,
+  personalityPrompt
+};
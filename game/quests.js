@@ -0,0 +1,316 @@
+/**
+ * Daily Quests
+ * Three quests a day, dealt from a seed of pet + date so every request that
+ * day sees the same ones. Days follow the owner's time zone, so "today"
+ * rolls over at their midnight rather than the server's. A new time zone only
+ * takes over once it has reached the next day, so changing it can't bring
+ * back a day whose quests were already done.
+ */
+
+const crypto = require('crypto');
+const { seededRandom } = require('./minigames');
+const { earnCoins } = require('./economy');
+
+const DAILY_QUEST_COUNT = 3;
+
+// Bonus for finishing all of a day's quests, per day of streak (capped)
+const STREAK_BONUS_PER_DAY = 5;
+const MAX_STREAK_DAYS = 7;
+
+/**
+ * Quest pool, keyed by daily_quests.quest_key.
+ *
+ * - trigger: what progresses it ('action', 'talk', 'visit', 'minigame')
+ * - actions: for 'action' quests, which actions count
+ * - pattern: for 'talk' quests, what the message has to mention
+ * - target: how many times
+ * - coins: reward when claimed
+ */
+const QUESTS = {
+  feed_three: { label: 'Feed 3 times', trigger: 'action', actions: ['feed'], target: 3, coins: 10 },
+  clean_twice: { label: 'Clean twice', trigger: 'action', actions: ['clean'], target: 2, coins: 10 },
+  play_twice: { label: 'Play twice', trigger: 'action', actions: ['play'], target: 2, coins: 10 },
+  tuck_in: { label: 'Put to bed', trigger: 'action', actions: ['sleep'], target: 1, coins: 5 },
+  talk_food: {
+    label: 'Talk about food',
+    trigger: 'talk',
+    pattern: /\b(food|eat|eating|snack|hungry|cookie|breakfast|lunch|dinner)\b/i,
+    target: 1,
+    coins: 15
+  },
+  chat_three: { label: 'Chat 3 times', trigger: 'talk', target: 3, coins: 10 },
+  visit_friend: { label: 'Visit a friend', trigger: 'visit', target: 1, coins: 15 },
+  win_game: { label: 'Win a mini-game', trigger: 'minigame', target: 1, coins: 15 }
+};
+
+/**
+ * Whether Postgres knows a time zone name (it does the date math, and its
+ * list isn't quite the same as the browser's)
+ * @param {Object} db - Pool or pool client
+ * @param {string} timezone - e.g. 'Europe/Berlin'
+ * @returns {Promise<boolean>}
+ */
+async function isValidTimezone(db, timezone) {
+  if (typeof timezone !== 'string' || !timezone || timezone.length > 64) return false;
+
+  const result = await db.query('SELECT 1 FROM pg_timezone_names WHERE name = $1', [timezone]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Pick a day's quests, the same every time for a pet and date
+ * @param {number} petId - Pet ID
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {Array<string>} Quest keys
+ */
+function dealQuests(petId, date) {
+  const hash = crypto.createHash('sha256').update(`${petId}:${date}`).digest();
+  const random = seededRandom(hash.readUInt32BE(0));
+
+  const keys = Object.keys(QUESTS);
+  for (let i = keys.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [keys[i], keys[j]] = [keys[j], keys[i]];
+  }
+  return keys.slice(0, DAILY_QUEST_COUNT);
+}
+
+/**
+ * The pet's quest streak row with "today" in its owner's time zone
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Object>} { timezone, pending_timezone, today, current_streak, best_streak, last_completed_date }
+ */
+async function loadStreak(db, petId) {
+  await db.query(
+    'INSERT INTO quest_streaks (pet_id) VALUES ($1) ON CONFLICT (pet_id) DO NOTHING',
+    [petId]
+  );
+
+  // A pending time zone takes over once its date has reached both the day it
+  // was set for and the current zone's date, so days only ever move forward
+  await db.query(`
+    UPDATE quest_streaks
+    SET timezone = pending_timezone, pending_timezone = NULL, pending_timezone_from = NULL
+    WHERE pet_id = $1 AND pending_timezone IS NOT NULL
+      AND (NOW() AT TIME ZONE pending_timezone)::date
+        >= GREATEST(pending_timezone_from, (NOW() AT TIME ZONE timezone)::date)
+  `, [petId]);
+
+  // A streak only survives if yesterday's quests were finished
+  const result = await db.query(`
+    SELECT timezone, pending_timezone,
+      to_char(today, 'YYYY-MM-DD') AS today,
+      CASE WHEN last_completed_date >= today - 1 THEN current_streak ELSE 0 END AS current_streak,
+      best_streak,
+      to_char(last_completed_date, 'YYYY-MM-DD') AS last_completed_date
+    FROM (
+      SELECT *, (NOW() AT TIME ZONE timezone)::date AS today
+      FROM quest_streaks WHERE pet_id = $1
+    ) s
+  `, [petId]);
+
+  return result.rows[0];
+}
+
+/**
+ * Today's quests for a pet, dealing them if this is the first look today
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {Promise<Array>} daily_quests rows
+ */
+async function ensureQuests(db, petId, today) {
+  for (const key of dealQuests(petId, today)) {
+    await db.query(`
+      INSERT INTO daily_quests (pet_id, quest_date, quest_key, target)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (pet_id, quest_date, quest_key) DO NOTHING
+    `, [petId, today, key, QUESTS[key].target]);
+  }
+
+  const result = await db.query(`
+    SELECT id, quest_key, progress, target, completed_at, claimed_at
+    FROM daily_quests
+    WHERE pet_id = $1 AND quest_date = $2
+    ORDER BY id
+  `, [petId, today]);
+  return result.rows;
+}
+
+/**
+ * Today's quests and the quest streak
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Object>} { date, timezone, pendingTimezone, streak, quests }
+ */
+async function getQuests(db, petId) {
+  const streak = await loadStreak(db, petId);
+  const quests = await ensureQuests(db, petId, streak.today);
+
+  return {
+    date: streak.today,
+    timezone: streak.timezone,
+    pendingTimezone: streak.pending_timezone,
+    streak: {
+      current: streak.current_streak,
+      best: streak.best_streak,
+      lastCompletedDate: streak.last_completed_date
+    },
+    quests: quests.map(quest => ({
+      id: quest.id,
+      key: quest.quest_key,
+      label: QUESTS[quest.quest_key] ? QUESTS[quest.quest_key].label : quest.quest_key,
+      coins: QUESTS[quest.quest_key] ? QUESTS[quest.quest_key].coins : 0,
+      progress: quest.progress,
+      target: quest.target,
+      completedAt: quest.completed_at,
+      claimedAt: quest.claimed_at
+    }))
+  };
+}
+
+/**
+ * Count something the owner did towards today's quests. Finishing the last
+ * one extends the streak and pays the streak bonus.
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {string} trigger - 'action', 'talk', 'visit' or 'minigame'
+ * @param {Object} details - { action } or { message }
+ * @returns {Promise<Array>} Quest keys completed by this
+ */
+async function recordQuestProgress(db, petId, trigger, details = {}) {
+  const streak = await loadStreak(db, petId);
+  const quests = await ensureQuests(db, petId, streak.today);
+
+  const matching = quests.filter(quest => {
+    const def = QUESTS[quest.quest_key];
+    if (!def || def.trigger !== trigger || quest.completed_at) return false;
+    if (def.actions && !def.actions.includes(details.action)) return false;
+    if (def.pattern && !def.pattern.test(details.message || '')) return false;
+    return true;
+  });
+
+  const completed = [];
+  for (const quest of matching) {
+    const result = await db.query(`
+      UPDATE daily_quests
+      SET progress = LEAST(target, progress + 1),
+          completed_at = CASE WHEN progress + 1 >= target THEN NOW() ELSE NULL END
+      WHERE id = $1 AND completed_at IS NULL
+      RETURNING completed_at
+    `, [quest.id]);
+    if (result.rows.length && result.rows[0].completed_at) completed.push(quest.quest_key);
+  }
+
+  if (completed.length > 0) {
+    const remaining = await db.query(
+      'SELECT COUNT(*) AS count FROM daily_quests WHERE pet_id = $1 AND quest_date = $2 AND completed_at IS NULL',
+      [petId, streak.today]
+    );
+    if (parseInt(remaining.rows[0].count) === 0) {
+      await extendStreak(db, petId, streak.today);
+    }
+  }
+
+  return completed;
+}
+
+/**
+ * Mark a day's quests finished, extending or restarting the streak
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {string} today - Local date (YYYY-MM-DD)
+ */
+async function extendStreak(db, petId, today) {
+  const result = await db.query(`
+    UPDATE quest_streaks
+    SET current_streak = CASE WHEN last_completed_date = $2::date - 1 THEN current_streak + 1 ELSE 1 END,
+        best_streak = GREATEST(best_streak, CASE WHEN last_completed_date = $2::date - 1 THEN current_streak + 1 ELSE 1 END),
+        last_completed_date = $2::date
+    WHERE pet_id = $1 AND (last_completed_date IS NULL OR last_completed_date < $2::date)
+    RETURNING current_streak
+  `, [petId, today]);
+
+  if (result.rows.length === 0) return;
+
+  const streak = result.rows[0].current_streak;
+  await earnCoins(db, petId, STREAK_BONUS_PER_DAY * Math.min(streak, MAX_STREAK_DAYS), 'quest_streak', {
+    details: { streak, date: today }
+  });
+}
+
+/**
+ * Claim the coins for a completed quest
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {number} questId - daily_quests.id
+ * @param {Object} options
+ * @param {number} options.userId - Claiming user (optional)
+ * @returns {Promise<Object|null>} { quest, coins, balance }, or null if not claimable
+ */
+async function claimQuest(db, petId, questId, { userId = null } = {}) {
+  const result = await db.query(`
+    UPDATE daily_quests SET claimed_at = NOW()
+    WHERE id = $1 AND pet_id = $2 AND completed_at IS NOT NULL AND claimed_at IS NULL
+    RETURNING id, quest_key, quest_date
+  `, [questId, petId]);
+
+  if (result.rows.length === 0) return null;
+
+  const quest = result.rows[0];
+  const coins = QUESTS[quest.quest_key] ? QUESTS[quest.quest_key].coins : 0;
+  const balance = await earnCoins(db, petId, coins, 'quest', {
+    userId,
+    details: { quest: quest.quest_key }
+  });
+
+  return { quest: quest.quest_key, coins, balance };
+}
+
+/**
+ * Set the time zone a pet's days follow. Until the pet has made progress on
+ * any quest it applies straight away; after that it waits for the next local
+ * day (see loadStreak()), so a change can't re-deal a finished day.
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {string} timezone - IANA time zone name
+ * @returns {Promise<Object>} { applied } on success, or { error, status }
+ */
+async function setTimezone(db, petId, timezone) {
+  if (!(await isValidTimezone(db, timezone))) {
+    return { error: 'Invalid time zone', status: 400 };
+  }
+
+  await db.query(
+    'INSERT INTO quest_streaks (pet_id) VALUES ($1) ON CONFLICT (pet_id) DO NOTHING',
+    [petId]
+  );
+
+  const progress = await db.query(
+    'SELECT 1 FROM daily_quests WHERE pet_id = $1 AND progress > 0 LIMIT 1',
+    [petId]
+  );
+
+  // Setting the zone already in use also drops any pending change
+  const result = await db.query(`
+    UPDATE quest_streaks
+    SET timezone = CASE WHEN $3 THEN timezone ELSE $2 END,
+        pending_timezone = CASE WHEN $3 AND timezone <> $2 THEN $2 END,
+        pending_timezone_from = CASE WHEN $3 AND timezone <> $2 THEN (NOW() AT TIME ZONE timezone)::date + 1 END
+    WHERE pet_id = $1
+    RETURNING pending_timezone
+  `, [petId, timezone, progress.rows.length > 0]);
+
+  return { applied: result.rows[0].pending_timezone === null };
+}
+
+module.exports = {
+  QUESTS,
+  DAILY_QUEST_COUNT,
+  dealQuests,
+  getQuests,
+  recordQuestProgress,
+  claimQuest,
+  setTimezone
+};
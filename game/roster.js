@@ -0,0 +1,378 @@
+/**
+ * Pet Roster
+ * The pets an account owns or looks after: adopting, claiming guest pets,
+ * switching between, archiving and releasing them. Archived pets are frozen in time; when one
+ * is restored its clocks are moved forward so the time away never happened.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../db/pool');
+const { refreshPet } = require('./simulation');
+const { randomTrait } = require('./personality');
+const { TIMELINE_COLUMNS } = require('./catalog');
+
+// Most pets an account can own outside the archive
+const MAX_PETS = 4;
+
+/**
+ * SHA-256 hex of a guest claim secret (only the hash is stored)
+ * @param {string} secret
+ * @returns {string}
+ */
+function hashClaimSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * A new guest pet's claim secret. It's returned once, with the pet that was
+ * just created, and is what later proves the guest pet is theirs to claim.
+ * @returns {{ secret: string, hash: string }}
+ */
+function newClaimSecret() {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { secret, hash: hashClaimSecret(secret) };
+}
+
+/**
+ * Give an unowned guest pet from before claim secrets (a v1 fingerprint pet,
+ * left unowned by migrate_v2.js) its claim secret. Only the first caller gets
+ * one: the browser that holds the fingerprint, on its first visit since.
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Guest pet ID
+ * @returns {Promise<string|null>} The secret, or null if the pet already has one or an owner
+ */
+async function issueLegacyClaimSecret(db, petId) {
+  const claim = newClaimSecret();
+  const result = await db.query(`
+    UPDATE pets SET claim_secret_hash = $2
+    WHERE id = $1 AND owner_id IS NULL AND claim_secret_hash IS NULL
+    RETURNING id
+  `, [petId, claim.hash]);
+  return result.rows.length > 0 ? claim.secret : null;
+}
+
+/**
+ * Pets a user owns or cares for (via get_user_pets())
+ * @param {Object} db - Pool or pool client
+ * @param {number} userId - User ID
+ * @param {Object} options
+ * @param {boolean} options.includeArchived - Include archived pets
+ * @returns {Promise<Object>} { pets, activePetId, maxPets }
+ */
+async function listPets(db, userId, { includeArchived = false } = {}) {
+  const user = await db.query('SELECT active_pet_id FROM users WHERE id = $1', [userId]);
+  const activePetId = user.rows.length ? user.rows[0].active_pet_id : null;
+
+  const result = await db.query(`
+    SELECT p.id, p.name, p.sprite, p.color, p.generation, p.is_alive, p.archived_at,
+           p.vacation_ends_at, p.created_at,
+           up.caretaker_role AS role, up.is_owner
+    FROM get_user_pets($1) up
+    JOIN pets p ON p.id = up.pet_id
+    WHERE $2 OR p.archived_at IS NULL
+    ORDER BY p.archived_at NULLS FIRST, p.created_at
+  `, [userId, includeArchived]);
+
+  return {
+    pets: result.rows.map(pet => ({ ...pet, is_active: pet.id === activePetId })),
+    activePetId,
+    maxPets: MAX_PETS
+  };
+}
+
+/**
+ * Owned pets that count towards MAX_PETS
+ * @param {Object} db - Pool or pool client
+ * @param {number} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function countRoster(db, userId) {
+  const result = await db.query(
+    'SELECT COUNT(*) AS count FROM pets WHERE owner_id = $1 AND archived_at IS NULL',
+    [userId]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Adopt a new pet. It becomes the active pet if the user has none.
+ * @param {number} userId - Adopting user
+ * @param {Object} options
+ * @param {string} options.name - Pet name (1-20 characters)
+ * @returns {Promise<Object>} { pet } on success, or { error, status }
+ */
+async function adoptPet(userId, { name = 'Buddy' } = {}) {
+  if (typeof name !== 'string' || name.length < 1 || name.length > 20) {
+    return { error: 'Name must be 1-20 characters', status: 400 };
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the account so two adoptions can't both slip under the limit
+    const user = await client.query(
+      'SELECT active_pet_id FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+
+    if (await countRoster(client, userId) >= MAX_PETS) {
+      await client.query('ROLLBACK');
+      return { error: `You can have at most ${MAX_PETS} pets (archive one to make room)`, status: 409 };
+    }
+
+    const result = await client.query(`
+      INSERT INTO pets (owner_id, name, traits)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [userId, name, JSON.stringify([randomTrait()])]);
+    const pet = result.rows[0];
+
+    await client.query(
+      'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+      [pet.id, 'action', 'Born into this world!']
+    );
+
+    if (!user.rows[0].active_pet_id) {
+      await client.query('UPDATE users SET active_pet_id = $1 WHERE id = $2', [pet.id, userId]);
+    }
+
+    await client.query('COMMIT');
+    return { pet };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Switch the pet a user is looking at
+ * @param {Object} db - Pool or pool client
+ * @param {number} userId - User ID
+ * @param {number} petId - Pet ID (must be accessible and not archived)
+ * @returns {Promise<Object|null>} Refreshed pet, or null if it can't be switched to
+ */
+async function setActivePet(db, userId, petId) {
+  const result = await db.query(`
+    UPDATE users SET active_pet_id = $2
+    WHERE id = $1 AND EXISTS (
+      SELECT 1 FROM get_user_pets($1) up
+      JOIN pets p ON p.id = up.pet_id
+      WHERE up.pet_id = $2 AND p.archived_at IS NULL
+    )
+    RETURNING id
+  `, [userId, petId]);
+
+  if (result.rows.length === 0) return null;
+  return refreshPet(petId);
+}
+
+/**
+ * Put a pet in the archive. Its stats are settled first and it stops
+ * aging, decaying and spawning events until restored.
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Object|null>} Archived pet, or null if not found or already archived
+ */
+async function archivePet(petId) {
+  const current = await refreshPet(petId, { persist: true });
+  if (!current || current.archived_at) return null;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'UPDATE pets SET archived_at = LOCALTIMESTAMP WHERE id = $1 AND archived_at IS NULL RETURNING *',
+      [petId]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    // Nobody can have an archived pet in front of them
+    await client.query('UPDATE users SET active_pet_id = NULL WHERE active_pet_id = $1', [petId]);
+    await client.query(
+      'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+      [petId, 'action', 'Tucked away in the archive for a long nap.']
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Bring a pet back from the archive, as long as there's room on the roster
+ * @param {number} userId - Owner ID
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Object>} { pet } on success, or { error, status }
+ */
+async function restorePet(userId, petId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    if (await countRoster(client, userId) >= MAX_PETS) {
+      await client.query('ROLLBACK');
+      return { error: `You can have at most ${MAX_PETS} pets (archive one to make room)`, status: 409 };
+    }
+
+    // Events and every pet clock move forward by the time away (last_seen is
+    // reset by the trigger), so nothing notices the pet was gone
+    await client.query(`
+      UPDATE game_events e SET expires_at = e.expires_at + (LOCALTIMESTAMP - p.archived_at)
+      FROM pets p
+      WHERE p.id = e.pet_id AND e.pet_id = $1 AND e.status = 'active' AND p.archived_at IS NOT NULL
+    `, [petId]);
+
+    const shifts = TIMELINE_COLUMNS.map(column => `${column} = ${column} + (LOCALTIMESTAMP - archived_at)`);
+    const result = await client.query(`
+      UPDATE pets SET ${shifts.join(', ')}, archived_at = NULL
+      WHERE id = $1 AND archived_at IS NOT NULL
+      RETURNING *
+    `, [petId]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: 'Pet is not archived', status: 409 };
+    }
+
+    await client.query(
+      'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+      [petId, 'action', 'Woke up from the archive, ready to play!']
+    );
+
+    await client.query('COMMIT');
+    return { pet: result.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Release a pet for good. Everything attached to it (memories, events,
+ * wallet, caretakers, ...) goes with it.
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Object|null>} The released pet, or null if not found
+ */
+async function releasePet(db, petId) {
+  const result = await db.query('DELETE FROM pets WHERE id = $1 RETURNING *', [petId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Attach a guest's pet (created under a localStorage user_id fingerprint
+ * before they had an account) to their account. The pet keeps its id, so
+ * memories, visits, deaths, events and wallet all come along; the
+ * fingerprint and claim secret are cleared so it can't be claimed twice.
+ * The fingerprint alone isn't enough: the claim secret issued when the
+ * guest pet was created (or, for older guest pets, on the first visit after
+ * the upgrade; see issueLegacyClaimSecret) has to come with it.
+ * @param {number} userId - Claiming user
+ * @param {string} guestId - Fingerprint from localStorage ('user-xxxx')
+ * @param {string} claimSecret - Secret from the guest pet's creation
+ * @param {Object} options
+ * @param {string} options.onConflict - 'archive' to claim into the archive when the roster is full
+ * @returns {Promise<Object>} { pet, archived } on success, or { error, status, conflict? }
+ */
+async function claimGuestPet(userId, guestId, claimSecret, { onConflict = null } = {}) {
+  if (typeof guestId !== 'string' || !guestId) {
+    return { error: 'Guest ID required', status: 400 };
+  }
+  if (typeof claimSecret !== 'string' || !claimSecret) {
+    return { error: 'Claim secret required', status: 400 };
+  }
+  const secretHash = hashClaimSecret(claimSecret);
+
+  // A wrong secret looks the same as no pet, so guesses learn nothing
+  const guest = await pool.query(
+    'SELECT id FROM pets WHERE user_id = $1 AND claim_secret_hash = $2',
+    [guestId, secretHash]
+  );
+  if (guest.rows.length === 0) {
+    return { error: 'No unclaimed pet for this guest ID', status: 404 };
+  }
+  const petId = guest.rows[0].id;
+
+  // Settle the guest pet's decay before it changes hands
+  await refreshPet(petId, { persist: true });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const user = await client.query(
+      'SELECT active_pet_id FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+
+    const full = await countRoster(client, userId) >= MAX_PETS;
+    if (full && onConflict !== 'archive') {
+      await client.query('ROLLBACK');
+      return {
+        error: `You already have ${MAX_PETS} pets. Claim into the archive, or archive one first.`,
+        status: 409,
+        conflict: 'roster_full'
+      };
+    }
+
+    const result = await client.query(`
+      UPDATE pets
+      SET owner_id = $1, user_id = NULL, claim_secret_hash = NULL,
+          archived_at = CASE WHEN $3 THEN LOCALTIMESTAMP ELSE NULL END
+      WHERE id = $2 AND user_id = $4 AND claim_secret_hash = $5
+      RETURNING *
+    `, [userId, petId, full, guestId, secretHash]);
+
+    // Lost a race with another claim
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: 'No unclaimed pet for this guest ID', status: 404 };
+    }
+
+    if (!full && !user.rows[0].active_pet_id) {
+      await client.query('UPDATE users SET active_pet_id = $1 WHERE id = $2', [petId, userId]);
+    }
+    await client.query(
+      'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+      [petId, 'action', 'Found my forever home in a real account!']
+    );
+
+    await client.query('COMMIT');
+    return { pet: result.rows[0], archived: full };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  MAX_PETS,
+  newClaimSecret,
+  issueLegacyClaimSecret,
+  listPets,
+  adoptPet,
+  claimGuestPet,
+  setActivePet,
+  archivePet,
+  restorePet,
+  releasePet
+};
@@ -0,0 +1,115 @@
+/**
+ * Action Rules
+ * Cooldowns, personality, overfeeding, waking a rested pet and diminishing
+ * returns. Turns a catalog entry into the effects that actually land, with an
+ * explanation the UI can show.
+ */
+
+const { TRAITS, traitEffects } = require('./personality');
+
+// Fullness above which feeding counts as overfeeding
+const FULL_THRESHOLD = 90;
+const OVERFEED_PENALTY = { happiness: -10, health: -5 };
+
+// Energy above which a nap just wakes the pet up grumpy
+const RESTED_THRESHOLD = 90;
+const RESTED_PENALTY = { happiness: -10 };
+
+// Playing again within this many minutes gives proportionally less happiness
+const PLAY_RECOVERY_MINUTES = 30;
+const MIN_PLAY_FACTOR = 0.25;
+
+/**
+ * Add two sets of stat deltas
+ * @param {Object} a - { stat: delta }
+ * @param {Object} b - { stat: delta }
+ * @returns {Object} Combined deltas
+ */
+function combine(a, b) {
+  const result = { ...a };
+  for (const [stat, delta] of Object.entries(b)) {
+    result[stat] = (result[stat] || 0) + delta;
+  }
+  return result;
+}
+
+/**
+ * Work out what an action does to a pet right now.
+ * @param {string} action - Catalog key
+ * @param {Object} entry - Catalog entry
+ * @param {Object} pet - Up-to-date pet row
+ * @param {Object} minutesSince - Minutes since each timestamp column (see minutesSince())
+ * @returns {Object} { action, allowed, retryAfter?, effects, rules: [{ rule, message, effects?, factor? }] }
+ */
+function evaluateAction(action, entry, pet, minutesSince) {
+  const elapsed = entry.touches ? minutesSince[entry.touches] : null;
+
+  // Cooldown: too soon since this kind of care was last given
+  if (elapsed !== null && entry.cooldownMinutes && elapsed < entry.cooldownMinutes) {
+    const retryAfter = Math.ceil((entry.cooldownMinutes - elapsed) * 60);
+    return {
+      action,
+      allowed: false,
+      retryAfter,
+      effects: {},
+      rules: [{
+        rule: 'cooldown',
+        message: `${entry.label} is on cooldown for another ${Math.ceil(retryAfter / 60)} min.`
+      }]
+    };
+  }
+
+  let effects = { ...entry.effects };
+  const rules = [];
+
+  // Gluttons love food, neat freaks love baths, ...
+  for (const { trait, effects: bonus } of traitEffects(pet, entry.actsAs || action)) {
+    effects = combine(effects, bonus);
+    rules.push({
+      rule: 'personality',
+      message: `${pet.name}'s ${TRAITS[trait].label.toLowerCase()} streak shows.`,
+      effects: bonus
+    });
+  }
+
+  if (entry.touches === 'last_fed' && pet.hunger >= FULL_THRESHOLD) {
+    effects = combine(effects, OVERFEED_PENALTY);
+    rules.push({
+      rule: 'overfed',
+      message: `${pet.name} was already full and got a tummy ache.`,
+      effects: OVERFEED_PENALTY
+    });
+  }
+
+  if (entry.touches === 'last_slept' && pet.energy >= RESTED_THRESHOLD) {
+    // No energy to gain, just a grumpy pet
+    effects = combine({ ...effects, energy: 0 }, RESTED_PENALTY);
+    rules.push({
+      rule: 'rested',
+      message: `${pet.name} wasn't tired and woke up grumpy.`,
+      effects: RESTED_PENALTY
+    });
+  }
+
+  if (entry.touches === 'last_played' && elapsed !== null && elapsed < PLAY_RECOVERY_MINUTES) {
+    const factor = Math.max(MIN_PLAY_FACTOR, elapsed / PLAY_RECOVERY_MINUTES);
+    // Only the fun wears off; playing still costs the full energy
+    for (const [stat, delta] of Object.entries(effects)) {
+      if (delta > 0) effects[stat] = Math.round(delta * factor);
+    }
+    rules.push({
+      rule: 'diminishing_returns',
+      message: `${pet.name} is getting bored of ${entry.label.toLowerCase()}.`,
+      factor: Math.round(factor * 100) / 100
+    });
+  }
+
+  return { action, allowed: true, effects, rules };
+}
+
+module.exports = {
+  FULL_THRESHOLD,
+  RESTED_THRESHOLD,
+  PLAY_RECOVERY_MINUTES,
+  evaluateAction
+};
@@ -0,0 +1,237 @@
+/**
+ * Pet Simulation
+ * Brings a pet's stored state up to date before it is read or acted on
+ */
+
+const { pool } = require('../db/pool');
+const { applyDecay, depletedAt } = require('./decay');
+const { computeHealth } = require('./health');
+const { evaluateNeglect, recordDeath } = require('./lifecycle');
+const { expireEvents, spawnEvents } = require('./events');
+const { agePet } = require('./evolution');
+const { traitsOf, randomTrait } = require('./personality');
+const { isAway, returnFromVacation } = require('./vacation');
+const { ITEMS, TIMESTAMP_COLUMNS, lockedReason } = require('./catalog');
+const { evaluateAction } = require('./rules');
+const { consumeItem } = require('./economy');
+
+// Stats that actions and events can change directly
+const ADJUSTABLE_STATS = ['hunger', 'happiness', 'energy', 'hygiene', 'health'];
+
+/**
+ * Load a pet with decay and health applied since it was last updated,
+ * expire and spawn game events, age and evolve it, and kill it if it has
+ * been neglected for too long. Pets back from vacation are woken first.
+ *
+ * Stats are only written back when `persist` is set (callers about to update
+ * the pet must persist, since any UPDATE resets last_seen), when an expired
+ * event's penalty lands, when it evolves, gains a trait or wakes from vacation, or when the neglect timer starts,
+ * stops, or kills the pet. Plain reads leave the stored values alone. Stats are
+ * stored with their fractions, so a write never rounds decay away.
+ *
+ * Runs under a row lock so concurrent requests don't apply the same decay twice.
+ * @param {number} petId - Pet ID
+ * @param {Object} options
+ * @param {boolean} options.persist - Write the current stats back
+ * @returns {Promise<Object|null>} Up-to-date pet row, or null if not found
+ */
+async function refreshPet(petId, { persist = false } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // LOCALTIMESTAMP matches how the TIMESTAMP columns are stored and parsed
+    const result = await client.query(
+      'SELECT *, LOCALTIMESTAMP AS db_now FROM pets WHERE id = $1 FOR UPDATE',
+      [petId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const { db_now: now, ...row } = result.rows[0];
+    let stored = row;
+
+    // The dead don't get hungry, and archived or vacationing pets are frozen
+    if (!stored.is_alive || stored.archived_at || isAway(stored, now)) {
+      await client.query('COMMIT');
+      return stored;
+    }
+
+    const returned = Boolean(stored.vacation_started_at);
+    if (returned) stored = await returnFromVacation(client, stored);
+
+    const { pet, changed } = applyDecay(stored, now);
+
+    // Pets from before personalities existed get one now
+    const traitsAssigned = traitsOf(stored).length === 0;
+    if (traitsAssigned) pet.traits = [randomTrait()];
+
+    const health = computeHealth(stored, now);
+    pet.health = health.health;
+
+    // Ignored events cost stats
+    const expired = await expireEvents(client, pet, now);
+
+    const { neglectedSince, death } = evaluateNeglect(stored, pet, now, {
+      hunger: depletedAt(stored, 'hunger', now),
+      health: health.depletedAt
+    });
+
+    if (death) {
+      const dead = await recordDeath(client, pet, death);
+      await client.query('COMMIT');
+      return dead;
+    }
+
+    await spawnEvents(client, pet, now);
+    const evolution = await agePet(client, pet, now);
+
+    // neglected_since is only ever set once per stretch of neglect, or cleared
+    const neglectChanged = (neglectedSince === null) !== (stored.neglected_since === null);
+    const statsChanged = changed || Math.round(pet.health) !== Math.round(stored.health);
+
+    if (!neglectChanged && expired.length === 0 && !evolution && !traitsAssigned && !returned && !(persist && statsChanged)) {
+      await client.query('COMMIT');
+      return { ...pet, neglected_since: neglectedSince };
+    }
+
+    // Writing the stats bumps last_seen (trigger), which resets the decay window
+    const updated = await client.query(`
+      UPDATE pets
+      SET hunger = $1, happiness = $2, energy = $3, hygiene = $4, health = $5,
+          neglected_since = $6, sprite = $7, age_seconds = $8, traits = $9
+      WHERE id = $10
+      RETURNING *
+    `, [
+      pet.hunger, pet.happiness, pet.energy, pet.hygiene, pet.health,
+      neglectedSince, pet.sprite, pet.age_seconds, JSON.stringify(pet.traits), petId
+    ]);
+
+    await client.query('COMMIT');
+    return updated.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Add stat deltas to a stored pet, clamping each stat to 0-100
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {Object} deltas - { stat: delta } for hunger/happiness/energy/hygiene/health
+ * @param {Array<string>} touch - Timestamp columns (last_fed, ...) to set to NOW()
+ * @returns {Promise<Object|null>} Updated pet row
+ */
+async function adjustStats(db, petId, deltas, touch = []) {
+  const setParts = [];
+  const values = [];
+
+  for (const [stat, delta] of Object.entries(deltas)) {
+    if (!ADJUSTABLE_STATS.includes(stat)) continue;
+    values.push(delta);
+    setParts.push(`${stat} = GREATEST(0, LEAST(100, ${stat} + $${values.length}))`);
+  }
+
+  for (const column of touch) {
+    if (TIMESTAMP_COLUMNS.includes(column)) setParts.push(`${column} = NOW()`);
+  }
+
+  if (setParts.length === 0) {
+    const result = await db.query('SELECT * FROM pets WHERE id = $1', [petId]);
+    return result.rows[0] || null;
+  }
+
+  values.push(petId);
+  const result = await db.query(
+    `UPDATE pets SET ${setParts.join(', ')} WHERE id = $${values.length} RETURNING *`,
+    values
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Minutes since each timestamp column (last_fed, ...) was set
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Object>} { last_fed: minutes, ... } (null where never set)
+ */
+async function minutesSince(db, petId) {
+  // Compared in SQL, where the columns and LOCALTIMESTAMP share a time zone
+  const columns = TIMESTAMP_COLUMNS
+    .map(column => `EXTRACT(EPOCH FROM LOCALTIMESTAMP - ${column}) / 60 AS ${column}`)
+    .join(', ');
+  const result = await db.query(`SELECT ${columns} FROM pets WHERE id = $1`, [petId]);
+  const row = result.rows[0] || {};
+
+  return Object.fromEntries(TIMESTAMP_COLUMNS.map(column => [
+    column,
+    row[column] === null || row[column] === undefined ? null : parseFloat(row[column])
+  ]));
+}
+
+/**
+ * Check a care action against the pet and apply it in one transaction. The
+ * pet row stays locked from the checks to the write, so concurrent requests
+ * can't both pass a cooldown or both feed a pet that isn't full yet.
+ * Callers refresh the pet (with persist) first.
+ * @param {number} petId - Pet ID
+ * @param {string} action - Catalog key
+ * @param {Object} entry - Catalog entry
+ * @returns {Promise<Object>} { pet, outcome } on success, or { error, status, ...details }
+ */
+async function performAction(petId, action, entry) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query('SELECT * FROM pets WHERE id = $1 FOR UPDATE', [petId]);
+    const pet = result.rows[0];
+    if (!pet) {
+      await client.query('ROLLBACK');
+      return { error: 'Pet not found', status: 404 };
+    }
+
+    const locked = lockedReason(entry, pet);
+    if (locked) {
+      await client.query('ROLLBACK');
+      return { error: locked, status: 403 };
+    }
+
+    // Cooldowns, overfeeding, waking a rested pet, diminishing returns
+    const outcome = evaluateAction(action, entry, pet, await minutesSince(client, petId));
+    if (!outcome.allowed) {
+      await client.query('ROLLBACK');
+      return { error: outcome.rules[0].message, status: 429, retryAfter: outcome.retryAfter, outcome };
+    }
+
+    // Food, soap, medicine and toys come out of the inventory
+    if (entry.uses && !(await consumeItem(client, petId, entry.uses))) {
+      await client.query('ROLLBACK');
+      return {
+        error: `Out of ${ITEMS[entry.uses].label.toLowerCase()}! Buy more in the shop.`,
+        status: 409,
+        item: entry.uses
+      };
+    }
+
+    const updated = await adjustStats(client, petId, outcome.effects, entry.touches ? [entry.touches] : []);
+
+    await client.query('COMMIT');
+    return { pet: updated, outcome };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { refreshPet, adjustStats, minutesSince, performAction };
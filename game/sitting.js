@@ -0,0 +1,130 @@
+/**
+ * Pet-Sitting
+ * A sitter is a caretaker whose access ends on its own (the owner picks how
+ * many days when creating a 'sitter' invite; see game/caretaking.js). Every
+ * change a sitter makes is audited, and when the owner is back the handoff
+ * sums up what happened while they were away.
+ */
+
+const { expireSitters } = require('./caretaking');
+
+// Memories shown in a handoff
+const HANDOFF_MEMORIES = 20;
+
+// From acceptance until access ran out, was ended early, or now
+const SITTING_WINDOW = `
+  WITH sitting AS (
+    SELECT accepted_at AS started_at,
+           CASE WHEN status = 'active' THEN LEAST(expires_at, LOCALTIMESTAMP)
+                ELSE LEAST(expires_at, updated_at) END AS ended_at
+    FROM caretakers
+    WHERE pet_id = $1 AND user_id = $2 AND role = 'sitter' AND accepted_at IS NOT NULL
+  )
+`;
+
+/**
+ * A pet's sitters, current and past
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<Array>}
+ */
+async function listSittings(db, petId) {
+  await expireSitters(db, petId);
+
+  const result = await db.query(`
+    SELECT c.user_id, COALESCE(u.display_name, u.username) AS name, c.status,
+           c.accepted_at AS started_at, c.expires_at, c.actions_count
+    FROM caretakers c
+    JOIN users u ON u.id = c.user_id
+    WHERE c.pet_id = $1 AND c.role = 'sitter' AND c.accepted_at IS NOT NULL
+    ORDER BY c.accepted_at DESC
+  `, [petId]);
+  return result.rows;
+}
+
+/**
+ * What happened to a pet while a sitter had it: their audited actions,
+ * how events went, coins in and out, and the pet's memories from the time
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @param {number} sitterId - Sitter's user ID
+ * @returns {Promise<Object|null>} Handoff summary, or null if they never sat this pet
+ */
+async function handoffSummary(db, petId, sitterId) {
+  await expireSitters(db, petId);
+
+  const sitting = await db.query(`
+    ${SITTING_WINDOW}
+    SELECT s.started_at, s.ended_at, c.status, c.expires_at,
+           COALESCE(u.display_name, u.username) AS name
+    FROM sitting s, caretakers c
+    JOIN users u ON u.id = c.user_id
+    WHERE c.pet_id = $1 AND c.user_id = $2
+  `, [petId, sitterId]);
+  if (sitting.rows.length === 0) return null;
+
+  const actions = await db.query(`
+    ${SITTING_WINDOW}
+    SELECT COALESCE(a.object->>'action', a.object->>'route') AS action, COUNT(*) AS count
+    FROM audit_log a, sitting s
+    WHERE a.item_type = 'Pet' AND a.item_id = $1 AND a.user_id = $2
+      AND a.action = 'sitter_action'
+      AND a.created_at BETWEEN s.started_at AND s.ended_at
+    GROUP BY 1
+    ORDER BY count DESC
+  `, [petId, sitterId]);
+
+  const events = await db.query(`
+    ${SITTING_WINDOW}
+    SELECT e.status, COUNT(*) AS count,
+           COUNT(*) FILTER (WHERE e.resolved_by = $2) AS by_sitter
+    FROM game_events e, sitting s
+    WHERE e.pet_id = $1 AND e.created_at BETWEEN s.started_at AND s.ended_at
+    GROUP BY e.status
+  `, [petId, sitterId]);
+
+  const coins = await db.query(`
+    ${SITTING_WINDOW}
+    SELECT COALESCE(SUM(t.amount) FILTER (WHERE t.amount > 0), 0) AS earned,
+           COALESCE(-SUM(t.amount) FILTER (WHERE t.amount < 0), 0) AS spent
+    FROM coin_transactions t, sitting s
+    WHERE t.pet_id = $1 AND t.created_at BETWEEN s.started_at AND s.ended_at
+  `, [petId, sitterId]);
+
+  const memories = await db.query(`
+    ${SITTING_WINDOW}
+    SELECT m.memory_type, m.content, m.created_at
+    FROM memories m, sitting s
+    WHERE m.pet_id = $1 AND m.created_at BETWEEN s.started_at AND s.ended_at
+    ORDER BY m.created_at DESC
+    LIMIT $3
+  `, [petId, sitterId, HANDOFF_MEMORIES]);
+
+  const deaths = await db.query(`
+    ${SITTING_WINDOW}
+    SELECT d.generation, d.cause, d.died_at
+    FROM deaths d, sitting s
+    WHERE d.pet_id = $1 AND d.died_at BETWEEN s.started_at AND s.ended_at
+  `, [petId, sitterId]);
+
+  return {
+    sitter: { userId: parseInt(sitterId), name: sitting.rows[0].name },
+    status: sitting.rows[0].status,
+    startedAt: sitting.rows[0].started_at,
+    endedAt: sitting.rows[0].ended_at,
+    expiresAt: sitting.rows[0].expires_at,
+    actions: Object.fromEntries(actions.rows.map(row => [row.action, parseInt(row.count)])),
+    events: Object.fromEntries(events.rows.map(row => [row.status, {
+      count: parseInt(row.count),
+      bySitter: parseInt(row.by_sitter)
+    }])),
+    coins: { earned: parseInt(coins.rows[0].earned), spent: parseInt(coins.rows[0].spent) },
+    deaths: deaths.rows,
+    memories: memories.rows.reverse()
+  };
+}
+
+module.exports = {
+  listSittings,
+  handoffSummary
+};
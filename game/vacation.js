@@ -0,0 +1,129 @@
+/**
+ * Vacation Mode
+ * An owner can put their pet to sleep while they're away. Like the archive,
+ * a pet on vacation is frozen: no decay, no events, no death timers. When it's
+ * due back (or the owner comes home early) refreshPet() wakes it and its
+ * clocks move forward by the time away.
+ */
+
+const { TIMELINE_COLUMNS } = require('./catalog');
+
+// Longest trip, and how long after coming home before the next one
+const MAX_VACATION_DAYS = 14;
+const VACATION_COOLDOWN_DAYS = 7;
+
+/**
+ * Whether a pet is asleep on vacation right now
+ * @param {Object} pet - Pet row
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isAway(pet, now) {
+  return Boolean(pet.vacation_started_at) && new Date(pet.vacation_ends_at) > now;
+}
+
+/**
+ * Send a pet on vacation. Callers refresh the pet with persist first, so its
+ * stats are settled as of the moment it falls asleep.
+ * @param {Object} db - Pool or pool client
+ * @param {Object} pet - Refreshed pet row
+ * @param {number} days - Trip length (1 to MAX_VACATION_DAYS)
+ * @returns {Promise<Object>} { pet } on success, or { error, status }
+ */
+async function startVacation(db, pet, days) {
+  if (!Number.isInteger(days) || days < 1 || days > MAX_VACATION_DAYS) {
+    return { error: `days must be between 1 and ${MAX_VACATION_DAYS}`, status: 400 };
+  }
+  if (!pet.is_alive) {
+    return { error: 'Pet has passed away', status: 409 };
+  }
+  if (pet.archived_at) {
+    return { error: 'Pet is archived', status: 409 };
+  }
+  if (pet.vacation_started_at) {
+    return { error: 'Pet is already on vacation', status: 409 };
+  }
+
+  const result = await db.query(`
+    UPDATE pets
+    SET vacation_started_at = LOCALTIMESTAMP,
+        vacation_ends_at = LOCALTIMESTAMP + make_interval(days => $2)
+    WHERE id = $1 AND vacation_started_at IS NULL
+      AND (last_vacation_at IS NULL OR last_vacation_at + make_interval(days => $3) <= LOCALTIMESTAMP)
+    RETURNING *
+  `, [pet.id, days, VACATION_COOLDOWN_DAYS]);
+
+  if (result.rows.length === 0) {
+    const cooldown = await db.query(
+      'SELECT last_vacation_at + make_interval(days => $2) AS available_at FROM pets WHERE id = $1',
+      [pet.id, VACATION_COOLDOWN_DAYS]
+    );
+    return {
+      error: `${pet.name} needs a rest from traveling. Next vacation available ${new Date(cooldown.rows[0].available_at).toISOString()}`,
+      status: 409
+    };
+  }
+
+  await db.query(
+    'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+    [pet.id, 'action', `Owner went on vacation for ${days} day${days === 1 ? '' : 's'}. Time for a long nap!`]
+  );
+  return { pet: result.rows[0] };
+}
+
+/**
+ * Come home early. The pet wakes up on its next refresh.
+ * @param {Object} db - Pool or pool client
+ * @param {number} petId - Pet ID
+ * @returns {Promise<boolean>} False if the pet wasn't away
+ */
+async function endVacation(db, petId) {
+  const result = await db.query(`
+    UPDATE pets SET vacation_ends_at = LOCALTIMESTAMP
+    WHERE id = $1 AND vacation_started_at IS NOT NULL AND vacation_ends_at > LOCALTIMESTAMP
+    RETURNING id
+  `, [petId]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Wake a pet whose vacation is over (called by refreshPet() under its row
+ * lock). Events and clocks move forward by the length of the trip.
+ * @param {Object} client - Pool client inside a transaction
+ * @param {Object} pet - Stored pet row, due back
+ * @returns {Promise<Object>} Woken pet row, with stats as of the end of the trip
+ */
+async function returnFromVacation(client, pet) {
+  await client.query(`
+    UPDATE game_events e SET expires_at = e.expires_at + (p.vacation_ends_at - p.vacation_started_at)
+    FROM pets p
+    WHERE p.id = e.pet_id AND e.pet_id = $1 AND e.status = 'active'
+  `, [pet.id]);
+
+  const shifts = TIMELINE_COLUMNS.map(column => `${column} = ${column} + (vacation_ends_at - vacation_started_at)`);
+  const result = await client.query(`
+    UPDATE pets
+    SET ${shifts.join(', ')}, last_vacation_at = vacation_ends_at,
+        vacation_started_at = NULL, vacation_ends_at = NULL
+    WHERE id = $1
+    RETURNING *
+  `, [pet.id]);
+
+  await client.query(
+    'INSERT INTO memories (pet_id, memory_type, content, created_at) VALUES ($1, $2, $3, $4)',
+    [pet.id, 'action', 'Owner came home from vacation! I missed them so much.', pet.vacation_ends_at]
+  );
+
+  // The UPDATE bumped last_seen; stats stood still until the trip ended, and
+  // decay picks up from there
+  return { ...result.rows[0], last_seen: pet.vacation_ends_at };
+}
+
+module.exports = {
+  MAX_VACATION_DAYS,
+  VACATION_COOLDOWN_DAYS,
+  isAway,
+  startVacation,
+  endVacation,
+  returnFromVacation
+};
@@ -0,0 +1,52 @@
+/**
+ * Mail
+ * Renders a template and hands it to the configured transport
+ * (see mail/transports.js and mail/templates.js)
+ */
+
+const { createTransport } = require('./transports');
+const { renderTemplate } = require('./templates');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Pixel Buddy <no-reply@pixelbuddy.local>';
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+let transport = null;
+
+/**
+ * The transport, created on first use so a misconfiguration surfaces when
+ * mail is sent rather than at startup
+ * @returns {Object} Transport
+ */
+function getTransport() {
+  if (!transport) transport = createTransport();
+  return transport;
+}
+
+/**
+ * A link into the app, for emails
+ * @param {string} pathname - Path on APP_URL (e.g. '/api/auth/verify-email')
+ * @param {Object} params - Query parameters
+ * @returns {string}
+ */
+function appLink(pathname, params = {}) {
+  const url = new URL(pathname, APP_URL);
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return url.toString();
+}
+
+/**
+ * Send a templated email
+ * @param {string} template - Template key (see TEMPLATES)
+ * @param {string} to - Recipient address
+ * @param {Object} data - Values the template uses
+ * @returns {Promise<Object>} { messageId, ... } from the transport
+ */
+async function sendEmail(template, to, data) {
+  const { subject, text, html } = renderTemplate(template, data);
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  appLink,
+  sendEmail
+};
@@ -0,0 +1,109 @@
+/**
+ * Email Templates
+ * Every email the app sends, defined as data. Each template turns its data
+ * into a subject and plain-text and HTML bodies; adding an email means adding
+ * an entry here.
+ */
+
+/**
+ * Escape a value for interpolation into HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Shared HTML frame: a heading, a paragraph and a button
+ * @param {Object} parts
+ * @returns {string}
+ */
+function layout({ heading, body, action, link, footer }) {
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family: monospace; background: #fdf6f9; padding: 24px;">
+    <div style="max-width: 480px; margin: 0 auto; background: #fff; border: 4px solid #333; padding: 24px;">
+      <h1 style="font-size: 20px;">${escapeHtml(heading)}</h1>
+      <p>${escapeHtml(body)}</p>
+      <p><a href="${escapeHtml(link)}" style="display: inline-block; background: #FF6B9D; color: #fff; padding: 10px 16px; text-decoration: none;">${escapeHtml(action)}</a></p>
+      <p style="font-size: 12px; color: #666;">${escapeHtml(footer)}</p>
+    </div>
+  </body>
+</html>`;
+}
+
+const TEMPLATES = {
+  email_verification: {
+    subject: () => 'Verify your Pixel Buddy email',
+    text: ({ name, link }) =>
+      `Hi ${name},\n\nConfirm your email address to finish setting up your Pixel Buddy account:\n\n${link}\n\n` +
+      'This link expires in 24 hours. If you didn\'t sign up, you can ignore this email.',
+    html: ({ name, link }) => layout({
+      heading: `Hi ${name}!`,
+      body: 'Confirm your email address to finish setting up your Pixel Buddy account.',
+      action: 'VERIFY EMAIL',
+      link,
+      footer: 'This link expires in 24 hours. If you didn\'t sign up, you can ignore this email.'
+    })
+  },
+
+  password_reset: {
+    subject: () => 'Reset your Pixel Buddy password',
+    text: ({ name, link }) =>
+      `Hi ${name},\n\nSomeone asked to reset the password for your Pixel Buddy account. Choose a new one here:\n\n${link}\n\n` +
+      'This link expires in 1 hour. If it wasn\'t you, you can ignore this email and your password stays the same.',
+    html: ({ name, link }) => layout({
+      heading: `Hi ${name}!`,
+      body: 'Someone asked to reset the password for your Pixel Buddy account.',
+      action: 'CHOOSE A NEW PASSWORD',
+      link,
+      footer: 'This link expires in 1 hour. If it wasn\'t you, you can ignore this email and your password stays the same.'
+    })
+  },
+
+  account_locked: {
+    subject: () => 'Your Pixel Buddy account was locked',
+    text: ({ name, minutes, link }) =>
+      `Hi ${name},\n\nThere were too many failed sign-ins to your Pixel Buddy account, so it's locked for ${minutes} minutes. ` +
+      `If that was you, unlock it now:\n\n${link}\n\n` +
+      'If it wasn\'t you, someone may be guessing your password. Leave the account locked and reset your password instead.',
+    html: ({ name, minutes, link }) => layout({
+      heading: `Hi ${name}!`,
+      body: `There were too many failed sign-ins to your Pixel Buddy account, so it's locked for ${minutes} minutes. If that was you, you can unlock it now.`,
+      action: 'UNLOCK MY ACCOUNT',
+      link,
+      footer: 'This link expires in 1 hour. If it wasn\'t you, someone may be guessing your password. Leave the account locked and reset your password instead.'
+    })
+  }
+};
+
+/**
+ * Render a template
+ * @param {string} name - Template key
+ * @param {Object} data - Values the template uses
+ * @returns {{ subject: string, text: string, html: string }}
+ * @throws {Error} If there's no such template
+ */
+function renderTemplate(name, data) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return {
+    subject: template.subject(data),
+    text: template.text(data),
+    html: template.html(data)
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate
+};
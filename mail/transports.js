@@ -0,0 +1,87 @@
+/**
+ * Mail Transports
+ * Where sent email goes. Each transport is { name, send(message) }:
+ * - smtp:   a real mail server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+ * - outbox: one JSON file per email in MAIL_OUTBOX_DIR, for local dev and tests
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'tmp', 'outbox');
+
+/**
+ * Send through an SMTP server
+ * @returns {Object} Transport
+ */
+function smtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+/**
+ * Write each email to a file instead of sending it
+ * @returns {Object} Transport
+ */
+function outboxTransport() {
+  const dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+
+  return {
+    name: 'outbox',
+    send: async (message) => {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(dir, `${messageId}.json`);
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ ...message, messageId, sentAt: new Date() }, null, 2));
+
+      console.log(`📬 Email "${message.subject}" to ${message.to} written to ${file}`);
+      return { messageId, file };
+    }
+  };
+}
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  outbox: outboxTransport
+};
+
+/**
+ * Build the configured transport. MAIL_TRANSPORT picks one; without it, SMTP
+ * is used when SMTP_HOST is set and the outbox otherwise.
+ * @param {string} name - Transport name
+ * @returns {Object} Transport
+ * @throws {Error} If there's no such transport
+ */
+function createTransport(name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox')) {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name} (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return factory();
+}
+
+module.exports = {
+  TRANSPORTS,
+  createTransport
+};
@@ -5,6 +5,8 @@
 
 const { verifyToken } = require('../utils/jwt');
 const { pool } = require('../db/pool');
+const { findSessionUser } = require('../auth/sessions');
+const { isEnforced } = require('../auth/twoFactor');
 
 /**
  * Authenticate JWT token from Authorization header
@@ -33,21 +35,16 @@ async function authenticate(req, res, next) {
       });
     }
 
-    // Get user from database
-    const result = await pool.query(
-      'SELECT id, username, email, display_name, avatar_url, role, is_active FROM users WHERE id = $1',
-      [decoded.id]
-    );
+    // Get user from database (only while the token's session is open)
+    const user = await findSessionUser(decoded);
 
-    if (result.rows.length === 0) {
+    if (!user) {
       return res.status(401).json({
         error: 'Unauthorized',
-        message: 'User not found'
+        message: 'Session expired or signed out'
       });
     }
 
-    const user = result.rows[0];
-
     // Check if user is active
     if (!user.is_active) {
       return res.status(403).json({
@@ -59,6 +56,7 @@ async function authenticate(req, res, next) {
     // Attach user to request
     req.user = user;
     req.userId = user.id;
+    req.sessionId = user.session_id;
 
     next();
   } catch (error) {
@@ -85,14 +83,12 @@ async function optionalAuth(req, res, next) {
 
     const decoded = verifyToken(token);
 
-    const result = await pool.query(
-      'SELECT id, username, email, display_name, avatar_url, role, is_active FROM users WHERE id = $1',
-      [decoded.id]
-    );
+    const user = await findSessionUser(decoded);
 
-    if (result.rows.length > 0 && result.rows[0].is_active) {
-      req.user = result.rows[0];
-      req.userId = result.rows[0].id;
+    if (user && user.is_active) {
+      req.user = user;
+      req.userId = user.id;
+      req.sessionId = user.session_id;
     }
 
     next();
@@ -122,12 +118,23 @@ function requireRole(...roles) {
       });
     }
 
+    // Roles that require 2FA can't be used until it's on, even from a
+    // session opened before it was required
+    if (isEnforced(req.user) && !req.user.two_factor_enabled) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Set up two-factor authentication to use this role',
+        twoFactorSetupRequired: true
+      });
+    }
+
     next();
   };
 }
 
 /**
  * Check if user can access a pet (owner or caretaker)
+ * Attaches the user's role for the pet as req.petRole
  */
 async function canAccessPet(req, res, next) {
   try {
@@ -141,21 +148,22 @@ async function canAccessPet(req, res, next) {
       });
     }
 
-    // Use database function to check access
+    // Use database function to check access (owned + active caretaker pets)
     const result = await pool.query(
-      'SELECT can_access_pet($1, $2) as can_access',
+      'SELECT caretaker_role FROM get_user_pets($1) WHERE pet_id = $2',
       [userId, petId]
     );
 
-    if (!result.rows[0].can_access) {
+    if (result.rows.length === 0) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You do not have access to this pet'
       });
     }
 
-    // Store petId in request for convenience
+    // Store petId and role in request for convenience
     req.petId = parseInt(petId);
+    req.petRole = result.rows[0].caretaker_role;
     next();
   } catch (error) {
     console.error('Pet access check error:', error);
@@ -166,6 +174,23 @@ async function canAccessPet(req, res, next) {
   }
 }
 
+/**
+ * Require a role on the pet ('owner', 'caretaker', 'viewer')
+ * Must be used after canAccessPet
+ */
+function requirePetRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.petRole)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `A ${req.petRole} can't do that`
+      });
+    }
+
+    next();
+  };
+}
+
 /**
  * Check if user is owner of pet (not just caretaker)
  */
@@ -208,5 +233,6 @@ module.exports = {
   optionalAuth,
   requireRole,
   canAccessPet,
+  requirePetRole,
   requirePetOwner
 };
@@ -7,14 +7,22 @@ class PixelBuddy {
     constructor() {
         // Config
         this.apiBase = window.location.origin + '/api';
-        this.userId = localStorage.getItem('pixelBuddyUserId') || `user-${Date.now().toString(36)}`;
-        if (!localStorage.getItem('pixelBuddyUserId')) {
-            localStorage.setItem('pixelBuddyUserId', this.userId);
-        }
+        this.userId = localStorage.getItem('pixelBuddyUserId'); // guest fingerprint, made on first guest visit
+
+        // Signed-in accounts can keep several pets (see redeemOAuthCode for OAuth sign-ins)
+        this.accessToken = localStorage.getItem('accessToken');
 
         // State
         this.pet = null;
         this.visitor = null;
+        this.events = []; // active game events
+        this.catalog = []; // actions, foods and toys from the server
+        this.shop = []; // items for sale
+        this.wallet = null; // coins, streak and inventory
+        this.minigame = null; // round being played on the canvas
+        this.unlocked = null; // achievement keys already unlocked (null until first load)
+        this.quests = null; // today's quests and streak
+        this.roster = null; // signed-in user's pets (GET /api/pets)
         this.frame = 0;
         this.loops = {}; // interval holders
 
@@ -27,11 +35,16 @@ class PixelBuddy {
                 hunger: document.getElementById('hungerBar'),
                 happiness: document.getElementById('happinessBar'),
                 energy: document.getElementById('energyBar'),
-                hygiene: document.getElementById('hygieneBar')
+                hygiene: document.getElementById('hygieneBar'),
+                health: document.getElementById('healthBar')
             },
             drawers: {
                 world: document.getElementById('worldDrawer'),
-                chat: document.getElementById('chatDrawer')
+                chat: document.getElementById('chatDrawer'),
+                shop: document.getElementById('shopDrawer'),
+                games: document.getElementById('gamesDrawer'),
+                pets: document.getElementById('petsDrawer'),
+                death: document.getElementById('deathDrawer')
             }
         };
 
@@ -44,6 +57,7 @@ class PixelBuddy {
         this.bindEvents();
 
         try {
+            await this.redeemOAuthCode();
             await this.fetchPetData();
             this.startGameLoop();
             this.startSimulation();
@@ -57,9 +71,540 @@ class PixelBuddy {
     // ==========================================
     // DATA LAYER
     // ==========================================
+    /**
+     * fetch() against the API with the bearer token. An expired access
+     * token is renewed once with the refresh token before giving up.
+     */
+    async api(path, options = {}) {
+        const send = () => fetch(`${this.apiBase}${path}`, {
+            ...options,
+            headers: this.accessToken ? { ...options.headers, Authorization: `Bearer ${this.accessToken}` } : options.headers
+        });
+
+        let res = await send();
+        if (res.status === 401 && this.accessToken && await this.refreshSession()) res = await send();
+        if (res.status === 401 && !this.accessToken) this.promptSignIn();
+        return res;
+    }
+
+    refreshSession() {
+        // Refresh tokens only work once, so requests that 401 together share one refresh
+        if (!this.refreshing) this.refreshing = this.rotateTokens().finally(() => { this.refreshing = null; });
+        return this.refreshing;
+    }
+
+    async rotateTokens() {
+        const refreshToken = localStorage.getItem('refreshToken');
+        try {
+            const res = refreshToken && await fetch(`${this.apiBase}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            if (res && res.ok) {
+                const tokens = await res.json();
+                this.accessToken = tokens.accessToken;
+                localStorage.setItem('accessToken', tokens.accessToken);
+                localStorage.setItem('refreshToken', tokens.refreshToken);
+                return true;
+            }
+        } catch (e) {
+            console.error('Session refresh error:', e);
+        }
+
+        // Expired or revoked: carry on as a guest
+        localStorage.removeItem('accessToken');
+        localStorage.removeItem('refreshToken');
+        this.accessToken = null;
+        this.roster = null;
+        return false;
+    }
+
+    async redeemOAuthCode() {
+        // An OAuth sign-in lands here with a one-time ?oauth_code= (never the tokens
+        // themselves); it only works once, from this browser, via an httpOnly cookie
+        const code = new URLSearchParams(window.location.search).get('oauth_code');
+        if (!code) return;
+        window.history.replaceState({}, '', window.location.pathname);
+
+        try {
+            const res = await fetch(`${this.apiBase}/auth/oauth/exchange`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({ code })
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                this.showToast(data.message || 'Sign-in failed');
+                return;
+            }
+            if (!data.tokens) {
+                // 2FA accounts are sent to the account page for their code
+                this.showToast('Finish signing in on the account page');
+                return;
+            }
+            this.accessToken = data.tokens.accessToken;
+            localStorage.setItem('accessToken', data.tokens.accessToken);
+            localStorage.setItem('refreshToken', data.tokens.refreshToken);
+        } catch (e) {
+            console.error('Sign-in exchange error:', e);
+        }
+    }
+
+    promptSignIn() {
+        // Guests can see their pet, but caring for it needs an account
+        if (this.signInPrompted) return;
+        this.signInPrompted = true;
+        this.showBubble(`Sign in to look after ${this.pet ? this.pet.name : 'me'}!`, 5000);
+    }
+
     async fetchPetData() {
-        const res = await fetch(`${this.apiBase}/pet/${this.userId}`);
-        this.pet = await res.json();
+        this.pet = (this.accessToken && await this.fetchActivePet()) || await this.fetchGuestPet();
+        await Promise.all([this.fetchEvents(), this.fetchCatalog(), this.fetchWallet(), this.fetchAchievements(), this.fetchQuests()]);
+        this.updateUI();
+    }
+
+    async fetchGuestPet() {
+        if (!this.userId) {
+            this.userId = `user-${crypto.randomUUID()}`;
+            localStorage.setItem('pixelBuddyUserId', this.userId);
+        }
+        const res = await this.api(`/pet/${this.userId}`);
+        const pet = await res.json();
+
+        // Only sent the first time; it's what lets an account claim this pet later
+        if (pet.claimSecret) {
+            localStorage.setItem('pixelBuddyClaimSecret', pet.claimSecret);
+            delete pet.claimSecret;
+        }
+        return pet;
+    }
+
+    // ==========================================
+    // PET ROSTER (signed-in accounts)
+    // ==========================================
+    async fetchRoster() {
+        const res = await this.api('/pets?archived=true');
+        if (res.ok) this.roster = await res.json();
+        document.getElementById('petsToggle')?.classList.toggle('hidden', !this.roster);
+        this.renderRoster();
+    }
+
+    async fetchActivePet() {
+        if (this.userId && !this.claimDeclined) await this.claimGuestPet();
+        await this.fetchRoster();
+        if (!this.roster) return null;
+
+        const onRoster = this.roster.pets.filter(pet => !pet.archived_at);
+        if (this.roster.activePetId) {
+            const res = await this.api(`/pets/${this.roster.activePetId}`);
+            if (res.ok) return res.json();
+        }
+        if (onRoster.length > 0) return this.switchPet(onRoster[0].id, { quiet: true });
+
+        // Everyone's archived: show one, frozen, and let the owner pick
+        if (this.roster.pets.length > 0) {
+            const res = await this.api(`/pets/${this.roster.pets[0].id}`);
+            this.ui.drawers.pets.classList.remove('hidden');
+            if (res.ok) return res.json();
+        }
+
+        // First visit: everyone starts with a pet
+        const res = await this.api('/pets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: 'Buddy' })
+        });
+        if (!res.ok) return null;
+        const pet = await res.json();
+        await this.fetchRoster();
+        return pet;
+    }
+
+    async claimGuestPet(onConflict = null) {
+        // Bring the pet raised as a guest into the account that just signed in.
+        // Guest pets from before claim secrets get theirs on a guest visit.
+        if (!localStorage.getItem('pixelBuddyClaimSecret')) await this.fetchGuestPet();
+
+        const res = await this.api('/pets/claim', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                guestId: this.userId,
+                claimSecret: localStorage.getItem('pixelBuddyClaimSecret'),
+                onConflict
+            })
+        });
+        if (res.status === 401) return;
+
+        const data = await res.json();
+        if (data.conflict === 'roster_full') {
+            if (confirm(`${data.error}\n\nPut your guest pet in the archive?`)) return this.claimGuestPet('archive');
+            this.claimDeclined = true; // ask again next visit, not every poll
+            return;
+        }
+        if (res.ok && data.archived) {
+            this.showToast(`${data.pet.name} is waiting in your archive`);
+        } else if (res.ok) {
+            this.showToast(`${data.pet.name} moved into your account!`);
+            await this.switchPet(data.pet.id, { quiet: true });
+        }
+
+        // Claimed, or there was nothing to claim: stop asking. Anything else
+        // keeps the guest ID and secret so the pet isn't lost.
+        if (res.ok || res.status === 404) {
+            localStorage.removeItem('pixelBuddyUserId');
+            localStorage.removeItem('pixelBuddyClaimSecret');
+            this.userId = null;
+        } else {
+            this.showToast(data.error || 'Could not claim your guest pet');
+            this.claimDeclined = true; // try again next visit, not every poll
+        }
+    }
+
+    isOwner() {
+        const entry = this.roster?.pets.find(pet => pet.id === this.pet?.id);
+        return Boolean(entry && entry.is_owner);
+    }
+
+    isAway() {
+        return Boolean(this.pet && this.pet.vacation_started_at && new Date(this.pet.vacation_ends_at) > new Date());
+    }
+
+    // ==========================================
+    // CARETAKERS (sharing a pet via invite codes)
+    // ==========================================
+    async invitePet() {
+        const res = await this.api(`/pet/${this.pet.id}/invites`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role: 'caretaker' })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showBubble(data.message || data.error);
+            return;
+        }
+        prompt(`Share this code so a friend can help look after ${this.pet.name}:`, data.code);
+    }
+
+    async sitPet() {
+        const days = parseInt(prompt(`How many days will you be away from ${this.pet.name}?`, '7'));
+        if (!days) return;
+
+        const res = await this.api(`/pet/${this.pet.id}/invites`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role: 'sitter', sitDays: days })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showBubble(data.message || data.error);
+            return;
+        }
+        const until = new Date(data.access_expires_at).toLocaleDateString();
+        prompt(`Share this code with ${this.pet.name}'s pet-sitter (access ends ${until}):`, data.code);
+    }
+
+    async showHandoff() {
+        const res = await this.api(`/pet/${this.pet.id}/sittings`);
+        const sittings = await res.json();
+        if (!res.ok || sittings.length === 0) {
+            this.showBubble(res.ok ? 'Nobody has pet-sat me yet!' : sittings.error);
+            return;
+        }
+
+        const summaryRes = await this.api(`/pet/${this.pet.id}/sittings/${sittings[0].user_id}/handoff`);
+        const summary = await summaryRes.json();
+        if (!summaryRes.ok) {
+            this.showBubble(summary.error);
+            return;
+        }
+
+        const actions = Object.entries(summary.actions).map(([action, count]) => `${action} x${count}`);
+        const resolved = summary.events.resolved ? summary.events.resolved.count : 0;
+        const missed = summary.events.expired ? summary.events.expired.count : 0;
+        alert([
+            `${summary.sitter.name} pet-sat ${this.pet.name} (${summary.status})`,
+            `${new Date(summary.startedAt).toLocaleString()} - ${new Date(summary.endedAt).toLocaleString()}`,
+            `Care: ${actions.join(', ') || 'none'}`,
+            `Events: ${resolved} handled, ${missed} missed`,
+            `Coins: +${summary.coins.earned} / -${summary.coins.spent}`,
+            ...(summary.deaths.length ? [`Passed away: ${summary.deaths.map(d => d.cause).join(', ')}`] : []),
+            '',
+            ...summary.memories.map(m => `- ${m.content}`)
+        ].join('\n'));
+    }
+
+    async joinPet() {
+        const code = prompt('Enter an invite code (XXXX-XXXX):');
+        if (!code) return;
+
+        const res = await this.api(`/invites/${encodeURIComponent(code)}/redeem`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showBubble(data.error);
+            return;
+        }
+
+        const question = data.role === 'sitter'
+            ? `Pet-sit ${data.pet.name} until ${new Date(data.expiresAt).toLocaleString()}?`
+            : `Help look after ${data.pet.name} as a ${data.role}?`;
+        const answer = confirm(question) ? 'accept' : 'decline';
+        const answerRes = await this.api(`/pets/${data.pet.id}/${answer}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        if (answer === 'accept' && answerRes.ok) await this.switchPet(data.pet.id);
+    }
+
+    async leavePet(pet) {
+        if (!confirm(`Stop looking after ${pet.name}?`)) return;
+
+        const res = await this.api(`/pets/${pet.id}/leave`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        if (!res.ok) {
+            this.showBubble((await res.json()).error);
+            return;
+        }
+        await this.fetchPetData();
+    }
+
+    async switchPet(petId, { quiet = false } = {}) {
+        const res = await this.api(`/pets/${petId}/switch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showBubble(data.error);
+            return null;
+        }
+        if (quiet) return data;
+
+        // Everything on screen belongs to the previous pet
+        this.ui.drawers.pets.classList.add('hidden');
+        this.visitor = null;
+        this.unlocked = null;
+        await this.fetchPetData();
+        return data;
+    }
+
+    async adoptPet() {
+        const name = prompt('Name your new pet (max 20 chars):', 'Buddy');
+        if (!name) return;
+
+        const res = await this.api('/pets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showBubble(data.error);
+            return;
+        }
+        await this.switchPet(data.id);
+    }
+
+    async archivePet(petId) {
+        const res = await this.api(`/pets/${petId}/archive`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        if (!res.ok) {
+            this.showBubble((await res.json()).error);
+            return;
+        }
+        await this.fetchPetData();
+    }
+
+    async restorePet(petId) {
+        const res = await this.api(`/pets/${petId}/restore`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        if (!res.ok) {
+            this.showBubble((await res.json()).error);
+            return;
+        }
+        await this.fetchRoster();
+    }
+
+    async toggleVacation() {
+        let res;
+        if (this.isAway()) {
+            res = await this.api(`/pet/${this.pet.id}/vacation`, { method: 'DELETE' });
+        } else {
+            const days = parseInt(prompt(`How many days will you be away? ${this.pet.name} will sleep until you're back.`, '7'));
+            if (!days) return;
+            res = await this.api(`/pet/${this.pet.id}/vacation`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ days })
+            });
+        }
+
+        const data = await res.json();
+        if (!res.ok) {
+            this.showBubble(data.error);
+            return;
+        }
+        this.pet = data;
+        await this.fetchEvents();
+        this.updateUI();
+        this.renderRoster();
+    }
+
+    async releasePet(pet) {
+        if (!confirm(`Release ${pet.name} forever? This can't be undone.`)) return;
+
+        const res = await this.api(`/pets/${pet.id}`, {
+            method: 'DELETE'
+        });
+        if (!res.ok) {
+            this.showBubble((await res.json()).error);
+            return;
+        }
+        await this.fetchPetData();
+    }
+
+    async fetchQuests() {
+        try {
+            const res = await this.api(`/pet/${this.pet.id}/quests`);
+            if (!res.ok) return;
+            this.quests = await res.json();
+
+            // Quest days roll over at the owner's midnight
+            const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            if (timezone && this.quests.timezone !== timezone && this.quests.pendingTimezone !== timezone && this.isOwner()) {
+                const tzRes = await this.api(`/pet/${this.pet.id}/quests/timezone`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ timezone })
+                });
+                if (tzRes.ok) this.quests = await tzRes.json();
+            }
+        } catch (e) {
+            console.error('Quests fetch error:', e);
+        }
+        this.renderQuests();
+    }
+
+    async claimQuest(questId) {
+        const res = await this.api(`/pet/${this.pet.id}/quests/${questId}/claim`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showBubble(data.error);
+            return;
+        }
+        this.showBubble(`+${data.coins} coins!`);
+        await Promise.all([this.fetchQuests(), this.fetchWallet()]);
+    }
+
+    async fetchAchievements() {
+        try {
+            const res = await this.api(`/pet/${this.pet.id}/achievements`);
+            if (!res.ok) return;
+            const unlocked = (await res.json()).filter(a => a.unlockedAt);
+
+            // Toast anything unlocked since the last check (not on first load)
+            if (this.unlocked) {
+                unlocked
+                    .filter(a => !this.unlocked.has(a.key))
+                    .forEach(a => this.showToast(`🏆 ${a.label}`));
+            }
+            this.unlocked = new Set(unlocked.map(a => a.key));
+        } catch (e) {
+            console.error('Achievements fetch error:', e);
+        }
+    }
+
+    async fetchWallet() {
+        try {
+            const res = await this.api(`/pet/${this.pet.id}/wallet`);
+            if (res.ok) this.wallet = await res.json();
+        } catch (e) {
+            console.error('Wallet fetch error:', e);
+        }
+        this.renderShop();
+    }
+
+    async openShop() {
+        if (this.shop.length === 0) {
+            try {
+                const res = await this.api('/shop');
+                if (res.ok) this.shop = await res.json();
+            } catch (e) {
+                console.error('Shop fetch error:', e);
+            }
+        }
+        this.renderShop();
+        this.toggleDrawer('shop');
+    }
+
+    async buyItem(item) {
+        const res = await this.api(`/pet/${this.pet.id}/shop/buy`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ item, quantity: 1 })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showBubble(data.error);
+            return;
+        }
+        this.wallet = data;
+        this.renderShop();
+        await this.fetchCatalog(); // item counts on the action buttons
+    }
+
+    async fetchCatalog() {
+        try {
+            const res = await this.api(`/pet/${this.pet.id}/catalog`);
+            if (res.ok) this.catalog = await res.json();
+        } catch (e) {
+            console.error('Catalog fetch error:', e);
+        }
+        this.renderActions();
+    }
+
+    async fetchEvents() {
+        if (!this.pet || !this.pet.is_alive || this.isAway()) {
+            this.events = [];
+            return;
+        }
+
+        try {
+            const res = await this.api(`/pet/${this.pet.id}/events`);
+            this.events = res.ok ? await res.json() : [];
+        } catch (e) {
+            console.error('Events fetch error:', e);
+        }
+    }
+
+    async resolveEvent(eventId, action) {
+        this.animateAction(action);
+
+        const res = await this.api(`/pet/${this.pet.id}/events/${eventId}/resolve`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action })
+        });
+        if (res.ok) {
+            const data = await res.json();
+            this.pet = data.pet;
+        }
+        await this.fetchEvents();
         this.updateUI();
     }
 
@@ -67,15 +612,258 @@ class PixelBuddy {
         // Optimistic UI update (makes it feel snappy)
         this.animateAction(action);
 
-        const res = await fetch(`${this.apiBase}/pet/${this.pet.id}/action`, {
+        const res = await this.api(`/pet/${this.pet.id}/action`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ action })
         });
+        const data = await res.json();
+        if (!res.ok) {
+            // Pet may have died since the last refresh
+            if (data.pet) this.pet = data.pet;
+            else if (data.error) this.showBubble(data.error);
+            this.updateUI();
+            return;
+        }
+        this.pet = data.pet;
+
+        // Explain any rule that changed the outcome (overfed, bored, ...)
+        const notes = data.outcome.rules.map(rule => rule.message);
+        if (data.reward) notes.push(`+${data.reward.coins} coins (${data.reward.streak}-day streak)`);
+        if (notes.length) this.showBubble(notes.join(' '));
+
+        // Actions can settle events, use up items and unlock achievements
+        await Promise.all([this.fetchEvents(), this.fetchCatalog(), this.fetchWallet(), this.fetchAchievements(), this.fetchQuests()]);
+        this.updateUI();
+    }
+
+    // ==========================================
+    // MINI-GAMES
+    // ==========================================
+    async openGames() {
+        const list = document.getElementById('gameList');
+        try {
+            const res = await this.api(`/pet/${this.pet.id}/minigames`);
+            const games = res.ok ? await res.json() : [];
+
+            list.innerHTML = '';
+            games.forEach(game => {
+                const btn = document.createElement('button');
+                btn.innerText = `${game.label} (HI ${game.highScore})`;
+                btn.title = game.description;
+                btn.onclick = () => this.startMiniGame(game.game);
+                list.appendChild(btn);
+            });
+        } catch (e) {
+            console.error('Mini-games fetch error:', e);
+        }
+        this.toggleDrawer('games');
+    }
+
+    async startMiniGame(game) {
+        this.ui.drawers.games.classList.add('hidden');
+
+        const res = await this.api(`/pet/${this.pet.id}/minigames/${game}/start`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showBubble(data.error);
+            return;
+        }
+
+        this.minigame = {
+            ...data,
+            startedAt: performance.now(),
+            showing: null, // reflex: the color change on screen
+            symbols: {}, // memory: card index -> symbol, as cards are flipped
+            matched: new Set(),
+            flipped: [],
+            hideAt: 0,
+            busy: false
+        };
+        this.showBubble(game === 'reflex' ? 'Tap when I change color!' : 'Find the pairs!');
+        if (game === 'reflex') this.nextReflexChange();
+    }
+
+    // The server only knows the round's deal; each move reveals a little of it
+    async playMove(round, move) {
+        const res = await this.api(`/pet/${this.pet.id}/minigames/rounds/${round.roundId}/play`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(move)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        return data;
+    }
+
+    async nextReflexChange() {
+        const round = this.minigame;
+        round.showing = null;
+        try {
+            // Held by the server until the change happens
+            const change = await this.playMove(round, { type: 'wait' });
+            if (this.minigame !== round) return;
+            round.showing = { ...change, until: performance.now() + change.windowMs, tapped: false };
+        } catch (e) {
+            this.showBubble(e.message);
+            this.minigame = null;
+        }
+    }
+
+    async submitMiniGame() {
+        const round = this.minigame;
+        this.minigame = null;
+
+        const res = await this.api(`/pet/${this.pet.id}/minigames/rounds/${round.roundId}/submit`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            this.showBubble(data.error);
+            return;
+        }
+
+        if (data.pet) this.pet = data.pet;
+        if (!data.won) {
+            this.showBubble(`So close! Score ${data.score}`);
+        } else if (data.coins === 0) {
+            this.showBubble(`YOU WIN! Score ${data.score} (no more prizes today)`);
+        } else {
+            this.showBubble(`YOU WIN! Score ${data.score}, +${data.coins} coins`);
+        }
+        await Promise.all([this.fetchWallet(), this.fetchAchievements(), this.fetchQuests()]);
+        this.updateUI();
+    }
+
+    async handleCanvasClick(e) {
+        const round = this.minigame;
+        if (!round) return;
+
+        const rect = this.ui.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * this.ui.canvas.width / rect.width;
+        const y = (e.clientY - rect.top) * this.ui.canvas.height / rect.height;
+
+        if (round.game === 'reflex') {
+            // Only a change on screen can be tapped; the server times the reaction
+            const { showing } = round;
+            if (!showing || showing.tapped || performance.now() > showing.until) return;
+            showing.tapped = true;
+            try {
+                await this.playMove(round, { type: 'tap' });
+            } catch (e) {
+                console.error('Reflex tap error:', e);
+            }
+            if (this.minigame === round) this.finishReflexChange(round);
+            return;
+        }
+
+        // Memory: 4x4 grid of 32px cards
+        const card = Math.floor(y / 32) * 4 + Math.floor(x / 32);
+        if (round.busy || round.hideAt || round.matched.has(card) || round.flipped.includes(card)) return;
+
+        round.busy = true;
+        try {
+            const flip = await this.playMove(round, { card });
+            round.symbols[card] = flip.symbol;
+            round.flipped.push(card);
+
+            if (flip.match === true) {
+                round.flipped.forEach(i => round.matched.add(i));
+                round.flipped = [];
+            } else if (flip.match === false) {
+                round.hideAt = performance.now() - round.startedAt + 600;
+            }
+        } catch (e) {
+            this.showBubble(e.message);
+        }
+        round.busy = false;
+    }
+
+    finishReflexChange(round) {
+        if (round.showing.index < round.layout.rounds - 1) {
+            this.nextReflexChange();
+        } else {
+            this.submitMiniGame();
+        }
+    }
+
+    drawMiniGame(w, h) {
+        const { ctx } = this.ui;
+        const round = this.minigame;
+        const elapsed = performance.now() - round.startedAt;
+
+        if (round.game === 'reflex') {
+            const { showing } = round;
+            const onScreen = showing && !showing.tapped && performance.now() <= showing.until;
+            this.drawPixelPet(w/2, h/2, onScreen ? showing.color : '#888', 1, [], this.pet.sprite);
+
+            // Missed: move on once the window has passed
+            if (showing && !showing.tapped && performance.now() > showing.until) {
+                showing.tapped = true;
+                this.finishReflexChange(round);
+            }
+            return;
+        }
+
+        // Memory match
+        const colors = ['#ff4444', '#44dd44', '#4488ff', '#ffcc00', '#cc44ff', '#ff8800', '#00cccc', '#ff66cc'];
+        if (round.hideAt && elapsed >= round.hideAt) {
+            round.flipped = [];
+            round.hideAt = 0;
+        }
+
+        for (let i = 0; i < round.layout.cards; i++) {
+            const x = (i % 4) * 32;
+            const y = Math.floor(i / 4) * 32;
+            const faceUp = round.matched.has(i) || round.flipped.includes(i);
+            ctx.fillStyle = faceUp ? colors[round.symbols[i]] : '#555';
+            ctx.globalAlpha = round.matched.has(i) ? 0.5 : 1;
+            ctx.fillRect(x + 2, y + 2, 28, 28);
+        }
+        ctx.globalAlpha = 1;
+
+        // Countdown bar
+        const left = Math.max(0, 1 - elapsed / round.layout.timeLimitMs);
+        ctx.fillStyle = '#ff4444';
+        ctx.fillRect(0, h - 2, w * left, 2);
+
+        const done = round.matched.size === round.layout.cards;
+        if ((done && !round.hideAt && !round.busy) || left === 0) this.submitMiniGame();
+    }
+
+    async reincarnate() {
+        const res = await this.api(`/pet/${this.pet.id}/reincarnate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        if (!res.ok) return;
         this.pet = await res.json();
+        this.ui.drawers.death.classList.add('hidden');
+        await this.fetchCatalog(); // unlocks depend on generation
         this.updateUI();
     }
 
+    async showDeath() {
+        const drawer = this.ui.drawers.death;
+        if (!drawer || !drawer.classList.contains('hidden')) return;
+
+        try {
+            const res = await this.api(`/pet/${this.pet.id}/deaths`);
+            const [latest] = await res.json();
+            if (latest) {
+                document.getElementById('deathTitle').innerText = `GEN ${latest.generation}`;
+                document.getElementById('deathEpitaph').innerText = latest.epitaph;
+            }
+        } catch (e) {
+            console.error('Death fetch error:', e);
+        }
+        drawer.classList.remove('hidden');
+    }
+
     // ==========================================
     // RENDER ENGINE (The "Pixel" Look)
     // ==========================================
@@ -95,24 +883,91 @@ class PixelBuddy {
 
         ctx.clearRect(0, 0, w, h);
 
-        if (this.pet) {
-            this.drawPixelPet(w/2, h/2 + Math.sin(this.frame * 0.05) * 5, this.pet.color);
+        if (this.minigame) {
+            this.drawMiniGame(w, h);
+            return;
+        }
+
+        if (this.pet && !this.pet.is_alive) {
+            this.drawTombstone(w/2, h/2);
+        } else if (this.isAway()) {
+            this.drawPixelPet(w/2, h/2 + 5, this.pet.color, 1, [], this.pet.sprite, true);
+            ctx.fillStyle = '#000';
+            ctx.font = '10px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText(`AWAY UNTIL ${new Date(this.pet.vacation_ends_at).toLocaleDateString()}`, w/2, h - 10);
+            ctx.textAlign = 'start';
+        } else if (this.pet) {
+            this.drawPixelPet(w/2, h/2 + Math.sin(this.frame * 0.05) * 5, this.pet.color, 1, this.events, this.pet.sprite);
         }
 
         if (this.visitor) {
-            this.drawPixelPet(w - 30, h - 30, '#999', 0.6);
+            this.drawPixelPet(w - 30, h - 30, '#999', 0.6, [], this.visitor.sprite);
         }
     }
 
     /**
-     * Draws a procedural "Pixel Art" blob using rects instead of arcs
+     * Decodes a sprite number into life stage and care branch
+     * (mirrors describeSprite() in game/evolution.js)
+     */
+    describeSprite(sprite = 0) {
+        const stages = ['egg', 'baby', 'child', 'teen', 'adult', 'elder'];
+        const branches = ['radiant', 'steady', 'scruffy'];
+        if (sprite < 2) return { stage: stages[sprite] || 'egg', branch: null };
+        const offset = sprite - 2;
+        return {
+            stage: stages[Math.min(stages.length - 1, 2 + Math.floor(offset / branches.length))],
+            branch: branches[offset % branches.length]
+        };
+    }
+
+    /**
+     * Draws a wobbling pixel egg (the first life stage)
+     */
+    drawEgg(x, y, color, s) {
+        const ctx = this.ui.ctx;
+        const wobble = this.frame % 120 < 10 ? (this.frame % 4 < 2 ? -s/2 : s/2) : 0;
+
+        ctx.fillStyle = '#fff8e1';
+        ctx.fillRect(x - 3*s + wobble, y - 4*s, 6*s, 9*s);
+        ctx.fillRect(x - 4*s + wobble, y - 2*s, 8*s, 6*s);
+        ctx.fillRect(x - 2*s + wobble, y - 5*s, 4*s, s);
+
+        // Spots in the pet's color
+        ctx.fillStyle = color || '#FF6B9D';
+        ctx.fillRect(x - 2*s + wobble, y - 2*s, 2*s, 2*s);
+        ctx.fillRect(x + s + wobble, y + s, 2*s, 2*s);
+    }
+
+    /**
+     * Draws a procedural "Pixel Art" blob using rects instead of arcs,
+     * with indicators for any active game events (or fast asleep, on vacation)
      */
-    drawPixelPet(x, y, color, scale = 1) {
+    drawPixelPet(x, y, color, scale = 1, events = [], sprite = 0, asleep = false) {
         const ctx = this.ui.ctx;
-        const s = 6 * scale; // Pixel size unit
+        const { stage, branch } = this.describeSprite(sprite);
+
+        if (stage === 'egg') {
+            this.drawEgg(x, y, color, 6 * scale);
+            return;
+        }
+
+        // Younger pets are smaller
+        const stageScale = { baby: 0.6, child: 0.8, teen: 0.9 }[stage] || 1;
+        const s = 6 * scale * stageScale; // Pixel size unit
 
         ctx.fillStyle = color || '#FF6B9D';
 
+        // Ears from teen onward, feet once grown up
+        if (['teen', 'adult', 'elder'].includes(stage)) {
+            ctx.fillRect(x - 4*s, y - 6*s, s, 2*s);
+            ctx.fillRect(x + 3*s, y - 6*s, s, 2*s);
+        }
+        if (['adult', 'elder'].includes(stage)) {
+            ctx.fillRect(x - 4*s, y + 5*s, 2*s, s);
+            ctx.fillRect(x + 2*s, y + 5*s, 2*s, s);
+        }
+
         // Draw Body (Pixelated Circle approximation)
         // Main block
         ctx.fillRect(x - 4*s, y - 4*s, 8*s, 8*s);
@@ -124,7 +979,16 @@ class PixelBuddy {
         ctx.fillRect(x - 3*s, y + 4*s, 6*s, s); // Bottom
 
         // Eyes (Blinking logic)
-        if (this.frame % 150 < 10) {
+        if (asleep) {
+            // Shut, with Zs drifting up
+            ctx.fillStyle = '#000';
+            ctx.fillRect(x - 3*s, y - s, 2*s, s);
+            ctx.fillRect(x + s, y - s, 2*s, s);
+            ctx.font = `${3*s}px monospace`;
+            const drift = (this.frame % 90) / 90;
+            ctx.fillText('z', x + 5*s, y - 5*s - drift * 3*s);
+            ctx.fillText('Z', x + 7*s, y - 8*s - drift * 3*s);
+        } else if (this.frame % 150 < 10) {
             // Blink (draw line)
             ctx.fillStyle = '#000';
             ctx.fillRect(x - 3*s, y - s, 2*s, s);
@@ -142,6 +1006,34 @@ class PixelBuddy {
             ctx.fillRect(x + 2*s + lookX, y - s, s, s);
         }
 
+        // Elders get bushy white brows
+        if (stage === 'elder') {
+            ctx.fillStyle = '#eee';
+            ctx.fillRect(x - 3*s, y - 3*s, 2*s, s);
+            ctx.fillRect(x + s, y - 3*s, 2*s, s);
+        }
+
+        // Care branch: a sparkle for well-loved pets, smudges for neglected ones
+        if (branch === 'radiant' && this.frame % 60 < 30) {
+            ctx.fillStyle = '#ffd54f';
+            ctx.fillRect(x + 5*s, y - 6*s, s, s);
+            ctx.fillRect(x - 6*s, y - 4*s, s, s);
+        } else if (branch === 'scruffy') {
+            ctx.fillStyle = 'rgba(0,0,0,0.25)';
+            ctx.fillRect(x - 3*s, y + 2*s, s, s);
+            ctx.fillRect(x + 2*s, y - 4*s, s, s);
+            ctx.fillRect(x + 3*s, y + 3*s, s, s);
+        }
+
+        // Sick: green cheeks and a sweat drop (matches SICK_THRESHOLD in game/health.js)
+        if (this.pet && this.pet.health < 40) {
+            ctx.fillStyle = '#7bc96f';
+            ctx.fillRect(x - 4*s, y + s, s, s);
+            ctx.fillRect(x + 3*s, y + s, s, s);
+            ctx.fillStyle = '#6ec6ff';
+            ctx.fillRect(x + 4*s, y - 5*s + (this.frame % 60 < 30 ? 0 : s), s, 2*s);
+        }
+
         // Mouth (changes with happiness)
         ctx.fillStyle = '#000';
         if (this.pet && this.pet.happiness > 50) {
@@ -153,6 +1045,69 @@ class PixelBuddy {
             // Flat
             ctx.fillRect(x - s, y + 3*s, 2*s, s);
         }
+
+        // Event indicators
+        events.forEach(event => this.drawEventIndicator(event.event_type, x, y, s));
+    }
+
+    /**
+     * Draws a small pixel glyph around the pet for an active event
+     */
+    drawEventIndicator(type, x, y, s) {
+        const ctx = this.ui.ctx;
+        const bob = this.frame % 40 < 20 ? 0 : s / 2;
+
+        switch (type) {
+            case 'hungry': // Empty bowl, bottom left
+                ctx.fillStyle = '#8d6e63';
+                ctx.fillRect(x - 9*s, y + 4*s, 3*s, s);
+                ctx.fillRect(x - 8*s, y + 5*s, s, s / 2);
+                break;
+            case 'crying': // Tears under both eyes
+                ctx.fillStyle = '#6ec6ff';
+                ctx.fillRect(x - 3*s, y + s + bob, s / 2, s);
+                ctx.fillRect(x + 2.5*s, y + s + bob, s / 2, s);
+                break;
+            case 'poop': // Pile, bottom right
+                ctx.fillStyle = '#795548';
+                ctx.fillRect(x + 6*s, y + 4*s, 3*s, s);
+                ctx.fillRect(x + 6.5*s, y + 3*s, 2*s, s);
+                ctx.fillRect(x + 7*s, y + 2*s, s, s);
+                break;
+            case 'sick': // Red cross, top left
+                ctx.fillStyle = '#e53935';
+                ctx.fillRect(x - 8*s, y - 7*s, s, 3*s);
+                ctx.fillRect(x - 9*s, y - 6*s, 3*s, s);
+                break;
+            case 'sleepy': // Floating Z, top right
+                ctx.fillStyle = '#000';
+                ctx.font = `${3*s}px monospace`;
+                ctx.fillText('z', x + 5*s, y - 5*s - bob);
+                break;
+            case 'playful': // Bouncing ball, right
+                ctx.fillStyle = '#ffb300';
+                ctx.fillRect(x + 6*s, y - bob * 2, 2*s, 2*s);
+                break;
+        }
+    }
+
+    /**
+     * Draws a pixel gravestone for a pet that has passed away
+     */
+    drawTombstone(x, y) {
+        const ctx = this.ui.ctx;
+        const s = 6;
+
+        ctx.fillStyle = '#888';
+        ctx.fillRect(x - 3*s, y - 4*s, 6*s, 9*s); // Slab
+        ctx.fillRect(x - 2*s, y - 5*s, 4*s, s);   // Rounded top
+        ctx.fillStyle = '#555';
+        ctx.fillRect(x - 4*s, y + 5*s, 8*s, s);   // Ground
+
+        // Cross
+        ctx.fillStyle = '#333';
+        ctx.fillRect(x - s/2, y - 3*s, s, 5*s);
+        ctx.fillRect(x - 2*s, y - 2*s, 4*s, s);
     }
 
     animateAction(action) {
@@ -167,12 +1122,20 @@ class PixelBuddy {
         if (!this.pet) return;
 
         this.ui.name.innerText = this.pet.name.toUpperCase();
+        this.ui.name.title = (this.pet.traits || []).map(trait => trait.replace('_', ' ')).join(', ');
+        const { stage } = this.describeSprite(this.pet.sprite);
+        document.getElementById('lvlIndicator').innerText = `${stage.toUpperCase()} GEN ${this.pet.generation || 1}`;
+
+        if (!this.pet.is_alive) this.showDeath();
 
         // Update bars
         this.setBar('hunger', this.pet.hunger);
         this.setBar('happiness', this.pet.happiness);
         this.setBar('energy', this.pet.energy);
         this.setBar('hygiene', this.pet.hygiene);
+        this.setBar('health', this.pet.health);
+
+        this.renderEvents();
 
         // World Code
         if (this.pet.world_open) {
@@ -184,6 +1147,140 @@ class PixelBuddy {
         }
     }
 
+    renderEvents() {
+        const tray = document.getElementById('eventTray');
+        if (!tray) return;
+
+        const labels = { comfort: 'COMFORT', cleanup: 'CLEAN UP', tuck_in: 'TUCK IN' };
+        this.catalog.forEach(item => { labels[item.action] = item.label; });
+
+        tray.innerHTML = '';
+        this.events.forEach(event => {
+            const [action] = event.data?.resolved_by || [];
+            if (!action) return;
+
+            const btn = document.createElement('button');
+            btn.className = `event-btn ${event.severity}`;
+            btn.innerText = `${event.event_type.toUpperCase()}: ${labels[action] || action.toUpperCase()}`;
+            btn.onclick = () => this.resolveEvent(event.id, action);
+            tray.appendChild(btn);
+        });
+        tray.classList.toggle('hidden', this.events.length === 0);
+    }
+
+    renderActions() {
+        const grid = document.getElementById('actionGrid');
+        if (!grid) return;
+
+        grid.innerHTML = '';
+        this.catalog.forEach(item => {
+            const outOfStock = item.quantity === 0;
+            const btn = document.createElement('button');
+            btn.className = `pixel-btn ${item.category}`;
+            btn.innerText = item.quantity === null ? item.label : `${item.label} x${item.quantity}`;
+            btn.disabled = Boolean(item.locked) || outOfStock;
+            if (item.locked) btn.title = item.locked;
+            else if (outOfStock) btn.title = 'Buy more in the shop';
+            btn.onclick = () => this.performAction(item.action);
+            grid.appendChild(btn);
+        });
+    }
+
+    renderQuests() {
+        const panel = document.getElementById('questPanel');
+        if (!panel || !this.quests) return;
+
+        panel.innerHTML = '';
+
+        const streak = document.createElement('span');
+        streak.className = 'quest-streak';
+        streak.innerText = `STREAK ${this.quests.streak.current}`;
+        panel.appendChild(streak);
+
+        this.quests.quests.forEach(quest => {
+            const row = document.createElement('button');
+            row.className = 'quest-row';
+            if (quest.claimedAt) {
+                row.innerText = `✓ ${quest.label}`;
+                row.disabled = true;
+            } else if (quest.completedAt) {
+                row.innerText = `★ ${quest.label}: CLAIM +${quest.coins}`;
+                row.classList.add('claimable');
+                row.onclick = () => this.claimQuest(quest.id);
+            } else {
+                row.innerText = `${quest.label} ${quest.progress}/${quest.target}`;
+                row.disabled = true;
+            }
+            panel.appendChild(row);
+        });
+        panel.classList.remove('hidden');
+    }
+
+    renderRoster() {
+        const list = document.getElementById('petList');
+        if (!list || !this.roster) return;
+
+        list.innerHTML = '';
+        this.roster.pets.forEach(pet => {
+            const row = document.createElement('div');
+            row.className = `roster-row${pet.id === this.pet?.id ? ' active' : ''}`;
+
+            const name = document.createElement('button');
+            const { stage } = this.describeSprite(pet.sprite);
+            name.innerText = `${pet.name.toUpperCase()} ${pet.is_alive ? stage.toUpperCase() : 'R.I.P.'}`;
+            name.disabled = Boolean(pet.archived_at) || pet.id === this.pet?.id;
+            if (!pet.is_owner) name.title = `You're a ${pet.role}`;
+            name.onclick = () => this.switchPet(pet.id);
+            row.appendChild(name);
+
+            if (pet.is_owner) {
+                const archive = document.createElement('button');
+                archive.innerText = pet.archived_at ? 'WAKE' : 'ARCHIVE';
+                archive.onclick = () => (pet.archived_at ? this.restorePet(pet.id) : this.archivePet(pet.id));
+                row.appendChild(archive);
+
+                const release = document.createElement('button');
+                release.innerText = 'RELEASE';
+                release.onclick = () => this.releasePet(pet);
+                row.appendChild(release);
+            } else {
+                const leave = document.createElement('button');
+                leave.innerText = 'LEAVE';
+                leave.onclick = () => this.leavePet(pet);
+                row.appendChild(leave);
+            }
+            list.appendChild(row);
+        });
+
+        const owned = this.roster.pets.filter(pet => pet.is_owner && !pet.archived_at).length;
+        document.getElementById('btnAdopt').disabled = owned >= this.roster.maxPets;
+        document.getElementById('btnInvite').disabled = !this.isOwner();
+        document.getElementById('btnSitter').disabled = !this.isOwner();
+        document.getElementById('btnHandoff').disabled = !this.isOwner();
+        const btnVacation = document.getElementById('btnVacation');
+        btnVacation.disabled = !this.isOwner();
+        btnVacation.innerText = this.isAway() ? 'COME HOME' : 'VACATION';
+    }
+
+    renderShop() {
+        const balance = document.getElementById('coinBalance');
+        const list = document.getElementById('shopItems');
+        if (!balance || !list || !this.wallet) return;
+
+        balance.innerText = `${this.wallet.coins} COINS`;
+
+        list.innerHTML = '';
+        this.shop.forEach(item => {
+            const owned = this.wallet.inventory[item.item] || 0;
+            const btn = document.createElement('button');
+            btn.className = 'shop-btn';
+            btn.innerText = `${item.label} ${item.price}C (x${owned})`;
+            btn.disabled = this.wallet.coins < item.price || (!item.consumable && owned > 0);
+            btn.onclick = () => this.buyItem(item.item);
+            list.appendChild(btn);
+        });
+    }
+
     setBar(type, val) {
         const el = this.ui.stats[type];
         if (!el) return;
@@ -227,11 +1324,6 @@ class PixelBuddy {
             btn.addEventListener('click', (e) => this.setTheme(e.target.dataset.theme));
         });
 
-        // Action Buttons
-        document.querySelectorAll('[data-action]').forEach(btn => {
-            btn.addEventListener('click', (e) => this.performAction(e.target.dataset.action));
-        });
-
         // Toggles
         const worldToggle = document.getElementById('worldToggle');
         const chatToggle = document.getElementById('chatToggle');
@@ -255,6 +1347,37 @@ class PixelBuddy {
         // Rename
         const renameBtn = document.getElementById('renameBtn');
         if (renameBtn) renameBtn.onclick = () => this.renamePet();
+
+        // Shop
+        const shopToggle = document.getElementById('shopToggle');
+        if (shopToggle) shopToggle.onclick = () => this.openShop();
+
+        // Pet roster
+        const petsToggle = document.getElementById('petsToggle');
+        const btnAdopt = document.getElementById('btnAdopt');
+        if (petsToggle) petsToggle.onclick = () => this.toggleDrawer('pets');
+        if (btnAdopt) btnAdopt.onclick = () => this.adoptPet();
+
+        // Caretakers
+        const btnInvite = document.getElementById('btnInvite');
+        const btnJoin = document.getElementById('btnJoin');
+        if (btnInvite) btnInvite.onclick = () => this.invitePet();
+        if (btnJoin) btnJoin.onclick = () => this.joinPet();
+        const btnSitter = document.getElementById('btnSitter');
+        const btnHandoff = document.getElementById('btnHandoff');
+        if (btnSitter) btnSitter.onclick = () => this.sitPet();
+        if (btnHandoff) btnHandoff.onclick = () => this.showHandoff();
+        const btnVacation = document.getElementById('btnVacation');
+        if (btnVacation) btnVacation.onclick = () => this.toggleVacation();
+
+        // Mini-games
+        const gamesToggle = document.getElementById('gamesToggle');
+        if (gamesToggle) gamesToggle.onclick = () => this.openGames();
+        this.ui.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
+
+        // Reincarnation
+        const btnReincarnate = document.getElementById('btnReincarnate');
+        if (btnReincarnate) btnReincarnate.onclick = () => this.reincarnate();
     }
 
     async renamePet() {
@@ -262,18 +1385,44 @@ class PixelBuddy {
         if (!newName || newName === this.pet?.name) return;
 
         try {
-            const res = await fetch(`${this.apiBase}/pet/${this.pet.id}/rename`, {
+            const res = await this.api(`/pet/${this.pet.id}/rename`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ name: newName })
             });
-            this.pet = await res.json();
+            const data = await res.json();
+            if (!res.ok) {
+                // Caretakers can't rename someone else's pet
+                this.showBubble(data.message || data.error);
+                return;
+            }
+            this.pet = data;
             this.updateUI();
         } catch (e) {
             console.error('Rename error:', e);
         }
     }
 
+    showBubble(text, duration = 3000) {
+        const bubble = document.getElementById('chatOverlay');
+        const txt = document.getElementById('chatText');
+        if (!bubble || !txt) return;
+
+        txt.innerText = text;
+        bubble.classList.remove('hidden');
+        setTimeout(() => bubble.classList.add('hidden'), duration);
+    }
+
+    showToast(text) {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+
+        toast.innerText = text;
+        toast.classList.remove('hidden');
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => toast.classList.add('hidden'), 4000);
+    }
+
     async sendChat(msg) {
         const input = document.getElementById('chatInput');
         if (input) input.value = '';
@@ -288,7 +1437,7 @@ class PixelBuddy {
             txt.innerText = "...";
 
             try {
-                const res = await fetch(`${this.apiBase}/pet/${this.pet.id}/talk`, {
+                const res = await this.api(`/pet/${this.pet.id}/talk`, {
                     method: 'POST',
                     headers: {'Content-Type': 'application/json'},
                     body: JSON.stringify({ message: msg })
@@ -296,8 +1445,10 @@ class PixelBuddy {
                 const data = await res.json();
 
                 // Show response
-                txt.innerText = data.response;
+                txt.innerText = res.ok ? data.response : (data.message || data.error);
                 setTimeout(() => bubble.classList.add('hidden'), 5000);
+                this.fetchAchievements();
+                this.fetchQuests();
             } catch (e) {
                 txt.innerText = "Error...";
                 setTimeout(() => bubble.classList.add('hidden'), 3000);
@@ -307,12 +1458,16 @@ class PixelBuddy {
 
     async toggleWorldConnection() {
         const open = !this.pet.world_open;
-        const res = await fetch(`${this.apiBase}/pet/${this.pet.id}/world`, {
+        const res = await this.api(`/pet/${this.pet.id}/world`, {
             method: 'POST',
             headers: {'Content-Type': 'application/json'},
             body: JSON.stringify({ open })
         });
         const data = await res.json();
+        if (!res.ok) {
+            this.showBubble(data.message || data.error);
+            return;
+        }
         this.pet.world_open = data.world_open;
         this.pet.world_code = data.world_code;
         this.updateUI();
@@ -323,60 +1478,33 @@ class PixelBuddy {
         if (!code) return;
 
         try {
-            const res = await fetch(`${this.apiBase}/world/${code}`);
+            const res = await this.api(`/world/${code}?visitor=${this.pet.id}`);
             if (!res.ok) throw new Error('World not found');
             this.visitor = await res.json();
             console.log('Visiting:', this.visitor.name);
+            this.fetchQuests(); // visiting a friend can be a quest
         } catch (e) {
             alert('World not found or closed!');
         }
     }
 
     startSimulation() {
-        // Decay stats every minute
-        setInterval(() => {
-            if (this.pet) {
-                this.pet.hunger = Math.max(0, this.pet.hunger - 1);
-                this.pet.happiness = Math.max(0, this.pet.happiness - 0.5);
-                this.pet.energy = Math.max(0, this.pet.energy - 0.5);
-                this.pet.hygiene = Math.max(0, this.pet.hygiene - 0.5);
-                this.updateUI();
-            }
-        }, 60000);
-
-        // Sync to server every 5 seconds
-        setInterval(() => this.syncStats(), 5000);
-
-        // Sync on page unload
-        window.addEventListener('beforeunload', () => {
-            if (this.pet && this.pet.id) {
-                const data = new Blob([JSON.stringify({
-                    hunger: Math.round(this.pet.hunger),
-                    happiness: Math.round(this.pet.happiness),
-                    energy: Math.round(this.pet.energy),
-                    hygiene: Math.round(this.pet.hygiene)
-                })], { type: 'application/json' });
-                navigator.sendBeacon(`${this.apiBase}/pet/${this.pet.id}/sync`, data);
-            }
+        // The server owns stat decay; poll it so idle tabs stay truthful
+        this.loops.refresh = setInterval(() => this.refreshPet(), 60000);
+
+        // Catch up immediately when the tab comes back into view
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.refreshPet();
         });
     }
 
-    async syncStats() {
-        if (!this.pet || !this.pet.id) return;
+    async refreshPet() {
+        if (!this.pet) return;
 
         try {
-            await fetch(`${this.apiBase}/pet/${this.pet.id}/sync`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    hunger: Math.round(this.pet.hunger),
-                    happiness: Math.round(this.pet.happiness),
-                    energy: Math.round(this.pet.energy),
-                    hygiene: Math.round(this.pet.hygiene)
-                })
-            });
+            await this.fetchPetData();
         } catch (e) {
-            console.error('Sync error:', e);
+            console.error('Refresh error:', e);
         }
     }
 }
@@ -1,5 +1,8 @@
 /**
  * Database Migration Script
+ * Applies db/schema_v2.sql, which is safe to re-run: it creates what's missing
+ * and its SCHEMA UPGRADES section brings older v2 databases up to date.
+ * (A v1 database with pet data is upgraded once with npm run db:migrate:v2.)
  * Run with: npm run db:migrate
  */
 
@@ -13,7 +16,7 @@ async function migrate() {
 
   try {
     // Read schema file
-    const schemaPath = path.join(__dirname, '../db/schema.sql');
+    const schemaPath = path.join(__dirname, '../db/schema_v2.sql');
     const schema = fs.readFileSync(schemaPath, 'utf8');
 
     // Execute schema
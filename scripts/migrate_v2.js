@@ -43,47 +43,17 @@ async function runMigration() {
     if (existingPets > 0) {
       console.log(`   Found ${existingPets} existing pets`);
 
-      // Get all unique user_ids (TEXT fingerprints)
-      const uniqueUsersResult = await client.query(`
-        SELECT DISTINCT user_id FROM pets
-        WHERE owner_id IS NULL
+      // v1 pets stay unowned guest pets under their TEXT fingerprint. Each
+      // gets a claim secret on its browser's next visit (GET /api/pet/:userId),
+      // and the guest claims it into their account after signing in.
+      const legacyResult = await client.query(`
+        SELECT COUNT(*) AS count FROM pets
+        WHERE owner_id IS NULL AND claim_secret_hash IS NULL
       `);
+      const legacyPets = parseInt(legacyResult.rows[0].count);
 
-      console.log(`   Found ${uniqueUsersResult.rows.length} unique user fingerprints`);
-
-      // Create a mapping user for existing pets (migration user)
-      let migrationUserId;
-
-      const migrationUserResult = await client.query(`
-        INSERT INTO users (
-          username, email, password_hash, display_name,
-          oauth_provider, email_verified
-        ) VALUES (
-          'migration_user',
-          'migration@pixelbuddy.local',
-          NULL,
-          'Legacy Migration User',
-          'local',
-          FALSE
-        )
-        ON CONFLICT (username) DO UPDATE SET username = EXCLUDED.username
-        RETURNING id
-      `);
-
-      migrationUserId = migrationUserResult.rows[0].id;
-
-      console.log(`   Created migration user (ID: ${migrationUserId})`);
-
-      // Update pets to point to migration user
-      await client.query(`
-        UPDATE pets
-        SET owner_id = $1
-        WHERE owner_id IS NULL
-      `, [migrationUserId]);
-
-      console.log('   ✅ Migrated existing pets to migration user');
-      console.log('   ⚠️  NOTE: Existing pets are assigned to migration_user@pixelbuddy.local');
-      console.log('   ⚠️  Users will need to re-register and create new pets');
+      console.log(`   ✅ Kept ${legacyPets} v1 pets as unclaimed guest pets`);
+      console.log('   ⚠️  NOTE: Guests open Pixel Buddy in the browser that made their pet, then sign in to claim it');
     } else {
       console.log('   No existing pets to migrate');
     }
@@ -131,7 +101,7 @@ async function runMigration() {
 
     console.log('✅ Migration completed successfully!');
     console.log('\n📊 Summary:');
-    console.log(`   - Migrated ${existingPets} existing pets`);
+    console.log(`   - Kept ${existingPets} existing pets (v1 pets wait for their guest to claim them)`);
     console.log(`   - Created new schema with users, caretakers, events, audit_log`);
     console.log(`   - Ready for multi-pet support and OAuth authentication`);
     console.log('\n🔑 Next steps:');
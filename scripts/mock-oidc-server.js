@@ -0,0 +1,256 @@
+/**
+ * Mock OpenID Connect Provider
+ * A tiny identity provider for trying out and testing OIDC sign-in locally
+ * (see "OpenID Connect" in AUTH_SETUP.md). It implements discovery, an
+ * authorization endpoint with a form to pick who signs in, the token
+ * endpoint (with PKCE checks), JWKS and userinfo. Nothing is persisted.
+ *
+ * Usage: npm run mock-oidc
+ *   MOCK_OIDC_PORT           Port (default 9400)
+ *   MOCK_OIDC_CLIENT_ID      Client ID to accept (default pixel-buddy)
+ *   MOCK_OIDC_CLIENT_SECRET  Client secret to accept (default mock-secret)
+ *   MOCK_OIDC_AUTO_APPROVE   Set to sign in as the default user without the form
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'pixel-buddy';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const KEY_ID = 'mock-key-1';
+
+const DEFAULT_USER = {
+  sub: 'mock-user-1',
+  email: 'mock.user@example.com',
+  name: 'Mock User'
+};
+
+// A fresh signing key each run
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const codes = new Map(); // code -> { redirectUri, codeChallenge, nonce, user, expiresAt }
+const accessTokens = new Map(); // access token -> user
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Escape a value for interpolation into HTML
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Read an application/x-www-form-urlencoded body
+ * @returns {Promise<URLSearchParams>}
+ */
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Issue a code for an approved sign-in and send the browser back to the client
+ */
+function approve(res, params, user) {
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    redirectUri: params.get('redirect_uri'),
+    codeChallenge: params.get('code_challenge'),
+    nonce: params.get('nonce'),
+    user,
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const redirect = new URL(params.get('redirect_uri'));
+  redirect.searchParams.set('code', code);
+  if (params.get('state')) redirect.searchParams.set('state', params.get('state'));
+
+  console.log(`🔑 Signed in ${user.email} (${user.sub})`);
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+}
+
+/**
+ * GET /authorize: check the request, then show the sign-in form (or approve)
+ */
+function authorize(res, params) {
+  if (params.get('client_id') !== CLIENT_ID) {
+    return sendJson(res, 400, { error: 'unauthorized_client' });
+  }
+  if (params.get('response_type') !== 'code' || !params.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'response_type=code and redirect_uri are required' });
+  }
+  if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'PKCE (S256) is required' });
+  }
+
+  if (process.env.MOCK_OIDC_AUTO_APPROVE) {
+    return approve(res, params, DEFAULT_USER);
+  }
+
+  const hidden = [...params].map(([key, value]) =>
+    `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`).join('\n      ');
+
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(`<!DOCTYPE html>
+<html>
+  <body style="font-family: monospace; padding: 24px;">
+    <h1>Mock OIDC sign-in</h1>
+    <form method="POST" action="/authorize">
+      ${hidden}
+      <p><label>sub <input name="sub" value="${escapeHtml(DEFAULT_USER.sub)}"></label></p>
+      <p><label>email <input name="email" value="${escapeHtml(DEFAULT_USER.email)}"></label></p>
+      <p><label>name <input name="name" value="${escapeHtml(DEFAULT_USER.name)}"></label></p>
+      <p><label><input type="checkbox" name="email_verified" checked> email verified</label></p>
+      <button type="submit">Sign in</button>
+      <button type="submit" name="deny" value="1">Deny</button>
+    </form>
+  </body>
+</html>`);
+}
+
+/**
+ * POST /authorize: the form was submitted
+ */
+async function authorizeSubmit(req, res) {
+  const form = await readForm(req);
+
+  if (form.get('deny')) {
+    const redirect = new URL(form.get('redirect_uri'));
+    redirect.searchParams.set('error', 'access_denied');
+    if (form.get('state')) redirect.searchParams.set('state', form.get('state'));
+    res.writeHead(302, { Location: redirect.toString() });
+    return res.end();
+  }
+
+  approve(res, form, {
+    sub: form.get('sub'),
+    email: form.get('email'),
+    name: form.get('name'),
+    email_verified: form.get('email_verified') === 'on'
+  });
+}
+
+/**
+ * POST /token: trade a code for tokens
+ */
+async function token(req, res) {
+  const form = await readForm(req);
+
+  // client_secret_basic or client_secret_post
+  let clientId = form.get('client_id');
+  let clientSecret = form.get('client_secret');
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(auth.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+    clientId = id;
+    clientSecret = secret;
+  }
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+
+  if (form.get('grant_type') !== 'authorization_code') {
+    return sendJson(res, 400, { error: 'unsupported_grant_type' });
+  }
+
+  const grant = codes.get(form.get('code'));
+  codes.delete(form.get('code')); // Single use
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, grant.user);
+
+  const idToken = jwt.sign({
+    sub: grant.user.sub,
+    email: grant.user.email,
+    email_verified: grant.user.email_verified !== false,
+    nonce: grant.nonce
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  sendJson(res, 200, {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+}
+
+/**
+ * GET /userinfo: profile claims for an access token
+ */
+function userinfo(req, res) {
+  const auth = req.headers.authorization || '';
+  const user = accessTokens.get(auth.replace(/^Bearer /, ''));
+  if (!user) {
+    return sendJson(res, 401, { error: 'invalid_token' });
+  }
+  sendJson(res, 200, { ...user, email_verified: user.email_verified !== false });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: ['openid', 'email', 'profile']
+      });
+    }
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }]
+      });
+    }
+    if (req.method === 'GET' && url.pathname === '/authorize') return authorize(res, url.searchParams);
+    if (req.method === 'POST' && url.pathname === '/authorize') return await authorizeSubmit(req, res);
+    if (req.method === 'POST' && url.pathname === '/token') return await token(req, res);
+    if (req.method === 'GET' && url.pathname === '/userinfo') return userinfo(req, res);
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('Mock OIDC error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🪪 Mock OIDC provider at ${ISSUER} (client ${CLIENT_ID} / ${CLIENT_SECRET})`);
+});
@@ -15,7 +15,24 @@ const axios = require('axios');
 const passport = require('./auth/passport');
 const cookieParser = require('cookie-parser');
 const { pool, healthCheck } = require('./db/pool');
-const { auditMiddleware } = require('./utils/audit');
+const { auditMiddleware, auditSitterActions } = require('./utils/audit');
+const { authenticate, optionalAuth, canAccessPet, requirePetRole, requirePetOwner } = require('./middleware/auth');
+const { refreshPet, adjustStats, performAction } = require('./game/simulation');
+const { reincarnatePet } = require('./game/lifecycle');
+const { EVENT_TYPES, eventMemory, resolveEvents } = require('./game/events');
+const { ITEMS, CATALOG, catalogFor, renderMemory } = require('./game/catalog');
+const { getInventory, getWallet, recordCare, buyItem } = require('./game/economy');
+const { GAMES, ROUND_TTL_MINUTES, dealRound, playRound, verifyRound, rewardWin, listGames } = require('./game/minigames');
+const { checkAchievements, listAchievements } = require('./game/achievements');
+const { getQuests, recordQuestProgress, claimQuest, setTimezone } = require('./game/quests');
+const { randomTrait, personalityPrompt } = require('./game/personality');
+const {
+  CARE_ROLES, actorName, createInvite, listInvites, revokeInvite, redeemInvite,
+  listPendingInvites, answerInvite, endCaretaking, listCaretakers, recordCaretakerAction
+} = require('./game/caretaking');
+const { listSittings, handoffSummary } = require('./game/sitting');
+const { startVacation, endVacation } = require('./game/vacation');
+const { newClaimSecret, issueLegacyClaimSecret, listPets, adoptPet, claimGuestPet, setActivePet, archivePet, restorePet, releasePet } = require('./game/roster');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -52,6 +69,9 @@ app.use(passport.initialize());
 // Audit middleware (attach audit logger to requests)
 app.use(auditMiddleware);
 
+// Everything a pet-sitter changes goes in the audit log
+app.use(auditSitterActions);
+
 // Request logging
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
@@ -65,6 +85,20 @@ const actionLimiter = rateLimit({
   message: 'Too many actions, please slow down!'
 });
 
+// Mini-game moves (a memory round is a request per card flipped)
+const playLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120, // 120 moves per minute
+  message: 'Too many moves, please slow down!'
+});
+
+// Claiming a guest pet (each try is a guess at a guest's claim secret)
+const claimLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 claims per 15 minutes
+  message: 'Too many claim attempts, please try again later'
+});
+
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -108,92 +142,116 @@ app.get('/api/pet/:userId', async (req, res) => {
       [userId]
     );
 
-    // Create new pet if doesn't exist
+    // Create new pet if doesn't exist. Guest pets have no owner; the claim
+    // secret is only ever sent in this response, and claiming the pet into
+    // an account later takes it (POST /api/pets/claim).
+    let claimSecret;
     if (result.rows.length === 0) {
+      const claim = newClaimSecret();
+      claimSecret = claim.secret;
+
       result = await pool.query(`
-        INSERT INTO pets (user_id, name, hunger, happiness, energy, hygiene, sprite)
-        VALUES ($1, $2, 50, 50, 50, 50, 0)
+        INSERT INTO pets (user_id, name, hunger, happiness, energy, hygiene, sprite, traits, claim_secret_hash)
+        VALUES ($1, $2, 50, 50, 50, 50, 0, $3, $4)
         RETURNING *
-      `, [userId, 'Buddy']);
+      `, [userId, 'Buddy', JSON.stringify([randomTrait()]), claim.hash]);
 
       // Add birth memory
       await pool.query(`
         INSERT INTO memories (pet_id, memory_type, content)
         VALUES ($1, 'action', 'Born into this world!')
       `, [result.rows[0].id]);
+    } else if (!result.rows[0].owner_id && !result.rows[0].claim_secret_hash) {
+      // Guest pets from before claim secrets get theirs on the next visit
+      claimSecret = await issueLegacyClaimSecret(pool, result.rows[0].id);
     }
 
-    res.json(result.rows[0]);
+    // Catch up on decay since the pet was last seen
+    const pet = await refreshPet(result.rows[0].id);
+    delete pet.claim_secret_hash;
+
+    res.json(claimSecret ? { ...pet, claimSecret } : pet);
   } catch (error) {
     console.error('Error fetching pet:', error);
     res.status(500).json({ error: 'Failed to fetch pet' });
   }
 });
 
-// Update pet stats (feed, play, clean, sleep)
-app.post('/api/pet/:id/action', actionLimiter, async (req, res) => {
+// Every /api/pet/:id route below needs a signed-in owner or caretaker
+// (canAccessPet); renaming and opening the world are owner-only.
+
+// List the actions, foods and toys available to a pet
+app.get('/api/pet/:id/catalog', authenticate, canAccessPet, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM pets WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
+    res.json(catalogFor(result.rows[0], await getInventory(pool, result.rows[0].id)));
+  } catch (error) {
+    console.error('Error fetching catalog:', error);
+    res.status(500).json({ error: 'Failed to fetch catalog' });
+  }
+});
+
+// Perform a catalog action (feed, play, clean, sleep, medicine, snacks, toys)
+app.post('/api/pet/:id/action', actionLimiter, authenticate, canAccessPet, requirePetRole(...CARE_ROLES), async (req, res) => {
   try {
     const { id } = req.params;
-    const { action } = req.body; // 'feed', 'play', 'clean', 'sleep'
-
-    // Calculate stat changes based on action
-    // Note: hunger = fullness (100 = full, 0 = starving)
-    const updates = {
-      feed: { hunger: 30, last_fed: true },
-      play: { happiness: 20, energy: -10, last_played: true },
-      clean: { hygiene: 40, last_cleaned: true },
-      sleep: { energy: 30, last_slept: true }
-    };
-
-    const update = updates[action];
-    if (!update) {
+    const { action } = req.body;
+
+    const entry = Object.prototype.hasOwnProperty.call(CATALOG, action) ? CATALOG[action] : null;
+    if (!entry) {
       return res.status(400).json({ error: 'Invalid action' });
     }
 
-    // Build UPDATE query
-    const setParts = [];
-    const values = [];
-    let paramCount = 1;
-
-    if (update.hunger !== undefined) {
-      setParts.push(`hunger = GREATEST(0, LEAST(100, hunger + $${paramCount}))`);
-      values.push(update.hunger);
-      paramCount++;
+    // Apply pending decay before the action's deltas
+    const pet = await refreshPet(id, { persist: true });
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
     }
-    if (update.happiness !== undefined) {
-      setParts.push(`happiness = GREATEST(0, LEAST(100, happiness + $${paramCount}))`);
-      values.push(update.happiness);
-      paramCount++;
+    if (!pet.is_alive) {
+      return res.status(409).json({ error: 'Pet has passed away', pet });
     }
-    if (update.energy !== undefined) {
-      setParts.push(`energy = GREATEST(0, LEAST(100, energy + $${paramCount}))`);
-      values.push(update.energy);
-      paramCount++;
+    if (pet.archived_at) {
+      return res.status(409).json({ error: 'Pet is archived' });
     }
-    if (update.hygiene !== undefined) {
-      setParts.push(`hygiene = GREATEST(0, LEAST(100, hygiene + $${paramCount}))`);
-      values.push(update.hygiene);
-      paramCount++;
+    if (pet.vacation_started_at) {
+      return res.status(409).json({ error: 'Pet is on vacation' });
     }
 
-    // Update timestamp columns
-    if (update.last_fed) setParts.push('last_fed = NOW()');
-    if (update.last_played) setParts.push('last_played = NOW()');
-    if (update.last_cleaned) setParts.push('last_cleaned = NOW()');
-    if (update.last_slept) setParts.push('last_slept = NOW()');
-
-    values.push(id);
-    const query = `UPDATE pets SET ${setParts.join(', ')} WHERE id = $${paramCount} RETURNING *`;
-
-    const result = await pool.query(query, values);
+    // Rules and write happen under one row lock (cooldowns can't be raced)
+    const result = await performAction(id, action, entry);
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+    const { pet: updatedPet, outcome } = result;
 
-    // Add memory
+    // Caretakers get credit by name ("Alex fed me!")
+    const who = actorName(req.user, req.petRole);
     await pool.query(
       'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
-      [id, 'action', `Owner ${action === 'feed' ? 'fed' : action === 'play' ? 'played with' : action === 'clean' ? 'cleaned' : 'put to sleep'} me!`]
+      [id, 'action', renderMemory(entry, pet, who)]
     );
 
-    res.json(result.rows[0]);
+    // Feeding a hungry pet, etc. also settles the matching events
+    const resolved = await resolveEvents(pool, id, entry.actsAs || action, { userId: req.userId });
+    for (const event of resolved) {
+      await pool.query(
+        'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+        [id, 'action', eventMemory(event.event_type, who)]
+      );
+    }
+    if (req.petRole !== 'owner') await recordCaretakerAction(pool, id, req.userId);
+
+    // First care of the day pays out the streak bonus
+    const reward = await recordCare(pool, id, req.userId);
+    const achievements = await checkAchievements(pool, id, { action: entry.actsAs || action });
+    const quests = await recordQuestProgress(pool, id, 'action', { action: entry.actsAs || action });
+
+    res.json({ pet: updatedPet, outcome, reward, achievements, quests });
   } catch (error) {
     console.error('Error updating pet:', error);
     res.status(500).json({ error: 'Failed to update pet' });
@@ -201,7 +259,7 @@ app.post('/api/pet/:id/action', actionLimiter, async (req, res) => {
 });
 
 // Rename pet
-app.post('/api/pet/:id/rename', async (req, res) => {
+app.post('/api/pet/:id/rename', authenticate, requirePetOwner, async (req, res) => {
   try {
     const { id } = req.params;
     const { name } = req.body;
@@ -210,6 +268,12 @@ app.post('/api/pet/:id/rename', async (req, res) => {
       return res.status(400).json({ error: 'Name must be 1-20 characters' });
     }
 
+    // Materialize decay first, since any update resets last_seen
+    const pet = await refreshPet(id, { persist: true });
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
     const result = await pool.query(
       'UPDATE pets SET name = $1 WHERE id = $2 RETURNING *',
       [name, id]
@@ -222,28 +286,890 @@ app.post('/api/pet/:id/rename', async (req, res) => {
   }
 });
 
-// Sync pet stats (for periodic frontend updates)
-app.post('/api/pet/:id/sync', async (req, res) => {
+// Death history (one entry per past generation)
+app.get('/api/pet/:id/deaths', authenticate, canAccessPet, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      'SELECT generation, cause, final_age_seconds, final_stats, epitaph, died_at FROM deaths WHERE pet_id = $1 ORDER BY generation DESC',
+      [id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching deaths:', error);
+    res.status(500).json({ error: 'Failed to fetch deaths' });
+  }
+});
+
+// Reincarnate a dead pet as the next generation
+app.post('/api/pet/:id/reincarnate', authenticate, canAccessPet, requirePetRole(...CARE_ROLES), async (req, res) => {
   try {
     const { id } = req.params;
-    const { hunger, happiness, energy, hygiene } = req.body;
 
-    // Validate stats are within bounds
-    const clamp = (val) => Math.max(0, Math.min(100, val));
+    const pet = await refreshPet(id);
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    if (pet.is_alive) {
+      return res.status(409).json({ error: 'Pet is still alive' });
+    }
+
+    const reborn = await reincarnatePet(id);
+    if (!reborn) {
+      return res.status(409).json({ error: 'Pet is still alive' });
+    }
 
-    const result = await pool.query(
-      'UPDATE pets SET hunger = $1, happiness = $2, energy = $3, hygiene = $4 WHERE id = $5 RETURNING *',
-      [clamp(hunger), clamp(happiness), clamp(energy), clamp(hygiene), id]
+    res.json(reborn);
+  } catch (error) {
+    console.error('Error reincarnating pet:', error);
+    res.status(500).json({ error: 'Failed to reincarnate pet' });
+  }
+});
+
+// ============================================================================
+// PET ROSTER ROUTES (accounts with several pets)
+// ============================================================================
+
+// Pets the signed-in user owns or cares for (?archived=true to include the archive)
+app.get('/api/pets', authenticate, async (req, res) => {
+  try {
+    const roster = await listPets(pool, req.userId, { includeArchived: req.query.archived === 'true' });
+    res.json(roster);
+  } catch (error) {
+    console.error('Error listing pets:', error);
+    res.status(500).json({ error: 'Failed to list pets' });
+  }
+});
+
+// Adopt another pet
+app.post('/api/pets', authenticate, async (req, res) => {
+  try {
+    const result = await adoptPet(req.userId, { name: req.body.name });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await req.audit.log({
+      itemType: 'Pet',
+      itemId: result.pet.id,
+      eventType: 'create',
+      action: 'pet_adopted',
+      controller: 'pets',
+      object: { name: result.pet.name, traits: result.pet.traits }
+    });
+
+    res.status(201).json(result.pet);
+  } catch (error) {
+    console.error('Error adopting pet:', error);
+    res.status(500).json({ error: 'Failed to adopt pet' });
+  }
+});
+
+// Claim a guest pet (localStorage user_id) into the signed-in account
+app.post('/api/pets/claim', claimLimiter, authenticate, async (req, res) => {
+  try {
+    const { guestId, claimSecret, onConflict } = req.body;
+
+    const result = await claimGuestPet(req.userId, guestId, claimSecret, { onConflict });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, conflict: result.conflict });
+    }
+
+    await req.audit.log({
+      itemType: 'Pet',
+      itemId: result.pet.id,
+      eventType: 'update',
+      action: 'pet_claimed',
+      controller: 'pets',
+      object: { name: result.pet.name, archived: result.archived }
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error claiming pet:', error);
+    res.status(500).json({ error: 'Failed to claim pet' });
+  }
+});
+
+// A pet on the roster, caught up on decay
+app.get('/api/pets/:id', authenticate, canAccessPet, async (req, res) => {
+  try {
+    const pet = await refreshPet(req.petId);
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    res.json(pet);
+  } catch (error) {
+    console.error('Error fetching pet:', error);
+    res.status(500).json({ error: 'Failed to fetch pet' });
+  }
+});
+
+// Make a pet the one in view
+app.post('/api/pets/:id/switch', authenticate, canAccessPet, async (req, res) => {
+  try {
+    const pet = await setActivePet(pool, req.userId, req.petId);
+    if (!pet) {
+      return res.status(409).json({ error: 'Pet is archived' });
+    }
+    res.json(pet);
+  } catch (error) {
+    console.error('Error switching pet:', error);
+    res.status(500).json({ error: 'Failed to switch pet' });
+  }
+});
+
+// Freeze a pet in the archive
+app.post('/api/pets/:id/archive', authenticate, requirePetOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const current = await refreshPet(id);
+    if (current && current.vacation_started_at) {
+      return res.status(409).json({ error: 'Pet is on vacation (come home first)' });
+    }
+
+    const pet = await archivePet(id);
+    if (!pet) {
+      return res.status(409).json({ error: 'Pet is already archived' });
+    }
+
+    await req.audit.log({
+      itemType: 'Pet',
+      itemId: id,
+      eventType: 'update',
+      action: 'pet_archived',
+      controller: 'pets'
+    });
+
+    res.json(pet);
+  } catch (error) {
+    console.error('Error archiving pet:', error);
+    res.status(500).json({ error: 'Failed to archive pet' });
+  }
+});
+
+// Bring a pet back from the archive
+app.post('/api/pets/:id/restore', authenticate, requirePetOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await restorePet(req.userId, id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await req.audit.log({
+      itemType: 'Pet',
+      itemId: id,
+      eventType: 'update',
+      action: 'pet_restored',
+      controller: 'pets'
+    });
+
+    res.json(result.pet);
+  } catch (error) {
+    console.error('Error restoring pet:', error);
+    res.status(500).json({ error: 'Failed to restore pet' });
+  }
+});
+
+// Release a pet for good
+app.delete('/api/pets/:id', authenticate, requirePetOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const pet = await releasePet(pool, id);
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
+    await req.audit.log({
+      itemType: 'Pet',
+      itemId: pet.id,
+      eventType: 'delete',
+      action: 'pet_released',
+      controller: 'pets',
+      object: { name: pet.name, generation: pet.generation, age_seconds: pet.age_seconds }
+    });
+
+    res.json({ released: true, id: pet.id });
+  } catch (error) {
+    console.error('Error releasing pet:', error);
+    res.status(500).json({ error: 'Failed to release pet' });
+  }
+});
+
+// ============================================================================
+// VACATION ROUTES (freezing a pet while the owner is away)
+// ============================================================================
+
+// Go on vacation ({ days })
+app.post('/api/pet/:id/vacation', authenticate, requirePetOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Settle stats first so the pet sleeps exactly as it was left
+    const pet = await refreshPet(id, { persist: true });
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
+    const result = await startVacation(pool, pet, req.body.days);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await req.audit.log({
+      itemType: 'Pet',
+      itemId: pet.id,
+      eventType: 'update',
+      action: 'vacation_started',
+      controller: 'pets',
+      object: { days: req.body.days, ends_at: result.pet.vacation_ends_at }
+    });
+
+    res.json(result.pet);
+  } catch (error) {
+    console.error('Error starting vacation:', error);
+    res.status(500).json({ error: 'Failed to start vacation' });
+  }
+});
+
+// Come home early
+app.delete('/api/pet/:id/vacation', authenticate, requirePetOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await endVacation(pool, id))) {
+      return res.status(409).json({ error: 'Pet is not on vacation' });
+    }
+    const pet = await refreshPet(id, { persist: true });
+
+    await req.audit.log({
+      itemType: 'Pet',
+      itemId: pet.id,
+      eventType: 'update',
+      action: 'vacation_ended',
+      controller: 'pets'
+    });
+
+    res.json(pet);
+  } catch (error) {
+    console.error('Error ending vacation:', error);
+    res.status(500).json({ error: 'Failed to end vacation' });
+  }
+});
+
+// ============================================================================
+// CARETAKER ROUTES (sharing a pet via invite codes)
+// ============================================================================
+
+// Create an invite code ({ role: 'caretaker' | 'sitter' | 'viewer', maxUses, expiresInHours, sitDays })
+app.post('/api/pet/:id/invites', authenticate, requirePetOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, maxUses, expiresInHours, sitDays } = req.body;
+
+    const result = await createInvite(pool, id, req.userId, { role, maxUses, expiresInHours, sitDays });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await req.audit.log({
+      itemType: 'Pet',
+      itemId: id,
+      eventType: 'create',
+      action: 'invite_sent',
+      controller: 'caretakers',
+      object: {
+        invite_id: result.invite.id,
+        role: result.invite.role,
+        max_uses: result.invite.max_uses,
+        access_expires_at: result.invite.access_expires_at
+      }
+    });
+
+    res.status(201).json(result.invite);
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// Invite codes that can still be redeemed
+app.get('/api/pet/:id/invites', authenticate, requirePetOwner, async (req, res) => {
+  try {
+    res.json(await listInvites(pool, req.params.id));
+  } catch (error) {
+    console.error('Error listing invites:', error);
+    res.status(500).json({ error: 'Failed to list invites' });
+  }
+});
+
+// Switch off an invite code
+app.delete('/api/pet/:id/invites/:inviteId', authenticate, requirePetOwner, async (req, res) => {
+  try {
+    const { id, inviteId } = req.params;
+
+    if (!(await revokeInvite(pool, id, inviteId))) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    await req.audit.log({
+      itemType: 'Pet',
+      itemId: id,
+      eventType: 'update',
+      action: 'invite_revoked',
+      controller: 'caretakers',
+      object: { invite_id: parseInt(inviteId) }
+    });
+
+    res.json({ revoked: true });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// Everyone looking after a pet
+app.get('/api/pet/:id/caretakers', authenticate, canAccessPet, async (req, res) => {
+  try {
+    res.json(await listCaretakers(pool, req.petId));
+  } catch (error) {
+    console.error('Error listing caretakers:', error);
+    res.status(500).json({ error: 'Failed to list caretakers' });
+  }
+});
+
+// Take away a caretaker's access
+app.delete('/api/pet/:id/caretakers/:userId', authenticate, requirePetOwner, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const caretaker = await endCaretaking(pool, id, userId, 'revoked');
+    if (!caretaker) {
+      return res.status(404).json({ error: 'Caretaker not found' });
+    }
+
+    await req.audit.log({
+      itemType: 'Caretaker',
+      itemId: caretaker.id,
+      eventType: 'update',
+      action: 'caretaker_revoked',
+      controller: 'caretakers',
+      object: { pet_id: caretaker.pet_id, user_id: caretaker.user_id, role: caretaker.role }
+    });
+
+    res.json({ revoked: true });
+  } catch (error) {
+    console.error('Error revoking caretaker:', error);
+    res.status(500).json({ error: 'Failed to revoke caretaker' });
+  }
+});
+
+// Redeem an invite code (the invitation then waits to be accepted)
+app.post('/api/invites/:code/redeem', actionLimiter, authenticate, async (req, res) => {
+  try {
+    const result = await redeemInvite(req.userId, req.params.code);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error redeeming invite:', error);
+    res.status(500).json({ error: 'Failed to redeem invite' });
+  }
+});
+
+// Invitations waiting for an answer
+app.get('/api/invites/pending', authenticate, async (req, res) => {
+  try {
+    res.json(await listPendingInvites(pool, req.userId));
+  } catch (error) {
+    console.error('Error listing pending invites:', error);
+    res.status(500).json({ error: 'Failed to list invites' });
+  }
+});
+
+// Accept or decline an invitation
+app.post('/api/pets/:id/:answer(accept|decline)', authenticate, async (req, res) => {
+  try {
+    const { id, answer } = req.params;
+
+    const caretaker = await answerInvite(pool, id, req.user, answer === 'accept');
+    if (!caretaker) {
+      return res.status(404).json({ error: 'No pending invitation for this pet' });
+    }
+
+    await req.audit.log({
+      itemType: 'Caretaker',
+      itemId: caretaker.id,
+      eventType: 'update',
+      action: answer === 'accept' ? 'invite_accepted' : 'invite_declined',
+      controller: 'caretakers',
+      object: { pet_id: caretaker.pet_id, role: caretaker.role }
+    });
+
+    res.json(caretaker);
+  } catch (error) {
+    console.error('Error answering invite:', error);
+    res.status(500).json({ error: 'Failed to answer invite' });
+  }
+});
+
+// Pet-sitters, current and past
+app.get('/api/pet/:id/sittings', authenticate, requirePetOwner, async (req, res) => {
+  try {
+    res.json(await listSittings(pool, req.params.id));
+  } catch (error) {
+    console.error('Error listing sittings:', error);
+    res.status(500).json({ error: 'Failed to list sittings' });
+  }
+});
+
+// What happened while a sitter had the pet
+app.get('/api/pet/:id/sittings/:userId/handoff', authenticate, requirePetOwner, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const summary = await handoffSummary(pool, id, userId);
+    if (!summary) {
+      return res.status(404).json({ error: 'No sitting found for this user' });
+    }
+    res.json(summary);
+  } catch (error) {
+    console.error('Error building handoff:', error);
+    res.status(500).json({ error: 'Failed to build handoff' });
+  }
+});
+
+// Stop looking after someone else's pet
+app.post('/api/pets/:id/leave', authenticate, async (req, res) => {
+  try {
+    const caretaker = await endCaretaking(pool, req.params.id, req.userId, 'left');
+    if (!caretaker) {
+      return res.status(404).json({ error: 'You are not a caretaker of this pet' });
+    }
+
+    await req.audit.log({
+      itemType: 'Caretaker',
+      itemId: caretaker.id,
+      eventType: 'update',
+      action: 'caretaker_left',
+      controller: 'caretakers',
+      object: { pet_id: caretaker.pet_id, role: caretaker.role }
+    });
+
+    res.json({ left: true });
+  } catch (error) {
+    console.error('Error leaving pet:', error);
+    res.status(500).json({ error: 'Failed to leave pet' });
+  }
+});
+
+// ============================================================================
+// GAME EVENT ROUTES
+// ============================================================================
+
+// List a pet's events (?status=active by default, or ?status=all)
+app.get('/api/pet/:id/events', authenticate, canAccessPet, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status = 'active' } = req.query;
+
+    // Expires overdue events and spawns new ones
+    const pet = await refreshPet(id);
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT id, event_type, severity, status, resolution_action, data, created_at, expires_at, resolved_at
+      FROM game_events
+      WHERE pet_id = $1 AND ($2 = 'all' OR status = $2)
+      ORDER BY created_at DESC
+      LIMIT 50
+    `, [id, status]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    res.status(500).json({ error: 'Failed to fetch events' });
+  }
+});
+
+// Resolve an event (e.g. comfort a crying pet, clean up poop, tuck in)
+app.post('/api/pet/:id/events/:eventId/resolve', actionLimiter, authenticate, canAccessPet, requirePetRole(...CARE_ROLES), async (req, res) => {
+  try {
+    const { id, eventId } = req.params;
+    const { action } = req.body;
+
+    const pet = await refreshPet(id, { persist: true });
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    if (!pet.is_alive) {
+      return res.status(409).json({ error: 'Pet has passed away' });
+    }
+    if (pet.archived_at) {
+      return res.status(409).json({ error: 'Pet is archived' });
+    }
+    if (pet.vacation_started_at) {
+      return res.status(409).json({ error: 'Pet is on vacation' });
+    }
+
+    const eventResult = await pool.query(
+      'SELECT * FROM game_events WHERE id = $1 AND pet_id = $2',
+      [eventId, id]
     );
+    const event = eventResult.rows[0];
 
-    if (result.rows.length === 0) {
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (event.status !== 'active') {
+      return res.status(409).json({ error: `Event is already ${event.status}` });
+    }
+
+    const type = EVENT_TYPES[event.event_type];
+    if (!type || !type.resolvedBy.includes(action)) {
+      return res.status(400).json({
+        error: 'Invalid action for this event',
+        resolvedBy: type ? type.resolvedBy : []
+      });
+    }
+
+    const [resolved] = await resolveEvents(pool, id, action, {
+      eventId: event.id,
+      userId: req.userId
+    });
+    if (!resolved) {
+      return res.status(409).json({ error: 'Event is no longer active' });
+    }
+
+    const updatedPet = await adjustStats(pool, id, type.reward);
+
+    await pool.query(
+      'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+      [id, 'action', eventMemory(event.event_type, actorName(req.user, req.petRole))]
+    );
+    if (req.petRole !== 'owner') await recordCaretakerAction(pool, id, req.userId);
+
+    await req.audit.log({
+      itemType: 'GameEvent',
+      itemId: resolved.id,
+      eventType: 'update',
+      action: 'event_resolved',
+      controller: 'pets',
+      objectChanges: { status: ['active', 'resolved'] }
+    });
+
+    res.json({ event: resolved, pet: updatedPet });
+  } catch (error) {
+    console.error('Error resolving event:', error);
+    res.status(500).json({ error: 'Failed to resolve event' });
+  }
+});
+
+// ============================================================================
+// ECONOMY ROUTES
+// ============================================================================
+
+// Items for sale
+app.get('/api/shop', (req, res) => {
+  res.json(Object.entries(ITEMS).map(([item, def]) => ({ item, ...def })));
+});
+
+// Coins, care streak and inventory
+app.get('/api/pet/:id/wallet', authenticate, canAccessPet, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const pet = await pool.query('SELECT id FROM pets WHERE id = $1', [id]);
+    if (pet.rows.length === 0) {
       return res.status(404).json({ error: 'Pet not found' });
     }
 
-    res.json({ success: true });
+    res.json(await getWallet(pool, id));
   } catch (error) {
-    console.error('Error syncing pet:', error);
-    res.status(500).json({ error: 'Failed to sync pet' });
+    console.error('Error fetching wallet:', error);
+    res.status(500).json({ error: 'Failed to fetch wallet' });
+  }
+});
+
+// Buy an item with the pet's coins
+app.post('/api/pet/:id/shop/buy', actionLimiter, authenticate, canAccessPet, requirePetRole(...CARE_ROLES), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { item, quantity = 1 } = req.body;
+
+    const pet = await pool.query('SELECT id FROM pets WHERE id = $1', [id]);
+    if (pet.rows.length === 0) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
+    const result = await buyItem(id, item, quantity, { userId: req.userId });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await req.audit.log({
+      itemType: 'Pet',
+      itemId: id,
+      eventType: 'update',
+      action: 'item_purchased',
+      controller: 'shop',
+      object: { item, quantity, price: ITEMS[item].price }
+    });
+
+    res.json(result.wallet);
+  } catch (error) {
+    console.error('Error buying item:', error);
+    res.status(500).json({ error: 'Failed to buy item' });
+  }
+});
+
+// ============================================================================
+// MINI-GAME ROUTES
+// ============================================================================
+
+// Available mini-games
+app.get('/api/minigames', (req, res) => {
+  res.json(listGames());
+});
+
+// A pet's high scores
+app.get('/api/pet/:id/minigames', authenticate, canAccessPet, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT game_type, MAX(score) AS high_score, COUNT(*) FILTER (WHERE status = 'won') AS wins
+      FROM mini_game_rounds
+      WHERE pet_id = $1 AND status IN ('won', 'lost')
+      GROUP BY game_type
+    `, [req.params.id]);
+    const stats = Object.fromEntries(result.rows.map(row => [row.game_type, row]));
+
+    res.json(listGames().map(game => ({
+      ...game,
+      highScore: stats[game.game] ? stats[game.game].high_score : 0,
+      wins: stats[game.game] ? parseInt(stats[game.game].wins) : 0
+    })));
+  } catch (error) {
+    console.error('Error fetching mini-games:', error);
+    res.status(500).json({ error: 'Failed to fetch mini-games' });
+  }
+});
+
+// Deal a seeded round (the deal itself stays on the server)
+app.post('/api/pet/:id/minigames/:game/start', actionLimiter, authenticate, canAccessPet, requirePetRole(...CARE_ROLES), async (req, res) => {
+  try {
+    const { id, game } = req.params;
+
+    if (!Object.prototype.hasOwnProperty.call(GAMES, game)) {
+      return res.status(400).json({ error: 'Unknown game' });
+    }
+
+    const pet = await refreshPet(id);
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    if (!pet.is_alive) {
+      return res.status(409).json({ error: 'Pet has passed away' });
+    }
+    if (pet.archived_at) {
+      return res.status(409).json({ error: 'Pet is archived' });
+    }
+    if (pet.vacation_started_at) {
+      return res.status(409).json({ error: 'Pet is on vacation' });
+    }
+
+    const { seed, layout } = dealRound(game);
+    const result = await pool.query(`
+      INSERT INTO mini_game_rounds (pet_id, user_id, game_type, seed, expires_at)
+      VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+      RETURNING id, expires_at
+    `, [id, req.userId || null, game, seed, ROUND_TTL_MINUTES]);
+
+    res.json({
+      roundId: result.rows[0].id,
+      game,
+      layout,
+      expiresAt: result.rows[0].expires_at
+    });
+  } catch (error) {
+    console.error('Error starting mini-game:', error);
+    res.status(500).json({ error: 'Failed to start mini-game' });
+  }
+});
+
+// Make a move: flip a memory card, or wait for / tap a reflex color change
+app.post('/api/pet/:id/minigames/rounds/:roundId/play', playLimiter, authenticate, canAccessPet, requirePetRole(...CARE_ROLES), async (req, res) => {
+  try {
+    const played = await playRound(req.params.id, req.params.roundId, req.body);
+    if (played.error) {
+      return res.status(played.status).json({ error: played.error });
+    }
+
+    // A reflex change is only sent when it happens, so its timing can't be known ahead
+    if (played.waitMs) await new Promise(resolve => setTimeout(resolve, played.waitMs));
+
+    res.json(played.reply);
+  } catch (error) {
+    console.error('Error playing mini-game:', error);
+    res.status(500).json({ error: 'Failed to play mini-game' });
+  }
+});
+
+// Finish a round: score the moves the server recorded
+app.post('/api/pet/:id/minigames/rounds/:roundId/submit', actionLimiter, authenticate, canAccessPet, requirePetRole(...CARE_ROLES), async (req, res) => {
+  try {
+    const { id, roundId } = req.params;
+
+    const roundResult = await pool.query(`
+      SELECT *, expires_at <= LOCALTIMESTAMP AS is_expired
+      FROM mini_game_rounds
+      WHERE id = $1 AND pet_id = $2
+    `, [roundId, id]);
+    const round = roundResult.rows[0];
+
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+    if (round.status !== 'active' || round.is_expired) {
+      return res.status(409).json({ error: 'Round is no longer active' });
+    }
+
+    // Decay is materialized before a win's rewards are added
+    let pet = await refreshPet(id, { persist: true });
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    if (pet.archived_at) {
+      return res.status(409).json({ error: 'Pet is archived' });
+    }
+    if (pet.vacation_started_at) {
+      return res.status(409).json({ error: 'Pet is on vacation' });
+    }
+
+    const verdict = verifyRound(round);
+    const status = verdict.error ? 'rejected' : verdict.won ? 'won' : 'lost';
+
+    // Only the first submission counts
+    const updated = await pool.query(`
+      UPDATE mini_game_rounds
+      SET status = $1, score = $2, completed_at = NOW()
+      WHERE id = $3 AND status = 'active'
+      RETURNING id, game_type, status, score, created_at, completed_at
+    `, [status, verdict.error ? null : Math.round(verdict.score), round.id]);
+
+    if (updated.rows.length === 0) {
+      return res.status(409).json({ error: 'Round is no longer active' });
+    }
+    if (verdict.error) {
+      return res.status(400).json({ error: verdict.error, round: updated.rows[0] });
+    }
+
+    let coins = 0;
+
+    if (verdict.won && pet.is_alive) {
+      const game = GAMES[round.game_type];
+      // Wins past the day's cap still count for quests, but pay nothing
+      const reward = await rewardWin(id, round, verdict.score, { userId: req.userId });
+      coins = reward.coins;
+      if (reward.pet) pet = reward.pet;
+      await pool.query(
+        'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
+        [id, 'action', `Won a game of ${game.label.toLowerCase()} with my owner!`]
+      );
+      await recordQuestProgress(pool, id, 'minigame', { game: round.game_type });
+    }
+
+    res.json({ round: updated.rows[0], ...verdict, coins, pet });
+  } catch (error) {
+    console.error('Error submitting mini-game:', error);
+    res.status(500).json({ error: 'Failed to submit mini-game' });
+  }
+});
+
+// ============================================================================
+// ACHIEVEMENT ROUTES
+// ============================================================================
+
+// Achievements with progress and unlock times
+app.get('/api/pet/:id/achievements', authenticate, canAccessPet, async (req, res) => {
+  try {
+    const achievements = await listAchievements(pool, req.params.id);
+    if (!achievements) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
+    res.json(achievements);
+  } catch (error) {
+    console.error('Error fetching achievements:', error);
+    res.status(500).json({ error: 'Failed to fetch achievements' });
+  }
+});
+
+// ============================================================================
+// QUEST ROUTES
+// ============================================================================
+
+// Today's quests and the quest streak
+app.get('/api/pet/:id/quests', authenticate, canAccessPet, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const pet = await pool.query('SELECT id FROM pets WHERE id = $1', [id]);
+    if (pet.rows.length === 0) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
+    res.json(await getQuests(pool, id));
+  } catch (error) {
+    console.error('Error fetching quests:', error);
+    res.status(500).json({ error: 'Failed to fetch quests' });
+  }
+});
+
+// Set the time zone quest days follow (IANA name, e.g. "Europe/Berlin"). Once
+// quests are under way, the change waits for the next local day.
+app.put('/api/pet/:id/quests/timezone', authenticate, canAccessPet, requirePetRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { timezone } = req.body;
+
+    const pet = await pool.query('SELECT id FROM pets WHERE id = $1', [id]);
+    if (pet.rows.length === 0) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
+    const result = await setTimezone(pool, id, timezone);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(await getQuests(pool, id));
+  } catch (error) {
+    console.error('Error setting quest time zone:', error);
+    res.status(500).json({ error: 'Failed to set time zone' });
+  }
+});
+
+// Claim a completed quest's reward
+app.post('/api/pet/:id/quests/:questId/claim', actionLimiter, authenticate, canAccessPet, requirePetRole(...CARE_ROLES), async (req, res) => {
+  try {
+    const { id, questId } = req.params;
+
+    const claimed = await claimQuest(pool, id, questId, { userId: req.userId });
+    if (!claimed) {
+      return res.status(409).json({ error: 'Quest is not complete or already claimed' });
+    }
+
+    res.json(claimed);
+  } catch (error) {
+    console.error('Error claiming quest:', error);
+    res.status(500).json({ error: 'Failed to claim quest' });
   }
 });
 
@@ -252,11 +1178,16 @@ app.post('/api/pet/:id/sync', async (req, res) => {
 // ============================================================================
 
 // Open/close world and generate code
-app.post('/api/pet/:id/world', async (req, res) => {
+app.post('/api/pet/:id/world', authenticate, requirePetOwner, async (req, res) => {
   try {
     const { id } = req.params;
     const { open } = req.body;
 
+    const pet = await refreshPet(id, { persist: true });
+    if (!pet) {
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+
     let code = null;
     if (open) {
       // Generate unique 6-char code (XXXX-XX format)
@@ -292,27 +1223,44 @@ app.post('/api/pet/:id/world', async (req, res) => {
 });
 
 // Visit world by code
-app.get('/api/world/:code', async (req, res) => {
+app.get('/api/world/:code', optionalAuth, async (req, res) => {
   try {
     const { code } = req.params;
 
-    const result = await pool.query(`
-      SELECT id, name, hunger, happiness, energy, hygiene, sprite, color, visits_count, age_seconds
-      FROM pets
-      WHERE world_code = $1 AND world_open = TRUE
-    `, [code]);
+    const result = await pool.query(
+      'SELECT id FROM pets WHERE world_code = $1 AND world_open = TRUE',
+      [code]
+    );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'World not found or closed' });
     }
 
+    // Show visitors the host's current state, not the last stored one
+    await refreshPet(result.rows[0].id, { persist: true });
+
     // Increment visit counter
-    await pool.query(
-      'UPDATE pets SET visits_count = visits_count + 1 WHERE id = $1',
-      [result.rows[0].id]
-    );
+    const host = await pool.query(`
+      UPDATE pets SET visits_count = visits_count + 1
+      WHERE id = $1
+      RETURNING id, name, hunger, happiness, energy, hygiene, health, sprite, color, visits_count, age_seconds
+    `, [result.rows[0].id]);
+
+    await checkAchievements(pool, host.rows[0].id);
+
+    // Visiting counts towards the visitor's own quests (only for a pet the
+    // signed-in visitor looks after, and only at a friend's: not at another
+    // pet they own or care for)
+    const visitorPetId = parseInt(req.query.visitor);
+    if (visitorPetId && visitorPetId !== host.rows[0].id && req.userId) {
+      const visitor = await pool.query(
+        'SELECT can_access_pet($1, $2) AND NOT can_access_pet($1, $3) AS is_friend_visit',
+        [req.userId, visitorPetId, host.rows[0].id]
+      );
+      if (visitor.rows[0].is_friend_visit) await recordQuestProgress(pool, visitorPetId, 'visit');
+    }
 
-    res.json(result.rows[0]);
+    res.json(host.rows[0]);
   } catch (error) {
     console.error('Error visiting world:', error);
     res.status(500).json({ error: 'Failed to visit world' });
@@ -342,18 +1290,26 @@ app.get('/api/worlds', async (req, res) => {
 // ============================================================================
 
 // Talk to pet (AI response)
-app.post('/api/pet/:id/talk', actionLimiter, async (req, res) => {
+app.post('/api/pet/:id/talk', actionLimiter, authenticate, canAccessPet, requirePetRole(...CARE_ROLES), async (req, res) => {
   try {
     const { id } = req.params;
     const { message } = req.body;
 
     // Get pet data
-    const petResult = await pool.query('SELECT * FROM pets WHERE id = $1', [id]);
-    const pet = petResult.rows[0];
+    const pet = await refreshPet(id);
 
     if (!pet) {
       return res.status(404).json({ error: 'Pet not found' });
     }
+    if (!pet.is_alive) {
+      return res.status(409).json({ error: 'Pet has passed away' });
+    }
+    if (pet.archived_at) {
+      return res.status(409).json({ error: 'Pet is archived' });
+    }
+    if (pet.vacation_started_at) {
+      return res.status(409).json({ error: 'Pet is on vacation' });
+    }
 
     // Get recent memories
     const memoryResult = await pool.query(
@@ -362,8 +1318,9 @@ app.post('/api/pet/:id/talk', actionLimiter, async (req, res) => {
     );
     const memories = memoryResult.rows.map(r => r.content).join('. ');
 
-    // Build AI prompt
-    const prompt = `You are ${pet.name}, a virtual pet (like a Tamagotchi). Your stats: hunger=${pet.hunger}, happiness=${pet.happiness}, energy=${pet.energy}, hygiene=${pet.hygiene}. Recent memories: ${memories}. Owner says: "${message}". Respond in 1-2 sentences as ${pet.name}, showing personality based on your stats (low stats = grumpy, high stats = cheerful).`;
+    // Build AI prompt (caretakers talk to the pet under their own name)
+    const who = actorName(req.user, req.petRole);
+    const prompt = `You are ${pet.name}, a virtual pet (like a Tamagotchi). Your stats: hunger=${Math.round(pet.hunger)}, happiness=${Math.round(pet.happiness)}, energy=${Math.round(pet.energy)}, hygiene=${Math.round(pet.hygiene)}, health=${Math.round(pet.health)}. ${personalityPrompt(pet)} Recent memories: ${memories}. ${who} says: "${message}". Respond in 1-2 sentences as ${pet.name}, showing personality based on your traits and stats (low stats = grumpy, high stats = cheerful).`;
 
     // Call Ollama
     try {
@@ -378,14 +1335,16 @@ app.post('/api/pet/:id/talk', actionLimiter, async (req, res) => {
       // Save to AI brain
       await pool.query(
         'INSERT INTO ai_brain (prompt, response, context) VALUES ($1, $2, $3)',
-        [message, aiResponse, JSON.stringify({ pet_id: id, stats: { hunger: pet.hunger, happiness: pet.happiness } })]
+        [message, aiResponse, JSON.stringify({ pet_id: id, stats: { hunger: pet.hunger, happiness: pet.happiness, health: pet.health } })]
       );
 
       // Add memory
       await pool.query(
         'INSERT INTO memories (pet_id, memory_type, content) VALUES ($1, $2, $3)',
-        [id, 'action', `Owner said: "${message}". I replied: "${aiResponse}"`]
+        [id, 'conversation', `${who} said: "${message}". I replied: "${aiResponse}"`]
       );
+      await checkAchievements(pool, id);
+      await recordQuestProgress(pool, id, 'talk', { message });
 
       res.json({ response: aiResponse });
     } catch (ollamaError) {
@@ -402,6 +1361,8 @@ app.post('/api/pet/:id/talk', actionLimiter, async (req, res) => {
                       avgStats > 70 ? fallbackResponses.high_stats :
                       fallbackResponses.default;
 
+      await recordQuestProgress(pool, id, 'talk', { message });
+
       res.json({ response, fallback: true });
     }
   } catch (error) {
@@ -411,7 +1372,7 @@ app.post('/api/pet/:id/talk', actionLimiter, async (req, res) => {
 });
 
 // Get pet memories
-app.get('/api/pet/:id/memories', async (req, res) => {
+app.get('/api/pet/:id/memories', authenticate, canAccessPet, async (req, res) => {
   try {
     const { id } = req.params;
     const result = await pool.query(
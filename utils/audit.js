@@ -119,6 +119,35 @@ function auditMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Express middleware that audits every successful change a pet-sitter makes.
+ * The role is only known once canAccessPet has run, so this checks when the
+ * response is sent.
+ */
+function auditSitterActions(req, res, next) {
+  res.on('finish', () => {
+    if (req.petRole !== 'sitter' || req.method === 'GET' || res.statusCode >= 400) return;
+
+    logAudit({
+      user: req.user,
+      itemType: 'Pet',
+      itemId: req.petId,
+      eventType: 'update',
+      action: 'sitter_action',
+      controller: 'sitting',
+      object: {
+        route: `${req.method} ${req.route ? req.route.path : req.path}`,
+        action: req.body && typeof req.body.action === 'string' ? req.body.action : null
+      },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent'),
+      requestId: req.id
+    });
+  });
+
+  next();
+}
+
 /**
  * Get audit trail for a specific item
  * @param {string} itemType - Type of item ('User', 'Pet', etc.)
@@ -166,6 +195,7 @@ module.exports = {
   formatWhodunnit,
   logAudit,
   auditMiddleware,
+  auditSitterActions,
   getAuditTrail,
   getUserActivity
 };
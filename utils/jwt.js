@@ -12,14 +12,17 @@ const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
 /**
  * Generate access token
  * @param {Object} user - User object
+ * @param {number} sessionId - Session it belongs to (see auth/sessions.js)
  * @returns {string} JWT token
  */
-function generateAccessToken(user) {
+function generateAccessToken(user, sessionId) {
   const payload = {
     id: user.id,
     email: user.email,
     username: user.username,
-    role: user.role
+    role: user.role,
+    type: 'access',
+    sid: sessionId
   };
 
   return jwt.sign(payload, JWT_SECRET, {
@@ -32,12 +35,17 @@ function generateAccessToken(user) {
 /**
  * Generate refresh token
  * @param {Object} user - User object
+ * @param {Object} session
+ * @param {number} session.sid - Session it belongs to
+ * @param {string} session.jti - Token ID; only the session's newest one is accepted
  * @returns {string} JWT refresh token
  */
-function generateRefreshToken(user) {
+function generateRefreshToken(user, { sid, jti }) {
   const payload = {
     id: user.id,
-    type: 'refresh'
+    type: 'refresh',
+    sid,
+    jti
   };
 
   return jwt.sign(payload, JWT_SECRET, {
@@ -116,11 +124,95 @@ function generateEmailVerificationToken(user) {
   });
 }
 
+/**
+ * Generate account unlock token (emailed when an account is locked out)
+ * @param {Object} user - User object
+ * @returns {string} Unlock token
+ */
+function generateAccountUnlockToken(user) {
+  const payload = {
+    id: user.id,
+    email: user.email,
+    type: 'account_unlock'
+  };
+
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: '1h',
+    issuer: 'pixel-buddy',
+    subject: user.id.toString()
+  });
+}
+
+/**
+ * Generate two-factor challenge token (proves the password step passed)
+ * @param {Object} user - User object
+ * @param {string} purpose - 'verify' (enter a code) or 'enroll' (set up an authenticator first)
+ * @returns {string} Challenge token
+ */
+function generateTwoFactorChallengeToken(user, purpose) {
+  const payload = {
+    id: user.id,
+    email: user.email,
+    type: 'two_factor_challenge',
+    purpose
+  };
+
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: '10m',
+    issuer: 'pixel-buddy',
+    subject: user.id.toString()
+  });
+}
+
+/**
+ * Generate identity link token (kept in httpOnly cookies through an OAuth
+ * sign-in so the callback links the provider to this user)
+ * @param {Object} user - User object
+ * @param {string} provider - Provider being linked
+ * @returns {string} Link token
+ */
+function generateIdentityLinkToken(user, provider) {
+  const payload = {
+    id: user.id,
+    type: 'identity_link',
+    provider
+  };
+
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: '10m',
+    issuer: 'pixel-buddy',
+    subject: user.id.toString()
+  });
+}
+
+/**
+ * Generate OAuth flow token (the state of one provider sign-in, plus the
+ * nonce and PKCE verifier for OIDC, kept in a cookie until the provider
+ * redirects back)
+ * @param {Object} flow - { provider, state, link?, nonce?, verifier? }
+ * @returns {string} Flow token
+ */
+function generateOAuthFlowToken(flow) {
+  const payload = {
+    ...flow,
+    type: 'oauth_flow'
+  };
+
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: '10m',
+    issuer: 'pixel-buddy'
+  });
+}
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
   verifyToken,
   decodeToken,
   generatePasswordResetToken,
-  generateEmailVerificationToken
+  generateEmailVerificationToken,
+  generateAccountUnlockToken,
+  generateTwoFactorChallengeToken,
+  generateIdentityLinkToken,
+  generateOAuthFlowToken
 };